@@ -0,0 +1,187 @@
+// src/address.js
+// CKB addresses (RFC 0021).
+//
+// Encoding always produces the full format with bech32m:
+//   payload = 0x00 | code_hash (32) | hash_type (1) | args
+//   hash_type byte: data = 0x00, type = 0x01, data1 = 0x02, data2 = 0x04
+//   prefix: ckb (mainnet) / ckt (testnet)
+//
+// Decoding also accepts the deprecated bech32 formats:
+//   0x01 short:          code_hash_index (1) | args
+//   0x02 full, data:     code_hash (32) | args
+//   0x04 full, type:     code_hash (32) | args
+
+import { HASH_TYPE_BYTE } from './ckb_capacity.js';
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+export const FORMAT_FULL = 0x00;
+export const FORMAT_SHORT = 0x01;
+export const FORMAT_FULL_DATA = 0x02;
+export const FORMAT_FULL_TYPE = 0x04;
+
+export const PREFIXES = { mainnet: 'ckb', testnet: 'ckt' };
+
+export { HASH_TYPE_BYTE };
+const HASH_TYPE_NAME = Object.fromEntries(Object.entries(HASH_TYPE_BYTE).map(([k, v]) => [v, k]));
+
+const SECP256K1_BLAKE160 = '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8';
+const SECP256K1_MULTISIG = '0x5c5069eb0857efc65e1bca0c07df34c31663b3622fd3876c876320fc9634e2a8';
+
+// short format code_hash_index -> code_hash (all hash_type = type), per prefix
+const SHORT_CODE_HASHES = {
+  ckb: [SECP256K1_BLAKE160, SECP256K1_MULTISIG, '0xd369597ff47f29fbc0d47d2e3775370d1250b85140c670e4718af712983a2354'],
+  ckt: [SECP256K1_BLAKE160, SECP256K1_MULTISIG, '0x3419a1c09eb2567f6552ee7a8ecffd64155cffe0f1796e6e61ec088d740c1356'],
+};
+
+/* ----------------------- bech32m ----------------------- */
+
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+  const out = [];
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) >> 5);
+  out.push(0);
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) & 31);
+  return out;
+}
+
+function convertBits(data, from, to, pad) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  const maxv = (1 << to) - 1;
+  for (const v of data) {
+    acc = (acc << from) | v;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >> bits) & maxv);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (pad && bits > 0) out.push((acc << (to - bits)) & maxv);
+  return out;
+}
+
+// no 90-char limit: CKB full addresses are longer than that
+export function bech32mEncode(hrp, bytes) {
+  const data = convertBits(bytes, 8, 5, true);
+  const mod = polymod([...hrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ BECH32M_CONST;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((mod >>> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...data, ...checksum].map(d => CHARSET[d]).join('')}`;
+}
+
+// returns { hrp, bytes, variant: 'bech32' | 'bech32m' }
+export function bech32Decode(str) {
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) throw new Error('mixed-case address');
+  const s = str.toLowerCase();
+  const pos = s.lastIndexOf('1');
+  if (pos < 1 || pos + 7 > s.length) throw new Error(`malformed address: ${str}`);
+  const hrp = s.slice(0, pos);
+  const data = [];
+  for (const ch of s.slice(pos + 1)) {
+    const v = CHARSET.indexOf(ch);
+    if (v < 0) throw new Error(`invalid character '${ch}' in address`);
+    data.push(v);
+  }
+  const mod = polymod([...hrpExpand(hrp), ...data]);
+  const variant = mod === BECH32M_CONST ? 'bech32m' : mod === BECH32_CONST ? 'bech32' : null;
+  if (!variant) throw new Error(`bad address checksum: ${str}`);
+  const words = data.slice(0, -6);
+  const bytes = convertBits(words, 5, 8, false);
+  // leftover padding must be < 5 bits and zero
+  if ((words.length * 5) % 8 >= 5 || (words.length > 0 && (words[words.length - 1] & ((1 << ((words.length * 5) % 8)) - 1)) !== 0)) {
+    throw new Error(`invalid address padding: ${str}`);
+  }
+  return { hrp, bytes, variant };
+}
+
+/* ----------------------- address ----------------------- */
+
+function hexToBytes(hex) {
+  const s = hex.startsWith('0x') ? hex.slice(2) : hex;
+  return [...Buffer.from(s, 'hex')];
+}
+
+const bytesToHex = (bytes) => '0x' + Buffer.from(bytes).toString('hex');
+
+// identity of a lock script, used as Map/Set key by the reports
+export function lockKey(lock) {
+  if (!lock) return 'null';
+  return `${lock.code_hash}|${lock.hash_type}|${lock.args || '0x'}`;
+}
+
+export function encodeAddress(script, prefix = 'ckb') {
+  const ht = HASH_TYPE_BYTE[script.hash_type];
+  if (ht === undefined) throw new Error(`unknown hash_type: ${script.hash_type}`);
+  const codeHash = hexToBytes(script.code_hash);
+  if (codeHash.length !== 32) throw new Error(`code_hash must be 32 bytes: ${script.code_hash}`);
+  const payload = [FORMAT_FULL, ...codeHash, ht, ...hexToBytes(script.args || '0x')];
+  return bech32mEncode(prefix, payload);
+}
+
+// returns { prefix, format, script }
+export function decodeAddress(address) {
+  const { hrp, bytes, variant } = bech32Decode(address);
+  if (hrp !== PREFIXES.mainnet && hrp !== PREFIXES.testnet) throw new Error(`unknown address prefix: ${hrp}`);
+  const format = bytes[0];
+  const body = bytes.slice(1);
+
+  if (format === FORMAT_FULL) {
+    if (variant !== 'bech32m') throw new Error('full format address must use bech32m');
+    if (body.length < 33) throw new Error('full format address too short');
+    const hashType = HASH_TYPE_NAME[body[32]];
+    if (!hashType) throw new Error(`unknown hash_type byte: ${body[32]}`);
+    return {
+      prefix: hrp,
+      format,
+      script: { code_hash: bytesToHex(body.slice(0, 32)), hash_type: hashType, args: bytesToHex(body.slice(33)) },
+    };
+  }
+
+  if (variant !== 'bech32') throw new Error(`deprecated address format 0x0${format} must use bech32`);
+
+  if (format === FORMAT_SHORT) {
+    const codeHash = SHORT_CODE_HASHES[hrp][body[0]];
+    if (!codeHash) throw new Error(`unknown short address code_hash_index: ${body[0]}`);
+    return { prefix: hrp, format, script: { code_hash: codeHash, hash_type: 'type', args: bytesToHex(body.slice(1)) } };
+  }
+
+  if (format === FORMAT_FULL_DATA || format === FORMAT_FULL_TYPE) {
+    if (body.length < 32) throw new Error('full format address too short');
+    return {
+      prefix: hrp,
+      format,
+      script: {
+        code_hash: bytesToHex(body.slice(0, 32)),
+        hash_type: format === FORMAT_FULL_DATA ? 'data' : 'type',
+        args: bytesToHex(body.slice(32)),
+      },
+    };
+  }
+
+  throw new Error(`unknown address format: 0x${format.toString(16).padStart(2, '0')}`);
+}
+
+// comma-separated addresses (e.g. env ADDRESS) -> lock scripts, all on the expected prefix
+export function parseAddressList(list, prefix) {
+  if (!list) return [];
+  return list.split(',').map(a => a.trim()).filter(Boolean).map((a) => {
+    const { prefix: p, script } = decodeAddress(a);
+    if (prefix && p !== prefix) throw new Error(`address ${a} is for prefix ${p}, network uses ${prefix}`);
+    return script;
+  });
+}
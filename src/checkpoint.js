@@ -0,0 +1,27 @@
+// src/checkpoint.js
+// Small JSON checkpoint store for long-running scans.
+//
+// BigInt values are written as decimal strings; callers revive the fields they
+// know are amounts. Writes go to a temp file first and are renamed into place,
+// so a crash mid-write never leaves a truncated checkpoint behind.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export function saveCheckpoint(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  const json = JSON.stringify(
+    { ...data, saved_at: new Date().toISOString() },
+    (_, v) => (typeof v === 'bigint' ? v.toString() : v),
+    2
+  );
+  fs.writeFileSync(tmp, json);
+  fs.renameSync(tmp, file);
+}
+
+// returns null when there is no checkpoint yet
+export function loadCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
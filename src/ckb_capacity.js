@@ -1,9 +1,17 @@
 // src/ckb_capacity.js
-// Unified occupied/free capacity calculator for CKB cells
-// This version matches explorer "occupied CKBtyes" (e.g. DAO cell occupied = 102)
+// Cell utilities for CKB: occupied / free capacity (matches explorer "occupied CKBytes", e.g. DAO
+// cell occupied = 102), validation of the RPC shapes of Script / CellOutput, their Molecule
+// serialization and the blake2b hashes CKB identifies them by.
+//
+// Self-contained (no imports), so other tools can copy or import it as is.
 
 export const SHANNONS_PER_CKB = 100_000_000n;
 
+// Script.hash_type as serialized (Molecule byte, also the byte of a full-format address)
+export const HASH_TYPE_BYTE = { data: 0x00, type: 0x01, data1: 0x02, data2: 0x04 };
+
+const MAX_UINT64 = (1n << 64n) - 1n;
+
 /* ----------------------- formatting ----------------------- */
 
 export function formatCKB(shannons) {
@@ -16,10 +24,63 @@ export function formatCKB(shannons) {
 
 /* ----------------------- hex helpers ----------------------- */
 
-export function hexBytesLen(hex) {
-  if (!hex || hex === '0x') return 0;
-  const s = hex.startsWith('0x') ? hex.slice(2) : hex;
-  return Math.floor(s.length / 2);
+const HEX_BYTES = /^0x(?:[0-9a-fA-F]{2})*$/;
+
+// throws unless `hex` is 0x-prefixed with an even number of hex digits (and `len` bytes, if given)
+export function assertHexBytes(hex, what = 'hex', len = null) {
+  if (typeof hex !== 'string' || !HEX_BYTES.test(hex)) {
+    throw new Error(`${what} must be 0x-prefixed hex with an even number of digits, got ${JSON.stringify(hex)}`);
+  }
+  if (len !== null && hex.length !== 2 + 2 * len) {
+    throw new Error(`${what} must be ${len} bytes, got ${(hex.length - 2) / 2}: ${hex}`);
+  }
+  return hex;
+}
+
+// missing data ('' / null / undefined) counts as empty
+export function hexBytesLen(hex, what = 'data') {
+  if (!hex) return 0;
+  return (assertHexBytes(hex, what).length - 2) / 2;
+}
+
+export function hexToBytes(hex, what = 'hex') {
+  return new Uint8Array(Buffer.from(assertHexBytes(hex, what).slice(2), 'hex'));
+}
+
+export const bytesToHex = (bytes) => '0x' + Buffer.from(bytes).toString('hex');
+
+// JSON-RPC Uint64: 0x-prefixed hex without leading zeros (a bigint is taken as is)
+function parseUint64(value, what) {
+  if (typeof value === 'bigint') {
+    if (value < 0n || value > MAX_UINT64) throw new Error(`${what} out of uint64 range: ${value}`);
+    return value;
+  }
+  if (typeof value !== 'string' || !/^0x(?:0|[1-9a-fA-F][0-9a-fA-F]{0,15})$/.test(value)) {
+    throw new Error(`${what} must be a 0x-prefixed uint64 without leading zeros, got ${JSON.stringify(value)}`);
+  }
+  return BigInt(value);
+}
+
+/* ----------------------- validation ----------------------- */
+
+// { code_hash, hash_type, args }; args may be omitted for empty ones
+export function validateScript(script, what = 'script') {
+  if (!script || typeof script !== 'object') throw new Error(`${what} must be an object, got ${JSON.stringify(script)}`);
+  assertHexBytes(script.code_hash, `${what}.code_hash`, 32);
+  if (!Object.hasOwn(HASH_TYPE_BYTE, script.hash_type)) {
+    throw new Error(`${what}.hash_type must be ${Object.keys(HASH_TYPE_BYTE).join('|')}, got ${JSON.stringify(script.hash_type)}`);
+  }
+  if (script.args !== undefined) assertHexBytes(script.args, `${what}.args`);
+  return script;
+}
+
+// { capacity, lock, type? }; type is null or absent for cells without one
+export function validateCellOutput(output, what = 'output') {
+  if (!output || typeof output !== 'object') throw new Error(`${what} must be an object, got ${JSON.stringify(output)}`);
+  parseUint64(output.capacity, `${what}.capacity`);
+  validateScript(output.lock, `${what}.lock`);
+  if (output.type !== null && output.type !== undefined) validateScript(output.type, `${what}.type`);
+  return output;
 }
 
 /* ----------------------- occupied capacity ----------------------- */
@@ -34,16 +95,17 @@ export function hexBytesLen(hex) {
  *
  * script_bytes = 32(code_hash) + 1(hash_type) + args_len
  */
-export function scriptBytesForOccupied(script) {
+export function scriptBytesForOccupied(script, what = 'script') {
   if (!script) return 0;
-  const argsLen = hexBytesLen(script.args || '0x');
-  return 32 + 1 + argsLen;
+  validateScript(script, what);
+  return 32 + 1 + hexBytesLen(script.args, `${what}.args`);
 }
 
 export function occupiedBytes(output, outputDataHex) {
+  if (!output?.lock) throw new Error('output.lock is required');
   const dataLen = hexBytesLen(outputDataHex);
-  const lockBytes = scriptBytesForOccupied(output.lock);
-  const typeBytes = output.type ? scriptBytesForOccupied(output.type) : 0;
+  const lockBytes = scriptBytesForOccupied(output.lock, 'output.lock');
+  const typeBytes = output.type ? scriptBytesForOccupied(output.type, 'output.type') : 0;
 
   // 8 bytes for capacity field
   return 8 + lockBytes + typeBytes + dataLen;
@@ -54,6 +116,190 @@ export function occupiedCapacity(output, outputDataHex) {
 }
 
 export function freeCapacity(output, outputDataHex) {
-  const cap = BigInt(output.capacity);
+  const cap = parseUint64(output.capacity, 'output.capacity');
   return cap - occupiedCapacity(output, outputDataHex);
 }
+
+/**
+ * Smallest capacity (shannons) a cell with this lock, type and data can hold, e.g. to size a new
+ * output before its capacity is known:
+ *   minimumCapacity({ lock, type: DAO_TYPE, data: '0x0000000000000000' })  // 102 CKB with a secp256k1 lock
+ */
+export function minimumCapacity({ lock, type = null, data = '0x' }) {
+  return occupiedCapacity({ lock, type }, data);
+}
+
+/* ----------------------- molecule ----------------------- */
+// Script     table { code_hash: Byte32, hash_type: byte, args: Bytes }
+// CellOutput table { capacity: Uint64, lock: Script, type: ScriptOpt }
+//
+// table  = full_size (u32 LE) | one u32 LE offset per field | fields
+// Bytes  = length (u32 LE) | bytes
+// option = empty for None, the inner value otherwise
+
+function u32le(n) {
+  const b = new Uint8Array(4);
+  new DataView(b.buffer).setUint32(0, n, true);
+  return b;
+}
+
+function u64le(n) {
+  const b = new Uint8Array(8);
+  new DataView(b.buffer).setBigUint64(0, n, true);
+  return b;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
+function table(fields) {
+  const header = 4 + 4 * fields.length;
+  const offsets = [];
+  let at = header;
+  for (const f of fields) {
+    offsets.push(u32le(at));
+    at += f.length;
+  }
+  return concat([u32le(at), ...offsets, ...fields]);
+}
+
+function scriptBytes(script) {
+  validateScript(script);
+  const args = hexToBytes(script.args ?? '0x', 'script.args');
+  return table([
+    hexToBytes(script.code_hash, 'script.code_hash'),
+    Uint8Array.of(HASH_TYPE_BYTE[script.hash_type]),
+    concat([u32le(args.length), args]),
+  ]);
+}
+
+function cellOutputBytes(output) {
+  validateCellOutput(output);
+  const type = output.type ? scriptBytes(output.type) : new Uint8Array(0);
+  return table([u64le(parseUint64(output.capacity, 'output.capacity')), scriptBytes(output.lock), type]);
+}
+
+export const serializeScript = (script) => bytesToHex(scriptBytes(script));
+export const serializeCellOutput = (output) => bytesToHex(cellOutputBytes(output));
+
+/* ----------------------- blake2b ----------------------- */
+// RFC 7693 over 64-bit BigInt words; CKB hashes are 32-byte digests personalized with "ckb-default-hash".
+
+const MASK64 = MAX_UINT64;
+
+const IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n,
+];
+
+const SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+];
+
+const rotr = (x, n) => ((x >> n) | (x << (64n - n))) & MASK64;
+
+function mix(v, a, b, c, d, x, y) {
+  v[a] = (v[a] + v[b] + x) & MASK64;
+  v[d] = rotr(v[d] ^ v[a], 32n);
+  v[c] = (v[c] + v[d]) & MASK64;
+  v[b] = rotr(v[b] ^ v[c], 24n);
+  v[a] = (v[a] + v[b] + y) & MASK64;
+  v[d] = rotr(v[d] ^ v[a], 16n);
+  v[c] = (v[c] + v[d]) & MASK64;
+  v[b] = rotr(v[b] ^ v[c], 63n);
+}
+
+// block: 128 bytes; t: bytes hashed so far including this block
+function compress(h, block, t, last) {
+  const view = new DataView(block.buffer, block.byteOffset, 128);
+  const m = Array.from({ length: 16 }, (_, i) => view.getBigUint64(8 * i, true));
+  const v = [...h, ...IV];
+  v[12] ^= t & MASK64;
+  v[13] ^= t >> 64n;
+  if (last) v[14] ^= MASK64;
+  for (let r = 0; r < 12; r++) {
+    const s = SIGMA[r % 10];
+    mix(v, 0, 4, 8, 12, m[s[0]], m[s[1]]);
+    mix(v, 1, 5, 9, 13, m[s[2]], m[s[3]]);
+    mix(v, 2, 6, 10, 14, m[s[4]], m[s[5]]);
+    mix(v, 3, 7, 11, 15, m[s[6]], m[s[7]]);
+    mix(v, 0, 5, 10, 15, m[s[8]], m[s[9]]);
+    mix(v, 1, 6, 11, 12, m[s[10]], m[s[11]]);
+    mix(v, 2, 7, 8, 13, m[s[12]], m[s[13]]);
+    mix(v, 3, 4, 9, 14, m[s[14]], m[s[15]]);
+  }
+  for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+}
+
+/**
+ * Unkeyed blake2b of `bytes` (Uint8Array), `outLen` bytes long, with an optional 16-byte
+ * personalization (string or bytes).
+ */
+export function blake2b(bytes, { outLen = 64, personal = null } = {}) {
+  if (!Number.isInteger(outLen) || outLen < 1 || outLen > 64) throw new Error(`blake2b outLen must be 1..64, got ${outLen}`);
+  const p = typeof personal === 'string' ? new TextEncoder().encode(personal) : personal;
+  if (p && p.length !== 16) throw new Error(`blake2b personalization must be 16 bytes, got ${p.length}`);
+
+  // parameter block: digest length, key length 0, fanout 1, depth 1; personalization in words 6-7
+  const h = [...IV];
+  h[0] ^= 0x01010000n | BigInt(outLen);
+  if (p) {
+    const pv = new DataView(p.buffer, p.byteOffset, 16);
+    h[6] ^= pv.getBigUint64(0, true);
+    h[7] ^= pv.getBigUint64(8, true);
+  }
+
+  // every block but the last is compressed as it fills; the last one (zero-padded) is flagged
+  const block = new Uint8Array(128);
+  let t = 0n;
+  let at = 0;
+  while (bytes.length - at > 128) {
+    block.set(bytes.subarray(at, at + 128));
+    t += 128n;
+    compress(h, block, t, false);
+    at += 128;
+  }
+  block.fill(0);
+  block.set(bytes.subarray(at));
+  compress(h, block, t + BigInt(bytes.length - at), true);
+
+  const out = new Uint8Array(64);
+  const ov = new DataView(out.buffer);
+  h.forEach((w, i) => ov.setBigUint64(8 * i, w, true));
+  return out.slice(0, outLen);
+}
+
+export const CKB_HASH_PERSONALIZATION = 'ckb-default-hash';
+
+// blake2b-256 as CKB uses it, of a 0x hex string or bytes
+export function ckbHash(data) {
+  const bytes = typeof data === 'string' ? hexToBytes(data, 'data') : data;
+  return bytesToHex(blake2b(bytes, { outLen: 32, personal: CKB_HASH_PERSONALIZATION }));
+}
+
+// the hash a lock/type script is referred to by (lock hash, type hash)
+export const scriptHash = (script) => ckbHash(scriptBytes(script));
+
+// hash of the serialized CellOutput (capacity, lock and type; the data is hashed separately)
+export const cellOutputHash = (output) => ckbHash(cellOutputBytes(output));
+
+// the output data hash a hash_type=data* script points at; CKB defines it as all zeros for empty data
+export function dataHash(dataHex) {
+  return hexBytesLen(dataHex) === 0 ? '0x' + '00'.repeat(32) : ckbHash(dataHex);
+}
@@ -0,0 +1,82 @@
+// src/ckb_header.js
+// Header field parsing and the issuance schedule shared by the issuance scripts.
+//
+// dao field (32 bytes) = C | AR | S | U, each u64 little-endian:
+//   C  total issuance
+//   AR NervosDAO accumulated rate
+//   S  unissued secondary issuance (treasury + unclaimed DAO compensation)
+//   U  occupied capacity
+
+// Mainnet constants (shannons per epoch); other chains get theirs from network.js.
+export const SECONDARY_EPOCH_REWARD = 61_369_863_013_698n;
+
+// Primary issuance: 4.2B CKB / year for the first 4 years, halving every 8760 epochs.
+export const INITIAL_PRIMARY_EPOCH_REWARD = 191_780_821_917_808n;
+export const PRIMARY_HALVING_INTERVAL = 8760;
+
+function u64leFromHex16(hex16) {
+  const buf = Buffer.from(hex16, "hex");
+  let x = 0n;
+  for (let i = 0; i < 8; i++) x |= BigInt(buf[i]) << (8n * BigInt(i));
+  return x;
+}
+
+export function parseDao(daoHex) {
+  const h = daoHex.startsWith("0x") ? daoHex.slice(2) : daoHex;
+  if (h.length !== 64) throw new Error(`dao field must be 32 bytes, got hexlen=${h.length}`);
+  const seg = (i) => h.slice(i * 16, (i + 1) * 16);
+  const C = u64leFromHex16(seg(0));
+  const AR = u64leFromHex16(seg(1));
+  const S = u64leFromHex16(seg(2));
+  const U = u64leFromHex16(seg(3));
+  return { C, AR, S, U };
+}
+
+// ✅ Your chain: epoch = (length<<40) | (index<<24) | number
+export function parseEpochPacked(epochHex) {
+  const e = BigInt(epochHex);
+  const length = Number(e >> 40n);                 // high 24 bits
+  const index  = Number((e >> 24n) & 0xFFFFn);     // middle 16 bits
+  const number = Number(e & 0xFFFFFFn);            // low 24 bits
+  return { number, index, length };
+}
+
+export function perBlockSecondary(epochLength, epochIndex, epochReward = SECONDARY_EPOCH_REWARD) {
+  const L = BigInt(epochLength);
+  if (L === 0n) throw new RangeError("Division by zero (epoch.length=0)");
+  const q = epochReward / L;
+  const m = epochReward % L;
+  const idx = BigInt(epochIndex);
+  return idx < m ? (q + 1n) : q;
+}
+
+export function primaryEpochReward(
+  epochNumber,
+  initial = INITIAL_PRIMARY_EPOCH_REWARD,
+  halvingInterval = PRIMARY_HALVING_INTERVAL
+) {
+  return initial >> BigInt(Math.floor(epochNumber / halvingInterval));
+}
+
+// sum of the per-block rewards of indexes 0..index of one epoch (same remainder rule as perBlockSecondary)
+export function epochPrefixReward(epochReward, epochLength, epochIndex) {
+  const L = BigInt(epochLength);
+  if (L === 0n) throw new RangeError("Division by zero (epoch.length=0)");
+  const n = BigInt(epochIndex) + 1n;
+  const q = epochReward / L;
+  const m = epochReward % L;
+  return n * q + (n < m ? n : m);
+}
+
+/**
+ * Scheduled issuance of blocks 1..tip (block 0's reward is already part of the genesis dao field).
+ * tipEpoch: parsed epoch of the tip, genesisEpochLength: length of epoch 0,
+ * rewardOf(epochNumber): epoch reward in shannons.
+ */
+export function scheduledIssuance(tipEpoch, genesisEpochLength, rewardOf) {
+  let total = 0n;
+  for (let e = 0; e < tipEpoch.number; e++) total += rewardOf(e);
+  total += epochPrefixReward(rewardOf(tipEpoch.number), tipEpoch.length, tipEpoch.index);
+  total -= epochPrefixReward(rewardOf(0), genesisEpochLength, 0);
+  return total;
+}
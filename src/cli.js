@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+// src/cli.js
+// secondary-issuance <command> [--flag value ...]
+//
+// One entry point for the report scripts. Every option maps to the env var the script already
+// reads, so precedence is: --flag > config file > env var > built-in default.
+//
+// Config file (--config <file>, or env SECONDARY_ISSUANCE_CONFIG): JSON with option names as keys;
+// top-level keys apply to every command, a nested object per command overrides them:
+//   { "rpc-url": "http://127.0.0.1:8114", "miner": { "concurrency": 32 }, "claimed": { "print-tx": false } }
+//
+// Nothing that reads env at import time (rpc_client.js, ...) may be imported statically here:
+// the command module is loaded only after the options have been written to process.env.
+
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+const TYPES = {
+  // non-negative decimal integer
+  int(v) {
+    const s = String(v);
+    if (!/^\d+$/.test(s)) throw new Error(`expected a non-negative integer, got ${s}`);
+    return s;
+  },
+  // block number: decimal or 0x hex
+  block(v) {
+    const s = String(v);
+    if (!/^(\d+|0x[0-9a-fA-F]+)$/.test(s)) throw new Error(`expected a decimal or 0x-hex block number, got ${s}`);
+    return s;
+  },
+  // JSON-RPC quantity: 0x hex (decimal is converted)
+  hex(v) {
+    const s = String(v);
+    if (/^\d+$/.test(s)) return '0x' + BigInt(s).toString(16);
+    if (!/^0x[0-9a-fA-F]+$/.test(s)) throw new Error(`expected a 0x-hex or decimal number, got ${s}`);
+    return s;
+  },
+  // 32-byte hash
+  hash(v) {
+    const s = String(v);
+    if (!/^0x[0-9a-fA-F]{64}$/.test(s)) throw new Error(`expected a 0x-prefixed 32-byte hash, got ${s}`);
+    return s;
+  },
+  // decimal, may be negative or fractional
+  number(v) {
+    const s = String(v);
+    if (!/^-?\d+(\.\d+)?$/.test(s)) throw new Error(`expected a decimal number, got ${s}`);
+    return s;
+  },
+  bool(v) {
+    if (v === true || v === '1' || v === 'true') return '1';
+    if (v === false || v === '0' || v === 'false') return '0';
+    throw new Error(`expected true|false, got ${v}`);
+  },
+  string(v) {
+    return String(v);
+  },
+  list(v) {
+    return Array.isArray(v) ? v.join(',') : String(v);
+  },
+};
+
+const opt = (flag, env, type, def, help, extra = {}) => ({ flag, env, type, default: def, help, ...extra });
+
+const COMMON_OPTIONS = [
+  opt('rpc-url', 'RPC_URL', 'string', 'http://127.0.0.1:8114', 'CKB node JSON-RPC endpoint (with indexer)'),
+  opt('format', 'FORMAT', 'enum', 'text', 'output format', { values: ['text', 'json', 'ndjson'] }),
+  opt('network', 'NETWORK', 'enum', null, 'network profile (default: auto-detect from the node)',
+    { values: ['mainnet', 'testnet', 'devnet', 'custom'] }),
+  opt('rpc-id-scheme', 'RPC_ID_SCHEME', 'enum', 'counter', 'JSON-RPC id scheme',
+    { values: ['counter', 'constant', 'random', 'method'] }),
+  opt('rpc-batch-size', 'RPC_BATCH_SIZE', 'int', '100', 'max requests per batch HTTP call'),
+  opt('rpc-backoff-ms', 'RPC_BACKOFF_MS', 'int', '200', 'base retry delay (ms)'),
+  opt('rpc-backoff-max-ms', 'RPC_BACKOFF_MAX_MS', 'int', '10000', 'retry delay cap (ms)'),
+  opt('rpc-log-failures', 'RPC_LOG_FAILURES', 'bool', '1', 'print failed RPC attempts to stderr'),
+  opt('header-cache-dir', 'HEADER_CACHE_DIR', 'string', '.header-cache', 'on-disk header cache ("off" = memory only)'),
+  opt('header-cache-reorg-depth', 'HEADER_CACHE_REORG_DEPTH', 'int', '100', 'cached headers re-checked below the tip'),
+  opt('header-cache-segments', 'HEADER_CACHE_SEGMENTS', 'int', '16', 'header cache segments kept in memory'),
+  opt('export-dir', 'EXPORT_DIR', 'string', 'out', 'directory of CSV/JSON exports'),
+  opt('snapshot-block', 'SNAPSHOT_BLOCK', 'block', null, 'block every scan reads the chain as of (default: indexer tip)'),
+  // NETWORK=custom
+  opt('dao-code-hash', 'DAO_CODE_HASH', 'hash', null, 'custom network: NervosDAO type script code_hash'),
+  opt('dao-hash-type', 'DAO_HASH_TYPE', 'enum', 'type', 'custom network: NervosDAO hash_type',
+    { values: ['type', 'data', 'data1', 'data2'] }),
+  opt('dao-args', 'DAO_ARGS', 'string', '0x', 'custom network: NervosDAO args'),
+  opt('secondary-epoch-reward', 'SECONDARY_EPOCH_REWARD', 'hex', null, 'custom network: secondary reward per epoch (shannons)'),
+  opt('initial-primary-epoch-reward', 'INITIAL_PRIMARY_EPOCH_REWARD', 'hex', null, 'custom network: initial primary reward per epoch'),
+  opt('primary-halving-interval', 'PRIMARY_HALVING_INTERVAL', 'int', null, 'custom network: epochs between halvings'),
+  opt('genesis-hash', 'GENESIS_HASH', 'hash', null, 'custom network: genesis block hash'),
+  opt('address-prefix', 'ADDRESS_PREFIX', 'enum', 'ckt', 'custom network: address prefix', { values: ['ckb', 'ckt'] }),
+];
+
+// `follow`, and `unclaimed|claimed|miner --follow`
+const FOLLOW_OPTIONS = [
+  opt('poll-ms', 'FOLLOW_POLL_MS', 'int', '5000', 'follow: tip poll interval (ms)'),
+  opt('state-file', 'FOLLOW_STATE_FILE', 'string', '.checkpoints/follow.json', 'follow: running totals + reorg journal'),
+  opt('save-every-ms', 'FOLLOW_SAVE_EVERY_MS', 'int', '60000', 'follow: state file write interval (ms)'),
+  opt('reorg-depth', 'FOLLOW_REORG_DEPTH', 'int', '100', 'follow: blocks kept for rollback'),
+  opt('chunk', 'FOLLOW_CHUNK', 'int', '1000', 'follow: blocks per catch-up step'),
+  opt('once', 'FOLLOW_ONCE', 'bool', '0', 'follow: catch up to the tip once and exit'),
+];
+const FOLLOW_FLAG = opt('follow', 'FOLLOW', 'bool', '0', 'keep running: miner / claimed / unclaimed totals updated per block (see `follow`)');
+
+const COMMANDS = {
+  unclaimed: {
+    module: './dao_unclaimed.js',
+    summary: 'unclaimed compensation of the live NervosDAO cells',
+    options: [
+      opt('limit', 'LIMIT', 'hex', '0x64', 'get_cells page size'),
+      opt('address', 'ADDRESS', 'list', '', 'only these holders (comma-separated addresses)'),
+      opt('at-block', 'AT_BLOCK', 'block', null, 'measure as of this block (default: snapshot block)'),
+      opt('holders-top', 'HOLDERS_TOP', 'int', '20', 'holders to print (0 = none)'),
+      opt('holders-sort', 'HOLDERS_SORT', 'enum', 'unclaimed_total', 'holder sort column', {
+        values: ['unclaimed_total', 'unclaimed_deposit', 'unclaimed_prepare', 'locked_capacity', 'deposit_cells', 'prepare_cells'],
+      }),
+      opt('holders-export', 'HOLDERS_EXPORT', 'bool', '0', 'write <export-dir>/dao_unclaimed_holders.{csv,json}'),
+      opt('concurrency', 'UNCLAIMED_CONCURRENCY', 'int', '4', 'header batch calls in flight'),
+      opt('header-batch', 'UNCLAIMED_HEADER_BATCH', 'int', '100', 'headers per batch call'),
+      opt('read-ahead', 'UNCLAIMED_READ_AHEAD', 'int', '2', 'get_cells pages fetched ahead of processing'),
+      opt('progress-every', 'UNCLAIMED_PROGRESS_EVERY', 'int', '50', 'progress line every N pages (0 = off)'),
+      FOLLOW_FLAG,
+      ...FOLLOW_OPTIONS,
+    ],
+  },
+  claimed: {
+    module: './dao_claimed.js',
+    summary: 'compensation claimed by withdraw2 transactions',
+    options: [
+      opt('address', 'ADDRESS', 'list', '', 'only these holders (comma-separated addresses)'),
+      opt('block-from', 'WITHDRAW2_BLOCK_RANGE_FROM', 'hex', null, 'block range start (inclusive, default 0)'),
+      opt('block-to', 'WITHDRAW2_BLOCK_RANGE_TO', 'hex', null, 'block range end (exclusive, default snapshot + 1)'),
+      opt('tx-limit', 'WITHDRAW2_TX_LIMIT', 'hex', '0x3e8', 'get_transactions page size'),
+      opt('tx-concurrency', 'WITHDRAW2_TX_CONCURRENCY', 'int', '60', 'transactions resolved in parallel'),
+      opt('shards', 'WITHDRAW2_SHARDS', 'int', '1', 'split the block range into N ranges scanned in parallel'),
+      opt('cache-size', 'WITHDRAW2_CACHE_SIZE', 'int', '100000', 'AR and prepare cell cache entries (LRU)'),
+      opt('log-every', 'WITHDRAW2_LOG_EVERY', 'int', '20000', 'progress line every N withdraw2 txs'),
+      opt('page-log-every', 'WITHDRAW2_PAGE_LOG_EVERY', 'int', '50', 'page line every N pages'),
+      opt('print-tx', 'WITHDRAW2_PRINT_TX', 'bool', '1', 'print tx details on page log lines'),
+      opt('print-tx-max', 'WITHDRAW2_PRINT_TX_MAX', 'int', '3', 'txs printed per page'),
+      opt('print-input-max', 'WITHDRAW2_PRINT_INPUT_MAX', 'int', '50', 'inputs printed per tx'),
+      opt('print-multi-tx-max', 'WITHDRAW2_PRINT_MULTI_TX_MAX', 'int', '10', 'multi-input tx samples'),
+      opt('print-with-dao-outputs-max', 'WITHDRAW2_PRINT_WITH_DAO_OUTPUTS_MAX', 'int', '8', 'samples of withdraw2 txs with DAO outputs'),
+      FOLLOW_FLAG,
+      ...FOLLOW_OPTIONS,
+    ],
+  },
+  miner: {
+    module: './miner_reward.js',
+    summary: 'secondary issuance paid to miners, per epoch',
+    options: [
+      opt('start', 'START', 'block', '1', 'first block'),
+      opt('end', 'END', 'block', null, 'last block (default: tip)'),
+      opt('concurrency', 'CONCURRENCY', 'int', '16', 'parallel header fetch workers'),
+      opt('window-mult', 'WINDOW_MULT', 'int', '200', 'window size = concurrency * window-mult'),
+      opt('batch-size', 'BATCH_SIZE', 'int', '50', 'headers per JSON-RPC batch call'),
+      opt('epoch-print-step', 'EPOCH_PRINT_STEP', 'int', '1000', 'print check samples every N epochs (0 = off)'),
+      opt('checkpoint-file', 'CHECKPOINT_FILE', 'string', '.checkpoints/miner_reward.json', 'checkpoint path'),
+      opt('checkpoint-every', 'CHECKPOINT_EVERY', 'int', '100000', 'blocks between checkpoint writes (0 = off)'),
+      opt('resume', 'RESUME', 'bool', '0', 'continue from the checkpoint'),
+      opt('epoch-export', 'EPOCH_EXPORT', 'bool', '1', 'write <export-dir>/miner_epochs.{csv,json}'),
+      FOLLOW_FLAG,
+      ...FOLLOW_OPTIONS,
+    ],
+  },
+  total: {
+    module: './secondary_issuance_total.js',
+    summary: 'total secondary issuance up to the tip',
+    options: [
+      opt('mode', 'MODE', 'enum', 'exact', 'estimate from the epoch, exact from the header C field, or project forward',
+        { values: ['exact', 'estimate', 'project'] }),
+      opt('scan', 'SCAN', 'bool', '0', 'also sum the per-block rewards with a full header scan'),
+      opt('epochs', 'PROJECT_EPOCHS', 'int', '10950', 'project: epochs to forecast'),
+      opt('dao-deposits', 'PROJECT_DAO_DEPOSITS', 'hex', null, 'project: DAO deposits in shannons (default: live deposit cells)'),
+      opt('dao-growth', 'PROJECT_DAO_GROWTH', 'number', '0', 'project: DAO deposit growth, % per year'),
+      opt('occupied-growth', 'PROJECT_OCCUPIED_GROWTH', 'number', '0', 'project: occupied capacity growth, % per year'),
+      opt('epochs-per-year', 'PROJECT_EPOCHS_PER_YEAR', 'int', '2190', 'project: epochs per year'),
+      opt('print-every', 'PROJECT_PRINT_EVERY', 'int', null, 'project: epochs per printed line (default: one year)'),
+      opt('export', 'PROJECT_EXPORT', 'bool', '1', 'project: write <export-dir>/issuance_projection.{csv,json}'),
+    ],
+  },
+  report: {
+    module: './issuance_report.js',
+    summary: 'miner / DAO / treasury split of the secondary issuance of a block range',
+    options: [
+      opt('from', 'FROM', 'block', '1', 'first block'),
+      opt('to', 'TO', 'block', null, 'last block (default: snapshot block)'),
+    ],
+  },
+  lifecycle: {
+    module: './dao_lifecycle.js',
+    summary: 'one record per NervosDAO deposit: deposit / prepare / withdraw',
+    options: [
+      opt('tx-limit', 'LIFECYCLE_TX_LIMIT', 'hex', '0x3e8', 'get_transactions page size'),
+      opt('page-log-every', 'LIFECYCLE_PAGE_LOG_EVERY', 'int', '50', 'page line every N pages'),
+      opt('export', 'LIFECYCLE_EXPORT', 'bool', '1', 'write <export-dir>/dao_lifecycle.{csv,json}'),
+      opt('print-issues', 'LIFECYCLE_PRINT_ISSUES', 'int', '20', 'flagged records to print'),
+      opt('cross-check', 'CROSS_CHECK', 'bool', '0', 'compare with the claimed / unclaimed scans'),
+    ],
+  },
+  reconcile: {
+    module: './dao_reconcile.js',
+    summary: 'claimed + unclaimed compensation against the DAO share implied by AR, at one pinned tip',
+    options: [
+      opt('tolerance', 'RECONCILE_TOLERANCE', 'int', null, 'residual in shannons still accepted (default: 1 per DAO cell)'),
+      opt('top', 'RECONCILE_TOP', 'int', '20', 'cells off their share to print'),
+      opt('export', 'RECONCILE_EXPORT', 'bool', '1', 'write <export-dir>/dao_reconcile_cells.{csv,json}'),
+    ],
+  },
+  readiness: {
+    module: './dao_withdraw_readiness.js',
+    summary: 'when prepared DAO cells unlock, and deposits close to a 180-epoch cycle boundary',
+    options: [
+      opt('boundary-epochs', 'READINESS_BOUNDARY_EPOCHS', 'int', '6', 'list deposits whose cycle ends within N epochs'),
+      opt('epochs', 'READINESS_EPOCHS', 'int', '42', 'upcoming epochs printed in the unlock schedule'),
+      opt('sample-blocks', 'READINESS_SAMPLE_BLOCKS', 'int', '10000', 'blocks averaged for the epoch duration'),
+      opt('print', 'READINESS_PRINT', 'int', '20', 'near-boundary deposits to print'),
+      opt('export', 'READINESS_EXPORT', 'bool', '1', 'write <export-dir>/dao_withdraw_readiness.*, dao_unlock_by_{epoch,day}.*, dao_deposits_near_boundary.*'),
+    ],
+  },
+  series: {
+    module: './dao_header_series.js',
+    summary: 'time series of the header dao field (C / AR / S / U) with U/C, DAO deposit ratio and yield',
+    options: [
+      opt('every', 'SERIES_EVERY', 'enum', 'day', 'sample granularity', { values: ['block', 'epoch', 'day'] }),
+      opt('step', 'SERIES_STEP', 'int', '1', 'every=block: sample every N blocks'),
+      opt('from', 'SERIES_FROM', 'block', '0', 'first block'),
+      opt('to', 'SERIES_TO', 'block', null, 'last block (default: snapshot block)'),
+      opt('deposits', 'SERIES_DEPOSITS', 'bool', '1', 'replay the DAO transactions for the deposit ratio'),
+      opt('batch', 'SERIES_BATCH', 'int', '1000', 'headers per batch call'),
+      opt('log-every', 'SERIES_LOG_EVERY', 'int', '1000', 'progress line every N samples'),
+      opt('json', 'SERIES_JSON', 'bool', '1', 'also write the column-major <export-dir>/dao_header_series.json'),
+    ],
+  },
+  follow: {
+    module: './follow.js',
+    summary: 'keep miner / claimed / unclaimed totals current as blocks arrive (rolls back reorgs)',
+    options: [
+      ...FOLLOW_OPTIONS,
+      opt('checkpoint-file', 'CHECKPOINT_FILE', 'string', '.checkpoints/miner_reward.json', 'miner checkpoint reused by the initial scan'),
+    ],
+  },
+  metrics: {
+    module: './metrics_server.js',
+    summary: 'Prometheus /metrics endpoint with the follow-mode figures and scan health',
+    options: [
+      opt('host', 'METRICS_HOST', 'string', '127.0.0.1', 'listen address'),
+      opt('port', 'METRICS_PORT', 'int', '9464', 'listen port'),
+      ...FOLLOW_OPTIONS,
+      opt('checkpoint-file', 'CHECKPOINT_FILE', 'string', '.checkpoints/miner_reward.json', 'miner checkpoint reused by the initial scan'),
+    ],
+  },
+};
+
+/* ----------------------- parsing ----------------------- */
+
+function normalize(o, value, source) {
+  try {
+    if (o.type === 'enum') {
+      const s = String(value);
+      if (!o.values.includes(s)) throw new Error(`expected one of ${o.values.join('|')}, got ${s}`);
+      return s;
+    }
+    return TYPES[o.type](value);
+  } catch (e) {
+    throw new Error(`${source} --${o.flag}: ${e.message}`);
+  }
+}
+
+// argv after the command name -> { values: flag -> raw value, config, help }
+export function parseArgs(argv, options) {
+  const byFlag = new Map(options.map(o => [o.flag, o]));
+  const values = new Map();
+  let config = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--help' || a === '-h') {
+      help = true;
+      continue;
+    }
+    if (!a.startsWith('--')) throw new Error(`unexpected argument: ${a}`);
+
+    let [name, inline] = a.slice(2).split(/=(.*)/s, 2);
+    if (name === 'config') {
+      config = inline ?? argv[++i];
+      if (config === undefined) throw new Error('--config needs a file');
+      continue;
+    }
+    let negated = false;
+    if (!byFlag.has(name) && name.startsWith('no-') && byFlag.get(name.slice(3))?.type === 'bool') {
+      name = name.slice(3);
+      negated = true;
+    }
+    const o = byFlag.get(name);
+    if (!o) throw new Error(`unknown option --${name} (see --help)`);
+
+    if (o.type === 'bool' && inline === undefined) {
+      values.set(name, negated ? '0' : '1');
+      continue;
+    }
+    if (negated) throw new Error(`--no-${name} takes no value`);
+    const v = inline ?? argv[++i];
+    if (v === undefined) throw new Error(`--${name} needs a value`);
+    values.set(name, v);
+  }
+  return { values, config, help };
+}
+
+export function loadConfig(file, command) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`config ${file}: ${e.message}`);
+  }
+  const out = new Map();
+  for (const [k, v] of Object.entries(raw)) {
+    if (v !== null && typeof v === 'object' && !Array.isArray(v)) continue;
+    out.set(k, v);
+  }
+  const own = raw[command];
+  if (own && typeof own === 'object') for (const [k, v] of Object.entries(own)) out.set(k, v);
+  return out;
+}
+
+// flag > config file > env > default; only flag/config values are written to env
+export function resolveEnv(options, flags, config, env) {
+  const byFlag = new Map(options.map(o => [o.flag, o]));
+  for (const k of config.keys()) {
+    if (!byFlag.has(k)) throw new Error(`config: unknown option "${k}"`);
+  }
+  const out = {};
+  for (const o of options) {
+    if (flags.has(o.flag)) out[o.env] = normalize(o, flags.get(o.flag), 'flag');
+    else if (config.has(o.flag)) out[o.env] = normalize(o, config.get(o.flag), 'config');
+    else if (env[o.env] !== undefined && env[o.env] !== '') normalize(o, env[o.env], `env ${o.env} for`);
+  }
+  return out;
+}
+
+/* ----------------------- help ----------------------- */
+
+// --config / --help, listed with the common options
+const META_OPTIONS = [
+  opt('config', 'SECONDARY_ISSUANCE_CONFIG', 'file', null, 'JSON config file'),
+  opt('help', null, 'none', null, 'this text'),
+];
+
+function optionLines(options) {
+  const left = (o) => {
+    const arg = o.type === 'bool' || o.type === 'none' ? '' : o.type === 'enum' ? ` <${o.values.join('|')}>` : ` <${o.type}>`;
+    return `  --${o.type === 'bool' ? '[no-]' : ''}${o.flag}${arg}`;
+  };
+  const width = Math.max(...options.map(o => left(o).length)) + 2;
+  return options.map((o) => {
+    const def = o.default === null ? '' : o.type === 'bool' ? ` (default: ${o.default === '1'})` : ` (default: ${o.default || '""'})`;
+    return `${left(o).padEnd(width)}${o.help}${def}${o.env ? ` [env ${o.env}]` : ''}`;
+  });
+}
+
+function usage(command) {
+  const lines = [];
+  if (!command) {
+    lines.push('usage: secondary-issuance <command> [options]', '', 'commands:');
+    const w = Math.max(...Object.keys(COMMANDS).map(c => c.length)) + 2;
+    for (const [name, c] of Object.entries(COMMANDS)) lines.push(`  ${name.padEnd(w)}${c.summary}`);
+    lines.push('', 'run `secondary-issuance <command> --help` for the options of a command.');
+  } else {
+    lines.push(`usage: secondary-issuance ${command} [options]`, '', COMMANDS[command].summary, '', 'options:');
+    lines.push(...optionLines(COMMANDS[command].options));
+  }
+  lines.push('', 'common options:', ...optionLines([...META_OPTIONS, ...COMMON_OPTIONS]));
+  lines.push('', 'precedence: --flag > config file > env var > default');
+  return lines.join('\n');
+}
+
+/* ----------------------- main ----------------------- */
+
+async function cli(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    console.log(usage(null));
+    return;
+  }
+  const cmd = COMMANDS[command];
+  if (!cmd) throw new Error(`unknown command "${command}"; one of ${Object.keys(COMMANDS).join('|')}`);
+
+  const options = [...cmd.options, ...COMMON_OPTIONS];
+  const { values, config, help } = parseArgs(rest, options);
+  if (help) {
+    console.log(usage(command));
+    return;
+  }
+
+  const configFile = config ?? process.env.SECONDARY_ISSUANCE_CONFIG;
+  const fromConfig = configFile ? loadConfig(configFile, command) : new Map();
+  Object.assign(process.env, resolveEnv(options, values, fromConfig, process.env));
+
+  // modules read their env at import time, so load them only now
+  const { runReport } = await import('./entry.js');
+  const module = process.env.FOLLOW === '1' && cmd.options.includes(FOLLOW_FLAG) ? COMMANDS.follow.module : cmd.module;
+  const mod = await import(module);
+  runReport(module.replace(/^\.\/|\.js$/g, ''), mod.main);
+}
+
+// also started through the npm bin symlink
+function isMain() {
+  if (!process.argv[1]) return false;
+  try {
+    return import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href;
+  } catch {
+    return false;
+  }
+}
+
+if (isMain()) {
+  cli(process.argv.slice(2)).catch((e) => {
+    console.error(`secondary-issuance: ${e.message}`);
+    process.exit(2);
+  });
+}
@@ -0,0 +1,71 @@
+// src/dao.js
+// NervosDAO compensation rules, shared by every script that values a DAO cell.
+//
+//   compensation     = free * AR_withdraw / AR_deposit - free          (free = capacity - occupied)
+//   maximum withdraw = capacity + compensation
+//
+// "withdraw" is the block the compensation stops at: the prepare block for a prepare cell,
+// or any later block (usually the tip) for a deposit cell that is still deposited.
+//
+// Earliest withdraw: a deposit is locked in 180-epoch cycles counted from the deposit epoch;
+// a prepare cell can be spent at deposit epoch + the number of full cycles its prepare block
+// started (rounded up), same index/length as the deposit epoch.
+//
+// Headers are anything with the RPC `dao` / `epoch` hex fields; cells are get_cells-shaped
+// `{ output, output_data }`.
+
+import { occupiedCapacity } from './ckb_capacity.js';
+import { parseDao, parseEpochPacked } from './ckb_header.js';
+
+export const DAO_LOCK_PERIOD_EPOCHS = 180;
+
+const u64le = (x, name) => {
+  const v = BigInt(x);
+  if (v < 0n || v >= 1n << 64n) throw new RangeError(`${name} does not fit in u64: ${v}`);
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64LE(v);
+  return b.toString('hex');
+};
+
+/* ----------------------- dao field ----------------------- */
+
+// 32-byte dao field -> { C, AR, S, U }
+export const unpackDao = parseDao;
+
+// { C, AR, S, U } -> 32-byte dao field
+export function packDao({ C, AR, S, U }) {
+  return '0x' + u64le(C, 'C') + u64le(AR, 'AR') + u64le(S, 'S') + u64le(U, 'U');
+}
+
+/* ----------------------- compensation ----------------------- */
+
+// the formula itself, for callers that already hold the two AR values
+export function daoCompensation(free, arDeposit, arWithdraw) {
+  if (arDeposit <= 0n) throw new RangeError(`deposit AR must be positive, got ${arDeposit}`);
+  return (free * arWithdraw) / arDeposit - free;
+}
+
+export function calculateDaoCompensation(cell, depositHeader, withdrawHeader) {
+  const free = BigInt(cell.output.capacity) - occupiedCapacity(cell.output, cell.output_data);
+  if (free < 0n) throw new RangeError(`cell capacity ${cell.output.capacity} is below its occupied capacity`);
+  return daoCompensation(free, unpackDao(depositHeader.dao).AR, unpackDao(withdrawHeader.dao).AR);
+}
+
+export function calculateMaximumWithdraw(cell, depositHeader, withdrawHeader) {
+  return BigInt(cell.output.capacity) + calculateDaoCompensation(cell, depositHeader, withdrawHeader);
+}
+
+/* ----------------------- lock period ----------------------- */
+
+// earliest epoch (as { number, index, length }) at which the prepare cell can be withdrawn
+export function calculateDaoEarliestSinceEpoch(depositHeader, withdrawHeader) {
+  const deposit = parseEpochPacked(depositHeader.epoch);
+  const withdraw = parseEpochPacked(withdrawHeader.epoch);
+
+  // epochs started since the deposit, a partial epoch counting as one
+  let depositedEpochs = withdraw.number - deposit.number;
+  if (withdraw.index * deposit.length > deposit.index * withdraw.length) depositedEpochs += 1;
+
+  const lockEpochs = Math.ceil(depositedEpochs / DAO_LOCK_PERIOD_EPOCHS) * DAO_LOCK_PERIOD_EPOCHS;
+  return { number: deposit.number + lockEpochs, index: deposit.index, length: deposit.length };
+}
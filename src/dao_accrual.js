@@ -0,0 +1,99 @@
+// src/dao_accrual.js
+// The NervosDAO share of the secondary issuance, block by block.
+//
+// Block i issues s_i and the DAO gets s_i * E_{i-1} / C_{i-1} of it, E being the capacity of the
+// accruing DAO cells including the compensation accrued so far. The header has no E, but a cell
+// accruing since block a holds free * AR_{i-1} / AR_a, so E_{i-1} = AR_{i-1} * W_{i-1} with
+// W = sum of free / AR_a over the cells accruing at i-1. A cell accrues over (start, end]: from its
+// deposit block to its prepare block, or to the tip while it is still deposited.
+//
+// The cells come from the lifecycle index (dao_lifecycle.js); dao_reconcile.js and the per-epoch
+// table of miner_reward.js both walk the headers with createAccrual().
+
+// amounts are summed in 10^-12 shannons, W in units of 10^-40 (free / AR is around 10^-16 per shannon)
+export const SCALE = 10n ** 12n;
+export const W_UNIT = 10n ** 40n;
+
+// scaled -> shannons, rounded half away from zero
+export function roundScaled(x) {
+  const r = ((x < 0n ? -x : x) + SCALE / 2n) / SCALE;
+  return x < 0n ? -r : r;
+}
+
+// lifecycle record -> the cell that carries its compensation at the tip and the blocks it accrues
+// over, (start, end]; a deposit spent without a prepare step was paid nothing and accrues over none
+export function accrualCells(records, tipNumber) {
+  return records.map((r) => {
+    const start = r.recorded_deposit_block ?? r.deposit_block;
+    const accrues = start !== null && !(r.withdraw_tx && !r.prepare_tx);
+    return {
+      cell: r.prepare_tx ? `${r.prepare_tx}:${Number(r.prepare_index)}` : `${r.deposit_tx}:${Number(r.deposit_index)}`,
+      state: r.state,
+      address: r.address,
+      free_capacity: r.free_capacity,
+      start: accrues ? BigInt(start) : null,
+      end: accrues ? BigInt(r.prepare_block ?? tipNumber) : null,
+      flags: r.flags,
+    };
+  });
+}
+
+// s_i * AR_{i-1} * W_{i-1} / C_{i-1}, scaled
+export function daoShareScaled(s, prevC, prevAR, W) {
+  return (s * prevAR * W * SCALE) / (prevC * W_UNIT);
+}
+
+/**
+ * W of the accruing cells, kept per bucket (bucketOf(cell)) as the headers are walked in order.
+ * first: the first block a cell starts at (null if none accrues). Call step(n, AR_n) after the share
+ * of block n is taken: cells starting at n join at AR_n and cells ending at n leave; it returns the
+ * cells that left (arStart is set on every cell that joined).
+ */
+export function createAccrual(cells, { buckets = ['dao'], bucketOf = () => 'dao' } = {}) {
+  const atBlock = new Map(); // block -> cells starting or ending there
+  const live = [];
+  let first = null;
+  for (const c of cells) {
+    if (c.start === null || c.start >= c.end) continue;
+    live.push(c);
+    for (const b of [c.start, c.end]) {
+      const key = b.toString();
+      if (!atBlock.has(key)) atBlock.set(key, []);
+      atBlock.get(key).push(c);
+    }
+    if (first === null || c.start < first) first = c.start;
+  }
+
+  const W = Object.fromEntries(buckets.map(b => [b, 0n]));
+  const weight = (c) => (c.free_capacity * W_UNIT) / c.arStart;
+
+  return {
+    first,
+    W,
+    total: () => buckets.reduce((a, b) => a + W[b], 0n),
+    // for a walk starting at block `from`: the cells accruing over it join at the AR of their
+    // start block, arAt(blocks) -> AR[]
+    async seed(from, arAt) {
+      const open = live.filter(c => c.start < BigInt(from) && c.end >= BigInt(from));
+      const ars = open.length > 0 ? await arAt(open.map(c => c.start)) : [];
+      open.forEach((c, i) => {
+        c.arStart = ars[i];
+        W[bucketOf(c)] += weight(c);
+      });
+    },
+    step(n, AR) {
+      const left = [];
+      for (const c of atBlock.get(n.toString()) ?? []) {
+        if (c.start === n) {
+          c.arStart = AR;
+          W[bucketOf(c)] += weight(c);
+        }
+        if (c.end === n) {
+          W[bucketOf(c)] -= weight(c);
+          left.push(c);
+        }
+      }
+      return left;
+    },
+  };
+}
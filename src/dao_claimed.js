@@ -1,67 +1,22 @@
-import {  formatCKB, freeCapacity } from './ckb_capacity.js';
-
-const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8114';
-
-/* ----------------------- RPC helper ----------------------- */
-
-async function rpc(method, params, { timeoutMs = 30_000, retries = 3 } = {}) {
-  let lastErr;
-  for (let i = 1; i <= retries; i++) {
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
-    try {
-      const res = await fetch(RPC_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
-        signal: ctrl.signal,
-      });
-
-      const json = await res.json();
-      if (json.error) throw new Error(`${method} error: ${JSON.stringify(json.error)}`);
-      return json.result;
-    } catch (e) {
-      lastErr = e;
-      // 打印失败，避免“无声”
-      console.error(`[rpc] ${method} attempt ${i}/${retries} failed:`, e?.message || e);
-      await new Promise(r => setTimeout(r, 300 * i));
-    } finally {
-      clearTimeout(t);
-    }
-  }
-  throw lastErr;
-}
-
-/* ----------------------- DAO constants ----------------------- */
-
-// mainnet DAO type script
-const DAO_TYPE = {
-  code_hash: '0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e',
-  hash_type: 'type',
-  args: '0x',
-};
-
-function isDaoTypeScript(type) {
-  return (
-    type &&
-    type.code_hash === DAO_TYPE.code_hash &&
-    type.hash_type === DAO_TYPE.hash_type &&
-    (type.args || '0x') === (DAO_TYPE.args || '0x')
-  );
-}
+import { formatCKB, freeCapacity } from './ckb_capacity.js';
+import { RPC_URL, rpc } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { runMain } from './entry.js';
+import { getNetwork, isDaoTypeScript } from './network.js';
+import { lockKey, parseAddressList } from './address.js';
+import { emitProgress } from './output.js';
+import { daoCompensation, unpackDao } from './dao.js';
+import { mapLimit } from './pipeline.js';
+import { createLruCache } from './lru.js';
+import { checkSnapshot, snapshotTip, takeSnapshot } from './snapshot.js';
+
+/* ----------------------- DAO helpers ----------------------- */
 
 // prepare-withdraw cell: output_data != 0x000..00
 function isPrepareDaoData(dataHex) {
   return !!dataHex && dataHex !== '0x0000000000000000';
 }
 
-/* ----------------------- DAO header parsing ----------------------- */
-
-function parseDaoAR(daoHex) {
-  const buf = Buffer.from(daoHex.slice(2), 'hex');
-  return buf.readBigUInt64LE(8);
-}
-
 /* ----------------------- prepare data parsing ----------------------- */
 
 // prepare-withdraw cell: output_data is u64 little-endian = deposit block number
@@ -80,47 +35,135 @@ function parsePrepareBlockNumberHex(outputData) {
   return '0x' + bn.toString(16);
 }
 
-/* ----------------------- concurrency helper ----------------------- */
+/* ----------------------- caches ----------------------- */
 
-async function mapLimit(arr, limit, fn) {
-  let i = 0;
-  const workers = Array.from({ length: limit }, async () => {
-    while (true) {
-      const idx = i++;
-      if (idx >= arr.length) return;
-      await fn(arr[idx], idx);
-    }
+// the scan keeps no per-tx state: prepare cells wait in a per-shard map from their prepare tx
+// until a withdraw consumes them; everything else is bounded by WITHDRAW2_CACHE_SIZE.
+// The LRUs are shared by the shards and only save refetches: each page copies what it uses into
+// its own maps first, so an entry evicted meanwhile (by a large tx or another shard) is not lost.
+const CACHE_SIZE = Math.max(1, Number(process.env.WITHDRAW2_CACHE_SIZE || '100000'));
+
+// AR by block_number hex
+const arCache = createLruCache(CACHE_SIZE);
+
+// prepare cells created before a shard starts: out point -> record (null: not a prepare cell)
+const prevCellCache = createLruCache(CACHE_SIZE);
+
+// block_number hex -> AR, for one page
+async function loadARs(bnHexes) {
+  const ars = new Map();
+  const missing = [];
+  for (const bn of new Set(bnHexes)) {
+    if (arCache.has(bn)) ars.set(bn, arCache.get(bn));
+    else missing.push(bn);
+  }
+  if (missing.length === 0) return ars;
+  const headers = await headerCache.getManyByNumber(missing);
+  headers.forEach((h, i) => {
+    const AR = unpackDao(h.dao).AR;
+    arCache.set(missing[i], AR);
+    ars.set(missing[i], AR);
   });
-  await Promise.all(workers);
+  return ars;
 }
 
-/* ----------------------- caches ----------------------- */
+/* ----------------------- prepare cells ----------------------- */
 
-// get_transaction cache
-const txCache = new Map();
+const outPointKey = (txHash, index) => `${txHash}:${Number(index)}`;
 
-async function getTx(txHash) {
-  if (txCache.has(txHash)) return txCache.get(txHash);
-  const v = await rpc('get_transaction', [txHash], { timeoutMs: 120_000, retries: 5 });
-  txCache.set(txHash, v);
-  return v;
+// what the reward needs from a prepare cell, so the prepare tx is not kept around
+function prepareRecord(output, data, prepareBnHex) {
+  return {
+    lock: lockKey(output.lock),
+    free: freeCapacity(output, data),
+    depositBn: parsePrepareBlockNumberHex(data),
+    prepareBn: prepareBnHex,
+  };
 }
 
-// AR cache by block_number hex
-const arCache = new Map();
+// DAO txs of one search key in chain order, one array per get_transactions page:
+// { hash, block, daoInputs: [input index] }. A tx whose objects straddle two pages
+// comes with the later page, so its DAO inputs are complete.
+async function* daoTxPages(searchKey, pageLimit, stats) {
+  let cursor = null;
+  let carry = null;
+  while (true) {
+    const params = [searchKey, 'asc', pageLimit];
+    if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
+
+    const t0 = Date.now();
+    const res = await rpc('get_transactions', params, { timeoutMs: 120_000, retries: 5 });
+    const objs = res.objects || [];
+    stats.pages++;
+
+    const txs = [];
+    let cur = carry;
+    let cntInput = 0, cntOutput = 0, cntOther = 0;
+    for (const o of objs) {
+      stats.seenObjects++;
+      const h = o.tx_hash ?? o.txHash;
+      const ioType = o.io_type ?? o.ioType;
+      if (!cur || cur.hash !== h) {
+        if (cur) txs.push(cur);
+        cur = { hash: h, block: o.block_number ?? o.blockNumber, daoInputs: [] };
+      }
+      if (ioType === 'input') {
+        cntInput++;
+        stats.seenInputObjects++;
+        cur.daoInputs.push(Number(o.io_index ?? o.ioIndex));
+      } else if (ioType === 'output') {
+        cntOutput++;
+      } else {
+        cntOther++;
+      }
+    }
+
+    const last = res.last_cursor;
+    const done = objs.length === 0 || !last || last === '0x' || last === '0x0';
+    carry = cur;
+    if (done && carry) {
+      txs.push(carry);
+      carry = null;
+    }
+    yield { txs, objects: objs.length, cntInput, cntOutput, cntOther, dt: ((Date.now() - t0) / 1000).toFixed(2), done };
+    if (done) return;
+    cursor = last;
+  }
+}
 
-async function getARByBlockNumberHex(bnHex) {
-  if (arCache.has(bnHex)) return arCache.get(bnHex);
-  const h = await rpc('get_header_by_number', [bnHex], { timeoutMs: 120_000, retries: 5 });
-  const ar = parseDaoAR(h.dao);
-  arCache.set(bnHex, ar);
-  return ar;
+// [from, to) hex -> `n` contiguous [from, to) hex ranges
+function splitRange(fromHex, toHex, n) {
+  const from = BigInt(fromHex);
+  const to = BigInt(toHex);
+  const size = (to - from + BigInt(n) - 1n) / BigInt(n);
+  const ranges = [];
+  for (let a = from; a < to; a += size) ranges.push(['0x' + a.toString(16), '0x' + (a + size < to ? a + size : to).toString(16)]);
+  return ranges.length > 0 ? ranges : [[fromHex, toHex]];
 }
 
 /* ----------------------- core: withdraw2 reward ----------------------- */
 
 // core: withdraw2 reward (per-DAO-input reward)
-async function computeWithdraw2Reward() {
+// blockFrom/blockTo: hex, indexer block_range [from, to); defaults [0, snapshot + 1)
+// snapshot: the block the run is pinned to (default: take one now, see snapshot.js); blockTo may not pass it
+// addresses: optional holder addresses; only their prepare-withdraw inputs are counted
+// shards: the range is split into this many block ranges, scanned in parallel and summed
+// onInput({ tx_hash, out_point, reward }): called for every counted prepare-cell input
+// returns { totalReward, withdraw2Txs, uniqueTxs, seenObjects, seenInputObjects, pages, shards, blockRange, elapsedSec }
+//
+// DAO txs are read in chain order and only those with DAO inputs are fetched (once). A prepare tx
+// leaves its prepare cells in a per-shard map, and the withdraw that spends one takes it out
+// again, so prepare txs are not fetched a second time and memory follows the live prepare cells.
+// Inputs whose prepare cell came before the shard start are resolved with get_transaction
+// through a bounded LRU.
+export async function computeWithdraw2Reward({
+  blockFrom = process.env.WITHDRAW2_BLOCK_RANGE_FROM || null,
+  blockTo = process.env.WITHDRAW2_BLOCK_RANGE_TO || null,
+  addresses = [],
+  shards = Number(process.env.WITHDRAW2_SHARDS || '1'),
+  onInput = null,
+  snapshot = null,
+} = {}) {
   const pageLimit        = process.env.WITHDRAW2_TX_LIMIT || '0x3e8';
   const CONCURRENCY      = Number(process.env.WITHDRAW2_TX_CONCURRENCY || '60');
   const LOG_EVERY        = Number(process.env.WITHDRAW2_LOG_EVERY || '20000');
@@ -137,33 +180,38 @@ async function computeWithdraw2Reward() {
   // ✅ 新增：抽样打印 “withdraw2 但 outputs 仍包含 DAO cell”的 tx（不再过滤 outputs）
   const PRINT_WITH_DAO_OUTPUTS_MAX = Number(process.env.WITHDRAW2_PRINT_WITH_DAO_OUTPUTS_MAX || '8');
 
-  const blockFrom = process.env.WITHDRAW2_BLOCK_RANGE_FROM || null;
-  const blockTo   = process.env.WITHDRAW2_BLOCK_RANGE_TO   || null;
+  const net = await getNetwork();
+  const locks = parseAddressList(addresses.join(','), net.addressPrefix);
+  const lockFilter = locks.length > 0 ? new Set(locks.map(lockKey)) : null;
+
+  // nothing past the snapshot, however far the indexer gets during the scan
+  snapshot ??= await takeSnapshot();
+  const snapshotEnd = BigInt(snapshot.block_number) + 1n;
+  blockFrom ||= '0x0';
+  blockTo ||= '0x' + snapshotEnd.toString(16);
+  if (BigInt(blockTo) > snapshotEnd) {
+    throw new Error(`block range end ${blockTo} is past the snapshot block ${snapshotEnd - 1n}`);
+  }
+  shards = Math.max(1, shards || 1);
+  const ranges = shards > 1 ? splitRange(blockFrom, blockTo, shards) : [[blockFrom, blockTo]];
 
   console.log('--------------------------------');
   console.log('[withdraw2] start scan');
   console.log('[withdraw2] RPC_URL              =', RPC_URL);
+  console.log('[withdraw2] network              =', net.name);
   console.log('[withdraw2] page_limit           =', pageLimit);
-  console.log('[withdraw2] concurrency          =', CONCURRENCY);
+  console.log('[withdraw2] concurrency          =', CONCURRENCY, shards > 1 ? `per shard, shards=${ranges.length}` : '');
+  console.log('[withdraw2] cache_size           =', CACHE_SIZE);
   console.log('[withdraw2] log_every            =', LOG_EVERY);
   console.log('[withdraw2] page_log_every       =', PAGE_LOG_EVERY);
-  if (blockFrom && blockTo) console.log('[withdraw2] block_range          =', `[${blockFrom}, ${blockTo})`);
+  console.log('[withdraw2] block_range          =', `[${blockFrom}, ${blockTo})`, `snapshot=${snapshot.block_hash}`);
+  if (lockFilter) console.log('[withdraw2] addresses            =', addresses.join(','));
   console.log('[withdraw2] print_tx             =', PRINT_TX, `max_tx_per_page=${PRINT_TX_MAX}`, `max_inputs_per_tx=${PRINT_INPUT_MAX}`);
   console.log('[withdraw2] print_multi_tx_max   =', PRINT_MULTI_TX_MAX);
   console.log('[withdraw2] print_with_dao_outputs_max =', PRINT_WITH_DAO_OUTPUTS_MAX);
 
   function isDaoType(type) {
-    return (
-      type &&
-      type.code_hash === DAO_TYPE.code_hash &&
-      type.hash_type === DAO_TYPE.hash_type &&
-      (type.args || '0x') === (DAO_TYPE.args || '0x')
-    );
-  }
-
-  // prepare-withdraw cell: output_data != 0x000..00
-  function isPrepareDaoData(dataHex) {
-    return !!dataHex && dataHex !== '0x0000000000000000';
+    return isDaoTypeScript(type, net.daoType);
   }
 
   // withdraw2（以前用于过滤）：outputs 是否仍包含 DAO cell
@@ -174,27 +222,27 @@ async function computeWithdraw2Reward() {
     return false;
   }
 
-  async function mapLimit(arr, limit, fn) {
-    let i = 0;
-    const workers = Array.from({ length: limit }, async () => {
-      while (true) {
-        const idx = i++;
-        if (idx >= arr.length) return;
-        await fn(arr[idx], idx);
-      }
+  // out point -> prepare record from the tx that created it (null: not a prepare cell), into `cells`
+  async function fetchPrevCells(outPoints, cells) {
+    const txHashes = [...new Set(outPoints.map(op => op.tx_hash))];
+    await mapLimit(txHashes, CONCURRENCY, async (txHash) => {
+      const wrap = await rpc('get_transaction', [txHash], { timeoutMs: 120_000, retries: 5 });
+      const ptx = wrap?.transaction;
+      const bn = wrap?.tx_status?.block_number;
+      (ptx?.outputs || []).forEach((out, j) => {
+        const data = (ptx.outputs_data || [])[j];
+        const isPrepare = out?.type && isDaoType(out.type) && isPrepareDaoData(data) && bn;
+        const key = outPointKey(txHash, j);
+        const rec = isPrepare ? prepareRecord(out, data, bn) : null;
+        prevCellCache.set(key, rec);
+        cells.set(key, rec);
+      });
     });
-    await Promise.all(workers);
   }
 
-  let cursor = null;
-  let page = 0;
-
-  let seenObjects = 0;
-  let seenInputObjects = 0;
-
-  // ✅ 全局 tx 去重：避免同一 tx 被 objects 重复打到
-  const seenTx = new Set();
+  const started = Date.now();
 
+  // ✅ 统计：按 “每个 input cell 的 reward” 累加 (all shards)
   let withdraw2Txs = 0;
   let totalReward = 0n;
 
@@ -204,198 +252,216 @@ async function computeWithdraw2Reward() {
   // ✅ 新增：withdraw2 但 outputs 仍含 DAO 的抽样
   const daoOutputsSamples = [];
 
-  const started = Date.now();
-
-  while (true) {
-    page++;
-    const shouldLogPage = page % PAGE_LOG_EVERY === 0;
-
-    const searchKey = { script: DAO_TYPE, script_type: 'type' };
-    if (blockFrom && blockTo) searchKey.block_range = [blockFrom, blockTo];
-
-    const params = [searchKey, 'desc', pageLimit];
-    if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
-
-    const t0 = Date.now();
-    const res = await rpc('get_transactions', params, { timeoutMs: 120_000, retries: 5 });
-    const dt = ((Date.now() - t0) / 1000).toFixed(2);
-
-    const objs = res.objects || [];
-    if (objs.length === 0) {
-      if (shouldLogPage) console.log(`[withdraw2] page=${page} objs=0 (${dt}s) -> stop`);
-      break;
-    }
-
-    let cntInput = 0, cntOutput = 0, cntOther = 0;
-    const inputTxHashes = [];
-
-    for (const o of objs) {
-      seenObjects++;
-      const ioType = o.io_type ?? o.ioType;
-
-      if (ioType === 'input') {
-        cntInput++;
-        seenInputObjects++;
-        const h = o.tx_hash ?? o.txHash;
-        if (h && !seenTx.has(h)) {
-          seenTx.add(h);
-          inputTxHashes.push(h);
+  // one indexer pass per filtered lock (DAO cells of that lock), or one over the DAO type script
+  const keyLocks = lockFilter ? [...new Map(locks.map(l => [lockKey(l), l])).values()] : [null];
+
+  async function scanShard(range, shardNo) {
+    const tag = ranges.length > 1 ? `[withdraw2 ${shardNo + 1}/${ranges.length}]` : '[withdraw2]';
+    const stats = { pages: 0, seenObjects: 0, seenInputObjects: 0, uniqueTxs: 0 };
+    // prepare cells created in this shard and not withdrawn yet
+    const prepares = new Map();
+    // a withdraw tx spending the cells of several filtered locks is counted once
+    const countedTx = keyLocks.length > 1 ? new Set() : null;
+
+    for (const keyLock of keyLocks) {
+      const searchKey = keyLock
+        ? { script: keyLock, script_type: 'lock', filter: { script: net.daoType } }
+        : { script: net.daoType, script_type: 'type' };
+      searchKey.filter = { ...searchKey.filter, block_range: range };
+      const passLock = keyLock ? lockKey(keyLock) : null;
+
+      for await (const pg of daoTxPages(searchKey, pageLimit, stats)) {
+        const page = stats.pages;
+        const shouldLogPage = page % PAGE_LOG_EVERY === 0;
+        if (shouldLogPage) {
+          console.log(
+            pg.objects === 0
+              ? `${tag} page=${page} objs=0 (${pg.dt}s) -> stop`
+              : `${tag} page=${page} objs=${pg.objects} dist input=${pg.cntInput} output=${pg.cntOutput} other=${pg.cntOther} (${pg.dt}s)`
+          );
         }
-      } else if (ioType === 'output') {
-        cntOutput++;
-      } else {
-        cntOther++;
-      }
-    }
-
-    if (shouldLogPage) {
-      console.log(
-        `[withdraw2] page=${page} objs=${objs.length} dist input=${cntInput} output=${cntOutput} other=${cntOther} (${dt}s)`
-      );
-    }
-
-    let withdrawInPage = 0;
-    let rewardInPage = 0n;
-
-    // page 日志页：最多打印几笔 tx 的明细
-    const pageTxDetailLines = [];
-    let pageTxPrinted = 0;
-
-    await mapLimit(inputTxHashes, CONCURRENCY, async (txHash) => {
-      const wrap = await getTx(txHash);
-      const tx = wrap?.transaction;
-      if (!tx) return;
-
-      // ✅ 不再过滤 outputsContainDaoCell(tx)，只记录用于抽样
-      const hasDaoOutputs = outputsContainDaoCell(tx);
-
-      // 扫 inputs：逐个找 prepare-withdraw DAO cell
-      let prepareInputs = 0;
-      let txRewardSum = 0n;
-
-      // 收集每个 input 的明细（只用于打印/抽样，不影响统计）
-      const perInputDetails = [];
-
-      const inputs = tx.inputs || [];
-      for (let inIdx = 0; inIdx < inputs.length; inIdx++) {
-        const inp = inputs[inIdx];
-        const prev = inp?.previous_output;
-        if (!prev?.tx_hash) continue;
-
-        // prevTx = prepare tx
-        const prevWrap = await getTx(prev.tx_hash);
-        const ptx = prevWrap?.transaction;
-        const pStatus = prevWrap?.tx_status;
-
-        if (!ptx?.outputs?.length) continue;
-
-        const outIndex = Number(prev.index);
-        const prevOut = ptx.outputs[outIndex];
-        const prevData = (ptx.outputs_data || [])[outIndex];
-
-        // 必须是 DAO type
-        if (!prevOut?.type || !isDaoType(prevOut.type)) continue;
-
-        // 必须是 prepare-withdraw cell（data 存 deposit block number）
-        if (!isPrepareDaoData(prevData)) continue;
-
-        // prepare height j：用 prepare tx 的确认高度（最可靠）
-        const prepareBnHex = pStatus?.block_number;
-        if (!prepareBnHex) continue;
-
-        const depositBnHex = parsePrepareBlockNumberHex(prevData);
 
-        // AR_i / AR_j
-        const AR_i = await getARByBlockNumberHex(depositBnHex);
-        const AR_j = await getARByBlockNumberHex(prepareBnHex);
-
-        // ✅ free capacity：必须用正确的 molecule sizing
-        //    这里假设你已经引入了 freeCapacity(output, dataHex)
-        //    如果你仍然是 cap-occ，也可以替换成：const free = BigInt(prevOut.capacity) - occupiedCapacity(prevOut, prevData);
-        const free = freeCapacity(prevOut, prevData);
-        if (free <= 0n) continue;
-
-        // reward_i = (free * AR_j) / AR_i - free
-        const reward = (free * AR_j) / AR_i - free;
-        if (reward <= 0n) continue;
-
-        prepareInputs++;
-        txRewardSum += reward;
-
-        if (perInputDetails.length < PRINT_INPUT_MAX) {
-          perInputDetails.push({
-            input_index: inIdx,
-            prev_tx_hash: prev.tx_hash,
-            prev_index: prev.index,
-            deposit_bn: depositBnHex,
-            prepare_bn: prepareBnHex,
-            free,
-            reward,
+        // only txs that spend DAO cells are fetched: prepare (spends deposits) and withdraw (spends prepares)
+        const txs = pg.txs.filter(t => t.daoInputs.length > 0);
+        stats.uniqueTxs += txs.length;
+        const wraps = new Array(txs.length);
+        await mapLimit(txs, CONCURRENCY, async (t, i) => {
+          wraps[i] = await rpc('get_transaction', [t.hash], { timeoutMs: 120_000, retries: 5 });
+        });
+
+        // DAO inputs -> prepare records: from this shard's prepare txs, or (created earlier) via the LRU
+        const resolved = txs.map(() => []);
+        const prevCells = new Map();
+        const unknown = [];
+        txs.forEach((t, k) => {
+          const tx = wraps[k]?.transaction;
+          if (!tx) return;
+          for (const inIdx of t.daoInputs) {
+            const prev = tx.inputs?.[inIdx]?.previous_output;
+            if (!prev?.tx_hash) continue;
+            const key = outPointKey(prev.tx_hash, prev.index);
+            const own = prepares.get(key);
+            if (own) {
+              prepares.delete(key);
+              resolved[k].push({ inIdx, prev, rec: own });
+              continue;
+            }
+            // a prepare output at the same index means this input is the deposit being prepared
+            const out = tx.outputs?.[inIdx];
+            if (out?.type && isDaoType(out.type) && isPrepareDaoData((tx.outputs_data || [])[inIdx])) continue;
+            resolved[k].push({ inIdx, prev, rec: undefined });
+            if (prevCells.has(key)) continue;
+            if (prevCellCache.has(key)) prevCells.set(key, prevCellCache.get(key));
+            else unknown.push(prev);
+          }
+          // this tx's own prepare cells, for the withdraws further on (in a lock pass, only that lock's)
+          (tx.outputs || []).forEach((out, j) => {
+            const data = (tx.outputs_data || [])[j];
+            if (!out?.type || !isDaoType(out.type) || !isPrepareDaoData(data)) return;
+            if (passLock && lockKey(out.lock) !== passLock) return;
+            prepares.set(outPointKey(t.hash, j), prepareRecord(out, data, t.block));
+          });
+        });
+        if (unknown.length > 0) await fetchPrevCells(unknown, prevCells);
+        for (const list of resolved) {
+          for (const r of list) if (r.rec === undefined) r.rec = prevCells.get(outPointKey(r.prev.tx_hash, r.prev.index)) ?? null;
+        }
+        const ars = await loadARs(resolved.flat().filter(r => r.rec).flatMap(r => [r.rec.depositBn, r.rec.prepareBn]));
+
+        let withdrawInPage = 0;
+        let rewardInPage = 0n;
+
+        // page 日志页：最多打印几笔 tx 的明细
+        const pageTxDetailLines = [];
+        let pageTxPrinted = 0;
+
+        txs.forEach((t, k) => {
+          const txHash = t.hash;
+          const tx = wraps[k]?.transaction;
+          if (!tx) return;
+
+          // ✅ 不再过滤 outputsContainDaoCell(tx)，只记录用于抽样
+          const hasDaoOutputs = outputsContainDaoCell(tx);
+
+          let prepareInputs = 0;
+          let txRewardSum = 0n;
+
+          // 收集每个 input 的明细（只用于打印/抽样，不影响统计）
+          const perInputDetails = [];
+
+          for (const { inIdx, prev, rec } of resolved[k]) {
+            if (!rec) continue;
+
+            // address filter: other holders' inputs in the same tx don't count (each lock in its own pass)
+            if (passLock && rec.lock !== passLock) continue;
+
+            const free = rec.free;
+            if (free <= 0n) continue;
+
+            // reward_i = (free * AR_j) / AR_i - free
+            const reward = daoCompensation(free, ars.get(rec.depositBn), ars.get(rec.prepareBn));
+            if (reward <= 0n) continue;
+
+            prepareInputs++;
+            txRewardSum += reward;
+            onInput?.({ tx_hash: t.hash, out_point: prev, reward });
+
+            if (perInputDetails.length < PRINT_INPUT_MAX) {
+              perInputDetails.push({
+                input_index: inIdx,
+                prev_tx_hash: prev.tx_hash,
+                prev_index: prev.index,
+                deposit_bn: rec.depositBn,
+                prepare_bn: rec.prepareBn,
+                free,
+                reward,
+              });
+            }
+          }
+
+          if (prepareInputs === 0) return;
+
+          totalReward += txRewardSum;
+          rewardInPage += txRewardSum;
+
+          if (countedTx) {
+            if (countedTx.has(txHash)) return;
+            countedTx.add(txHash);
+          }
+          withdraw2Txs++;
+          withdrawInPage++;
+
+          // multi-input 抽样（tx 维度）
+          if (prepareInputs > 1 && multiSamples.length < PRINT_MULTI_TX_MAX) {
+            multiSamples.push({ txHash, prepareInputs, txRewardSum, perInputDetails });
+          }
+
+          // ✅ 新增：withdraw2 但 outputs 仍包含 DAO 的 tx 抽样（不影响统计）
+          if (hasDaoOutputs && daoOutputsSamples.length < PRINT_WITH_DAO_OUTPUTS_MAX) {
+            daoOutputsSamples.push({ txHash, prepareInputs, txRewardSum, perInputDetails });
+          }
+
+          // 只在 page 日志页打印 tx + 每个 input 的 reward 明细
+          if (PRINT_TX && shouldLogPage && pageTxPrinted < PRINT_TX_MAX) {
+            pageTxPrinted++;
+
+            pageTxDetailLines.push(
+              `[withdraw2-tx] page=${page} tx: ${txHash} prepare_inputs=${prepareInputs} reward_sum=${formatCKB(txRewardSum)} CKB`
+            );
+
+            for (const d of perInputDetails) {
+              pageTxDetailLines.push(
+                `  [withdraw2-input] tx: ${txHash} input_index=${d.input_index}` +
+                ` prev_tx=${d.prev_tx_hash}:${d.prev_index}` +
+                ` deposit_bn=${d.deposit_bn} prepare_bn=${d.prepare_bn}` +
+                ` free=${formatCKB(d.free)} reward=${formatCKB(d.reward)} CKB`
+              );
+            }
+          }
+
+          if (withdraw2Txs % LOG_EVERY === 0) {
+            const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+            console.log(
+              `[progress] withdraw2=${withdraw2Txs} total_reward=${formatCKB(totalReward)} CKB elapsed=${elapsed}s`
+            );
+          }
+        });
+
+        if (pg.objects > 0) {
+          emitProgress('withdraw2_page', {
+            shard: shardNo,
+            page,
+            objects: pg.objects,
+            withdraw2_in_page: withdrawInPage,
+            reward_in_page: rewardInPage,
+            withdraw2_txs: withdraw2Txs,
+            total_reward: totalReward,
+            pending_prepares: prepares.size,
+            elapsed_ms: Date.now() - started,
           });
         }
-      }
-
-      if (prepareInputs === 0) return;
-
-      // ✅ 统计：按 “每个 input cell 的 reward” 累加
-      totalReward += txRewardSum;
-      rewardInPage += txRewardSum;
-
-      withdraw2Txs++;
-      withdrawInPage++;
-
-      // multi-input 抽样（tx 维度）
-      if (prepareInputs > 1 && multiSamples.length < PRINT_MULTI_TX_MAX) {
-        multiSamples.push({ txHash, prepareInputs, txRewardSum, perInputDetails });
-      }
-
-      // ✅ 新增：withdraw2 但 outputs 仍包含 DAO 的 tx 抽样（不影响统计）
-      if (hasDaoOutputs && daoOutputsSamples.length < PRINT_WITH_DAO_OUTPUTS_MAX) {
-        daoOutputsSamples.push({ txHash, prepareInputs, txRewardSum, perInputDetails });
-      }
-
-      // 只在 page 日志页打印 tx + 每个 input 的 reward 明细
-      if (PRINT_TX && shouldLogPage && pageTxPrinted < PRINT_TX_MAX) {
-        pageTxPrinted++;
-
-        pageTxDetailLines.push(
-          `[withdraw2-tx] page=${page} tx: ${txHash} prepare_inputs=${prepareInputs} reward_sum=${formatCKB(txRewardSum)} CKB`
-        );
 
-        for (const d of perInputDetails) {
-          pageTxDetailLines.push(
-            `  [withdraw2-input] tx: ${txHash} input_index=${d.input_index}` +
-            ` prev_tx=${d.prev_tx_hash}:${d.prev_index}` +
-            ` deposit_bn=${d.deposit_bn} prepare_bn=${d.prepare_bn}` +
-            ` free=${formatCKB(d.free)} reward=${formatCKB(d.reward)} CKB`
+        if (shouldLogPage && pg.objects > 0) {
+          const elapsedAll = ((Date.now() - started) / 1000).toFixed(1);
+          console.log(
+            `${tag} page=${page} withdraw2=${withdrawInPage} ` +
+            `reward_page=${formatCKB(rewardInPage)} CKB total=${formatCKB(totalReward)} CKB elapsed=${elapsedAll}s`
           );
+          if (PRINT_TX && pageTxDetailLines.length > 0) {
+            console.log(pageTxDetailLines.join('\n'));
+          }
         }
       }
-
-      if (withdraw2Txs % LOG_EVERY === 0) {
-        const elapsed = ((Date.now() - started) / 1000).toFixed(1);
-        console.log(
-          `[progress] withdraw2=${withdraw2Txs} total_reward=${formatCKB(totalReward)} CKB elapsed=${elapsed}s`
-        );
-      }
-    });
-
-    if (shouldLogPage) {
-      const elapsedAll = ((Date.now() - started) / 1000).toFixed(1);
-      console.log(
-        `[withdraw2] page=${page} withdraw2=${withdrawInPage} ` +
-        `reward_page=${formatCKB(rewardInPage)} CKB total=${formatCKB(totalReward)} CKB elapsed=${elapsedAll}s`
-      );
-      if (PRINT_TX && pageTxDetailLines.length > 0) {
-        console.log(pageTxDetailLines.join('\n'));
-      }
     }
-
-    const last = res.last_cursor;
-    if (!last || last === '0x' || last === '0x0') break;
-    cursor = last;
+    return stats;
   }
 
+  const shardStats = await Promise.all(ranges.map((range, i) => scanShard(range, i)));
+  const sum = (k) => shardStats.reduce((a, st) => a + st[k], 0);
+  const seenObjects = sum('seenObjects');
+  const seenInputObjects = sum('seenInputObjects');
+  const uniqueTxs = sum('uniqueTxs');
+
   const elapsed = ((Date.now() - started) / 1000).toFixed(1);
 
   // ✅ 先打印 multi-input samples
@@ -441,26 +507,53 @@ async function computeWithdraw2Reward() {
   // ✅ 最后再打印 withdraw2 汇总结果
   console.log('--------------------------------');
   console.log('[withdraw2] done');
+  console.log('[withdraw2] shards               =', ranges.length);
   console.log('[withdraw2] seen objects         =', seenObjects);
   console.log('[withdraw2] seen input objects   =', seenInputObjects);
-  console.log('[withdraw2] unique tx processed  =', seenTx.size);
+  console.log('[withdraw2] unique tx processed  =', uniqueTxs);
   console.log('[withdraw2] withdraw2 txs        =', withdraw2Txs);
   console.log('[withdraw2] withdraw2 reward     =', formatCKB(totalReward), 'CKB');
   console.log('[withdraw2] elapsed              =', elapsed, 's');
 
-  return totalReward;
+  return {
+    totalReward,
+    withdraw2Txs,
+    uniqueTxs,
+    seenObjects,
+    seenInputObjects,
+    pages: sum('pages'),
+    shards: ranges.length,
+    blockRange: [blockFrom, blockTo],
+    elapsedSec: Number(elapsed),
+  };
 }
 
 /* ----------------------- main/entry ----------------------- */
 
-async function main() {
-  console.log('[entry] dao_withdraw2_reward.js start');
-  const tip = await rpc('get_indexer_tip', [], { timeoutMs: 30_000, retries: 3 });
-  console.log('[entry] indexer_tip =', tip);
-  await computeWithdraw2Reward();
+export async function main() {
+  console.log('[entry] dao_claimed.js start');
+  const snapshot = await takeSnapshot();
+  console.log('[entry] snapshot =', snapshot);
+  const addresses = (process.env.ADDRESS || '').split(',').map(a => a.trim()).filter(Boolean);
+  const blockFrom = process.env.WITHDRAW2_BLOCK_RANGE_FROM || null;
+  const blockTo = process.env.WITHDRAW2_BLOCK_RANGE_TO || null;
+  const r = await computeWithdraw2Reward({ blockFrom, blockTo, addresses, snapshot });
+  const net = await getNetwork();
+  await checkSnapshot(snapshot);
+
+  return {
+    network: net.name,
+    tip: snapshotTip(snapshot),
+    params: { address: addresses, block_range: r.blockRange, shards: r.shards },
+    result: {
+      withdraw2_reward: r.totalReward,
+      withdraw2_txs: r.withdraw2Txs,
+      unique_txs: r.uniqueTxs,
+      seen_objects: r.seenObjects,
+      seen_input_objects: r.seenInputObjects,
+      pages: r.pages,
+    },
+  };
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+runMain(import.meta.url, main);
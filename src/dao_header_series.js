@@ -0,0 +1,282 @@
+// src/dao_header_series.js
+// Time series of the header dao field (C, AR, S, U) with the ratios derived from it.
+//
+// Samples, always starting with block SERIES_FROM:
+//   SERIES_EVERY=block  every SERIES_STEP-th block
+//   SERIES_EVERY=epoch  the first block of every epoch
+//   SERIES_EVERY=day    the first block of every UTC day (by bisection on timestamps; block timestamps are
+//                       not strictly increasing, so a block near midnight may land on either side)
+//
+// Columns per sample:
+//   C, AR, S, U           the dao field
+//   u_over_c              U / C, the miners' share of the secondary issuance
+//   dao_deposits          capacity in NervosDAO cells (deposited or prepared, not yet withdrawn) at the block
+//   deposit_ratio         dao_deposits / C
+//   dao_yield_pct         AR growth since the previous sample, annualized by the timestamps
+//
+// The header carries no DAO balance, so dao_deposits comes from replaying every DAO transaction
+// (see dao_lifecycle.js) once; SERIES_DEPOSITS=0 skips it and leaves both columns empty.
+//
+// Env:
+//  - SERIES_EVERY (block|epoch|day, default day)
+//  - SERIES_STEP (block: sample every N blocks, default 1)
+//  - SERIES_FROM (default 0), SERIES_TO (default: the snapshot block, see snapshot.js)
+//  - SERIES_DEPOSITS (default 1)
+//  - SERIES_BATCH (headers per batch call, default 1000)
+//  - SERIES_LOG_EVERY (progress line every N samples, default 1000)
+//  - SERIES_JSON (default 1: also out/dao_header_series.json, column-major; keeps the series in memory,
+//                 turn it off for block-level samples of a long range)
+// The CSV (out/dao_header_series.csv) is written row by row.
+
+import path from 'node:path';
+import { RPC_URL } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { parseDao, parseEpochPacked } from './ckb_header.js';
+import { getNetwork } from './network.js';
+import { buildDaoLifecycle } from './dao_lifecycle.js';
+import { EXPORT_DIR, createCsvWriter, writeJson } from './export.js';
+import { emitProgress } from './output.js';
+import { checkSnapshot, snapshotTip, takeSnapshot } from './snapshot.js';
+import { runMain } from './entry.js';
+
+export const GRANULARITIES = ['block', 'epoch', 'day'];
+
+const SERIES_EVERY = process.env.SERIES_EVERY || 'day';
+const SERIES_STEP = Math.max(1, Number(process.env.SERIES_STEP || '1'));
+const SERIES_FROM = process.env.SERIES_FROM;
+const SERIES_TO = process.env.SERIES_TO;
+const SERIES_DEPOSITS = (process.env.SERIES_DEPOSITS ?? '1') === '1';
+const SERIES_BATCH = Math.max(1, Number(process.env.SERIES_BATCH || '1000'));
+const LOG_EVERY = Number(process.env.SERIES_LOG_EVERY || '1000');
+const SERIES_JSON = (process.env.SERIES_JSON ?? '1') === '1';
+
+const DAY_MS = 86_400_000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+export const SERIES_COLUMNS = [
+  'block', 'timestamp', 'epoch', 'epoch_index', 'epoch_length',
+  'C', 'AR', 'S', 'U', 'u_over_c', 'dao_deposits', 'deposit_ratio', 'dao_yield_pct',
+];
+
+/* ----------------------- sampling ----------------------- */
+
+const timestampOf = (h) => Number(BigInt(h.timestamp));
+
+// block numbers from..to, in batches
+async function* blockSamples(from, to, step) {
+  let batch = [];
+  for (let n = from; n <= to; n += step) {
+    batch.push(n);
+    if (batch.length === SERIES_BATCH) {
+      yield* await headerCache.getManyByNumber(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield* await headerCache.getManyByNumber(batch);
+}
+
+// `from`, then the first block of every later epoch (start = number - index, next start = start + length)
+async function* epochSamples(from, to) {
+  let h = await headerCache.getByNumber(from);
+  for (;;) {
+    yield h;
+    const e = parseEpochPacked(h.epoch);
+    const next = Number(BigInt(h.number)) - e.index + e.length;
+    if (next > to) return;
+    h = await headerCache.getByNumber(next);
+  }
+}
+
+// `from`, then the first block at or after every later UTC midnight
+async function* daySamples(from, to) {
+  let h = await headerCache.getByNumber(from);
+  let lo = from;
+  let step = 1000; // blocks per day, refined as we go
+  for (;;) {
+    yield h;
+    const target = (Math.floor(timestampOf(h) / DAY_MS) + 1) * DAY_MS;
+
+    // gallop forward to bracket the midnight, then bisect (lo before it, hi at or after it)
+    let hi = lo + step;
+    while (hi <= to && timestampOf(await headerCache.getByNumber(hi)) < target) {
+      lo = hi;
+      hi += step;
+      step *= 2;
+    }
+    hi = Math.min(hi, to + 1);
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (timestampOf(await headerCache.getByNumber(mid)) < target) lo = mid;
+      else hi = mid;
+    }
+    if (hi > to) return;
+
+    step = Math.max(1, hi - Number(BigInt(h.number)));
+    h = await headerCache.getByNumber(hi);
+    lo = hi;
+  }
+}
+
+export function headerSamples(every, { from, to, step = 1 }) {
+  if (every === 'block') return blockSamples(from, to, step);
+  if (every === 'epoch') return epochSamples(from, to);
+  if (every === 'day') return daySamples(from, to);
+  throw new Error(`SERIES_EVERY must be ${GRANULARITIES.join('|')}, got ${every}`);
+}
+
+/* ----------------------- DAO balance ----------------------- */
+
+// capacity of the DAO cells live at each block, from the lifecycle records: +capacity at the deposit
+// block, -capacity at the block that spends the cell out of the DAO (withdraw)
+export function daoBalanceAt(records) {
+  const events = [];
+  for (const r of records) {
+    if (r.deposit_block === null) continue;
+    events.push([BigInt(r.deposit_block), r.capacity]);
+    if (r.withdraw_block !== null) events.push([BigInt(r.withdraw_block), -r.capacity]);
+  }
+  events.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  // samples are asked for in increasing block order
+  let i = 0;
+  let balance = 0n;
+  return (block) => {
+    const b = BigInt(block);
+    while (i < events.length && events[i][0] <= b) balance += events[i++][1];
+    return balance;
+  };
+}
+
+/* ----------------------- compute ----------------------- */
+
+const ratio = (a, b) => Number((Number(a) / Number(b)).toFixed(10));
+
+/**
+ * Walks the samples and calls onRow(row) for each; returns the sample count.
+ * balanceAt(block): DAO capacity at the block, or null to leave the deposit columns empty.
+ */
+export async function sampleDaoHeaders({ every, from, to, step, balanceAt = null, onRow }) {
+  const started = Date.now();
+  let prev = null;
+  let count = 0;
+
+  for await (const h of headerSamples(every, { from, to, step })) {
+    const block = BigInt(h.number);
+    const ts = timestampOf(h);
+    const { C, AR, S, U } = parseDao(h.dao);
+    const e = parseEpochPacked(h.epoch);
+    const deposits = balanceAt ? balanceAt(block) : null;
+
+    let yieldPct = null;
+    if (prev && ts > prev.ts) {
+      const growth = Math.log(Number(AR) / Number(prev.AR));
+      yieldPct = Number((Math.expm1(growth * (YEAR_MS / (ts - prev.ts))) * 100).toFixed(6));
+    }
+
+    const row = {
+      block,
+      timestamp: new Date(ts).toISOString(),
+      epoch: e.number,
+      epoch_index: e.index,
+      epoch_length: e.length,
+      C,
+      AR,
+      S,
+      U,
+      u_over_c: ratio(U, C),
+      dao_deposits: deposits,
+      deposit_ratio: deposits === null ? null : ratio(deposits, C),
+      dao_yield_pct: yieldPct,
+    };
+    onRow(row);
+    prev = { ts, AR };
+    count++;
+
+    if (count % LOG_EVERY === 0) {
+      const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(`[series] samples=${count} block=${block} elapsed=${elapsed}s`);
+      emitProgress('series_samples', { samples: count, block, elapsed_ms: Date.now() - started });
+    }
+  }
+  return { count };
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  if (!GRANULARITIES.includes(SERIES_EVERY)) {
+    throw new Error(`SERIES_EVERY must be ${GRANULARITIES.join('|')}, got ${SERIES_EVERY}`);
+  }
+  const net = await getNetwork();
+  const snapshot = await takeSnapshot();
+  const tipNumber = Number(BigInt(snapshot.block_number));
+  const from = SERIES_FROM ? Number(BigInt(SERIES_FROM)) : 0;
+  const to = SERIES_TO ? Number(BigInt(SERIES_TO)) : tipNumber;
+  if (from > to) throw new Error(`SERIES_FROM (${from}) > SERIES_TO (${to})`);
+  if (to > tipNumber) throw new Error(`SERIES_TO (${to}) is above the snapshot block (${tipNumber})`);
+
+  console.log('================================');
+  console.log('RPC_URL         =', RPC_URL);
+  console.log('NETWORK         =', net.name);
+  console.log('SNAPSHOT        =', tipNumber, snapshot.block_hash);
+  console.log('RANGE           =', `${from}..${to}`);
+  console.log('EVERY           =', SERIES_EVERY === 'block' ? `${SERIES_STEP} block(s)` : SERIES_EVERY);
+
+  let balanceAt = null;
+  if (SERIES_DEPOSITS) {
+    const { records, txCount } = await buildDaoLifecycle({ snapshot });
+    balanceAt = daoBalanceAt(records);
+    console.log('DAO_TXS         =', txCount, `records=${records.length}`);
+  }
+
+  const csvFile = path.join(EXPORT_DIR, 'dao_header_series.csv');
+  const csv = createCsvWriter(csvFile, SERIES_COLUMNS);
+  const columns = SERIES_JSON ? Object.fromEntries(SERIES_COLUMNS.map(c => [c, []])) : null;
+  let first = null;
+  let last = null;
+
+  const { count } = await sampleDaoHeaders({
+    every: SERIES_EVERY,
+    from,
+    to,
+    step: SERIES_STEP,
+    balanceAt,
+    onRow: (row) => {
+      csv.write(row);
+      if (columns) for (const c of SERIES_COLUMNS) columns[c].push(row[c]);
+      first ??= row;
+      last = row;
+    },
+  });
+  csv.close();
+
+  const params = { every: SERIES_EVERY, step: SERIES_STEP, from, to, deposits: SERIES_DEPOSITS };
+  const exported = { csv: csvFile, json: null };
+  if (columns) {
+    exported.json = writeJson(path.join(EXPORT_DIR, 'dao_header_series.json'), {
+      network: net.name, ...params, samples: count, columns: SERIES_COLUMNS, data: columns,
+    });
+  }
+
+  console.log('--------------------------------');
+  console.log('SAMPLES         =', count);
+  if (last) {
+    console.log('U/C             =', `${first.u_over_c} (block ${first.block}) -> ${last.u_over_c} (block ${last.block})`);
+    if (last.deposit_ratio !== null) {
+      console.log('DEPOSIT_RATIO   =', `${first.deposit_ratio} -> ${last.deposit_ratio}`);
+    }
+    if (last.dao_yield_pct !== null) console.log('DAO_YIELD (last)=', `${last.dao_yield_pct}%`);
+  }
+  console.log(`series: ${exported.csv}${exported.json ? `, ${exported.json}` : ''}`);
+
+  await checkSnapshot(snapshot);
+
+  return {
+    network: net.name,
+    tip: snapshotTip(snapshot),
+    params,
+    result: { samples: count, first, last, export: exported },
+  };
+}
+
+runMain(import.meta.url, main);
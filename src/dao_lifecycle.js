@@ -0,0 +1,396 @@
+// src/dao_lifecycle.js
+// NervosDAO lifecycle index: one record per deposit cell, linking
+//
+//   deposit tx (output, data = 0x0000000000000000)
+//     -> prepare tx (consumes the deposit at input i, creates the prepare cell at output i,
+//                    data = u64 LE deposit block number)
+//     -> withdraw tx (consumes the prepare cell)
+//
+// Every DAO transaction up to the snapshot block (see snapshot.js) is replayed in chain order. Each record carries
+// free capacity, compensation (claimed for withdrawn, unclaimed at the tip otherwise), lock
+// duration in epochs and its state (deposited / preparing / withdrawn), so the claimed and
+// unclaimed totals of dao_claimed.js / dao_unclaimed.js both follow from the same index.
+//
+// Inconsistencies are flagged on the record instead of aborting the scan:
+//   deposit_block_mismatch         prepare data != block of the deposit it consumed
+//   capacity_mismatch              prepare cell capacity != deposit cell capacity
+//   prepare_without_deposit        prepare cell whose input i is not a known deposit cell
+//   deposit_spent_without_prepare  deposit consumed without a prepare cell at the same index
+//
+// Env:
+//  - LIFECYCLE_TX_LIMIT (get_transactions page size, default 0x3e8)
+//  - LIFECYCLE_PAGE_LOG_EVERY (default 50)
+//  - LIFECYCLE_EXPORT (default 1: out/dao_lifecycle.{csv,json})
+//  - LIFECYCLE_PRINT_ISSUES (flagged records to print, default 20)
+//  - CROSS_CHECK=1 also runs dao_claimed.js / dao_unclaimed.js and compares the totals
+
+import { formatCKB, freeCapacity } from './ckb_capacity.js';
+import { RPC_URL, rpc, rpcBatch } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { parseDao, parseEpochPacked } from './ckb_header.js';
+import { getNetwork, isDaoTypeScript } from './network.js';
+import { encodeAddress } from './address.js';
+import { daoCompensation } from './dao.js';
+import { exportTable } from './export.js';
+import { computeWithdraw2Reward } from './dao_claimed.js';
+import { computeUnclaimed } from './dao_unclaimed.js';
+import { emitProgress } from './output.js';
+import { checkSnapshot, snapshotRange, snapshotTip, takeSnapshot } from './snapshot.js';
+import { runMain } from './entry.js';
+
+const TX_LIMIT = process.env.LIFECYCLE_TX_LIMIT || '0x3e8';
+const PAGE_LOG_EVERY = Number(process.env.LIFECYCLE_PAGE_LOG_EVERY || '50');
+const LIFECYCLE_EXPORT = (process.env.LIFECYCLE_EXPORT ?? '1') === '1';
+const PRINT_ISSUES = Number(process.env.LIFECYCLE_PRINT_ISSUES || '20');
+const CROSS_CHECK = (process.env.CROSS_CHECK ?? '0') === '1';
+
+const DEPOSIT_DATA = '0x0000000000000000';
+const HEADER_CHUNK = 1000;
+
+export const STATES = ['deposited', 'preparing', 'withdrawn'];
+
+const LIFECYCLE_COLUMNS = [
+  'deposit_tx', 'deposit_index', 'deposit_block', 'address', 'capacity', 'free_capacity',
+  'prepare_tx', 'prepare_index', 'prepare_block', 'recorded_deposit_block', 'withdraw_tx', 'withdraw_block',
+  'state', 'lock_epochs', 'compensation', 'flags',
+];
+
+const outPointKey = (txHash, index) => `${txHash}:${Number(index)}`;
+
+// prepare-withdraw cell: output_data is u64 little-endian = deposit block number
+function parsePrepareBlockNumber(outputData) {
+  const hex = outputData?.startsWith('0x') ? outputData.slice(2) : outputData;
+  if (!hex || hex.length !== 16) {
+    throw new Error(`prepare output_data must be 8 bytes (16 hex): ${outputData}`);
+  }
+  return Buffer.from(hex, 'hex').readBigUInt64LE(0);
+}
+
+/* ----------------------- DAO transactions ----------------------- */
+
+// pages of DAO transactions in chain order up to the snapshot, each { txs: [{ hash, block, tx }] } (deduplicated)
+async function* getDaoTxPages(daoType, snapshot) {
+  const searchKey = {
+    script: daoType,
+    script_type: 'type',
+    filter: { block_range: snapshotRange(snapshot) },
+  };
+  const seenTx = new Set();
+  let cursor = null;
+  while (true) {
+    const params = [searchKey, 'asc', TX_LIMIT];
+    if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
+
+    const res = await rpc('get_transactions', params, { timeoutMs: 120_000, retries: 5 });
+    const objs = res.objects || [];
+    if (objs.length === 0) break;
+
+    const fresh = [];
+    for (const o of objs) {
+      if (seenTx.has(o.tx_hash)) continue;
+      seenTx.add(o.tx_hash);
+      fresh.push({ hash: o.tx_hash, block: BigInt(o.block_number) });
+    }
+    const wraps = await rpcBatch(fresh.map(t => ['get_transaction', [t.hash]]));
+    yield { txs: fresh.map((t, i) => ({ ...t, tx: wraps[i]?.transaction })), objects: objs.length };
+
+    const last = res.last_cursor;
+    if (!last || last === '0x' || last === '0x0') break;
+    cursor = last;
+  }
+}
+
+/* ----------------------- index ----------------------- */
+
+function newRecord(fields) {
+  return {
+    deposit_tx: null,
+    deposit_index: null,
+    deposit_block: null,
+    lock: null,
+    capacity: null,
+    deposit_output: null,
+    prepare_tx: null,
+    prepare_index: null,
+    prepare_block: null,
+    prepare_output: null,
+    recorded_deposit_block: null,
+    withdraw_tx: null,
+    withdraw_block: null,
+    flags: [],
+    ...fields,
+  };
+}
+
+// replays one DAO tx against the open deposit / prepare cells
+function applyTx({ hash, block, tx }, daoType, open) {
+  const { deposits, prepares, records } = open;
+  const inputs = tx.inputs || [];
+  const outputs = tx.outputs || [];
+  const outputsData = tx.outputs_data || [];
+
+  const consumedDeposits = new Map(); // input index -> record
+  inputs.forEach((inp, i) => {
+    const k = outPointKey(inp.previous_output.tx_hash, inp.previous_output.index);
+    const dep = deposits.get(k);
+    if (dep) {
+      deposits.delete(k);
+      consumedDeposits.set(i, dep);
+    }
+    const prep = prepares.get(k);
+    if (prep) {
+      prepares.delete(k);
+      prep.withdraw_tx = hash;
+      prep.withdraw_block = block;
+    }
+  });
+
+  outputs.forEach((out, j) => {
+    if (!isDaoTypeScript(out.type, daoType)) return;
+    const data = outputsData[j];
+
+    if (data === DEPOSIT_DATA) {
+      const rec = newRecord({
+        deposit_tx: hash,
+        deposit_index: j,
+        deposit_block: block,
+        lock: out.lock,
+        capacity: BigInt(out.capacity),
+        deposit_output: { output: out, data },
+      });
+      records.push(rec);
+      deposits.set(outPointKey(hash, j), rec);
+      return;
+    }
+
+    // prepare cell: the deposit it replaces sits at the same input index
+    let rec = consumedDeposits.get(j);
+    consumedDeposits.delete(j);
+    if (!rec) {
+      const prev = inputs[j]?.previous_output;
+      rec = newRecord({
+        deposit_tx: prev?.tx_hash ?? null,
+        deposit_index: prev ? Number(prev.index) : null,
+        lock: out.lock,
+        capacity: BigInt(out.capacity),
+        flags: ['prepare_without_deposit'],
+      });
+      records.push(rec);
+    }
+    rec.prepare_tx = hash;
+    rec.prepare_index = j;
+    rec.prepare_block = block;
+    rec.prepare_output = { output: out, data };
+    rec.recorded_deposit_block = parsePrepareBlockNumber(data);
+    if (rec.deposit_block !== null && rec.recorded_deposit_block !== rec.deposit_block) {
+      rec.flags.push('deposit_block_mismatch');
+    }
+    if (rec.deposit_block !== null && BigInt(out.capacity) !== rec.capacity) {
+      rec.flags.push('capacity_mismatch');
+    }
+    prepares.set(outPointKey(hash, j), rec);
+  });
+
+  // left the DAO without a prepare step: close it so it isn't counted as still deposited
+  for (const rec of consumedDeposits.values()) {
+    rec.flags.push('deposit_spent_without_prepare');
+    rec.withdraw_tx = hash;
+    rec.withdraw_block = block;
+  }
+}
+
+function stateOf(rec) {
+  if (rec.withdraw_tx) return 'withdrawn';
+  if (rec.prepare_tx) return 'preparing';
+  return 'deposited';
+}
+
+// AR and epoch of every block the records refer to
+async function loadBlockInfo(blocks) {
+  const info = new Map();
+  const list = [...new Set(blocks.map(b => b.toString()))].map(BigInt);
+  for (let i = 0; i < list.length; i += HEADER_CHUNK) {
+    const chunk = list.slice(i, i + HEADER_CHUNK);
+    const headers = await headerCache.getManyByNumber(chunk);
+    headers.forEach((h, k) => {
+      const e = parseEpochPacked(h.epoch);
+      info.set(chunk[k].toString(), { AR: parseDao(h.dao).AR, epoch: e.number + e.index / e.length });
+    });
+  }
+  return info;
+}
+
+/* ----------------------- compute ----------------------- */
+
+// snapshot: the block to replay up to (default: take one now, see snapshot.js)
+export async function buildDaoLifecycle({ snapshot = null } = {}) {
+  const net = await getNetwork();
+  snapshot ??= await takeSnapshot();
+  const tipNumber = BigInt(snapshot.block_number);
+
+  const open = { deposits: new Map(), prepares: new Map(), records: [] };
+  const started = Date.now();
+  let page = 0;
+  let txCount = 0;
+
+  for await (const { txs, objects } of getDaoTxPages(net.daoType, snapshot)) {
+    page++;
+    for (const t of txs) {
+      if (!t.tx) throw new Error(`get_transaction returned nothing for ${t.hash}`);
+      applyTx(t, net.daoType, open);
+    }
+    txCount += txs.length;
+    emitProgress('lifecycle_page', { page, txs: txCount, records: open.records.length, elapsed_ms: Date.now() - started });
+    if (page % PAGE_LOG_EVERY === 0) {
+      const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(`[lifecycle] page=${page} objs=${objects} txs=${txCount} records=${open.records.length} elapsed=${elapsed}s`);
+    }
+  }
+
+  const { records } = open;
+  const blocks = [tipNumber];
+  for (const r of records) {
+    if (r.deposit_block !== null) blocks.push(r.deposit_block);
+    if (r.recorded_deposit_block !== null) blocks.push(r.recorded_deposit_block);
+    if (r.prepare_block !== null) blocks.push(r.prepare_block);
+  }
+  const info = await loadBlockInfo(blocks);
+  const at = (b) => info.get(b.toString());
+
+  const rows = records.map((r) => {
+    const state = stateOf(r);
+    // compensation runs from the deposit block the prepare cell records (what the DAO script pays)
+    // to the prepare block, or to the tip while still deposited
+    const startBlock = r.recorded_deposit_block ?? r.deposit_block;
+    const endBlock = r.prepare_block ?? tipNumber;
+    const cell = r.prepare_output ?? r.deposit_output;
+    const free = freeCapacity(cell.output, cell.data);
+
+    let compensation = null;
+    let lockEpochs = null;
+    if (r.withdraw_tx && !r.prepare_tx) {
+      compensation = 0n; // spent without a prepare step: nothing was paid out
+    } else if (startBlock !== null) {
+      const s = at(startBlock);
+      const e = at(endBlock);
+      compensation = daoCompensation(free, s.AR, e.AR);
+      lockEpochs = Number((e.epoch - s.epoch).toFixed(4));
+    }
+
+    return {
+      deposit_tx: r.deposit_tx,
+      deposit_index: r.deposit_index,
+      deposit_block: r.deposit_block,
+      address: encodeAddress(r.lock, net.addressPrefix),
+      capacity: r.capacity,
+      free_capacity: free,
+      prepare_tx: r.prepare_tx,
+      prepare_index: r.prepare_index,
+      prepare_block: r.prepare_block,
+      recorded_deposit_block: r.recorded_deposit_block,
+      withdraw_tx: r.withdraw_tx,
+      withdraw_block: r.withdraw_block,
+      state,
+      lock_epochs: lockEpochs,
+      compensation,
+      flags: r.flags.join('|'),
+    };
+  });
+
+  return { network: net.name, snapshot, txCount, records: rows };
+}
+
+// claimed / unclaimed totals and per-state counts of a lifecycle index
+export function summarizeLifecycle(rows) {
+  const count = Object.fromEntries(STATES.map(s => [s, 0]));
+  const sum = Object.fromEntries(STATES.map(s => [s, 0n]));
+  let flagged = 0;
+  for (const r of rows) {
+    count[r.state]++;
+    if (r.compensation !== null) sum[r.state] += r.compensation;
+    if (r.flags) flagged++;
+  }
+  return {
+    count,
+    claimed: sum.withdrawn,
+    unclaimedDeposit: sum.deposited,
+    unclaimedPrepare: sum.preparing,
+    unclaimedTotal: sum.deposited + sum.preparing,
+    flagged,
+  };
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  const snapshot = await takeSnapshot();
+  const r = await buildDaoLifecycle({ snapshot });
+  const s = summarizeLifecycle(r.records);
+
+  console.log('================================');
+  console.log('RPC_URL                   =', RPC_URL);
+  console.log('NETWORK                   =', r.network);
+  console.log('SNAPSHOT                  =', BigInt(r.snapshot.block_number).toString(), r.snapshot.block_hash);
+  console.log('DAO txs                   =', r.txCount);
+  console.log('--------------------------------');
+  console.log('deposits                  =', r.records.length);
+  for (const state of STATES) console.log(`  ${state.padEnd(24)}=`, s.count[state]);
+  console.log('claimed (withdrawn)       =', formatCKB(s.claimed), 'CKB');
+  console.log('unclaimed deposit         =', formatCKB(s.unclaimedDeposit), 'CKB');
+  console.log('unclaimed prepare         =', formatCKB(s.unclaimedPrepare), 'CKB');
+  console.log('unclaimed total           =', formatCKB(s.unclaimedTotal), 'CKB');
+  console.log('flagged records           =', s.flagged);
+
+  if (PRINT_ISSUES > 0 && s.flagged > 0) {
+    console.log('--------------------------------');
+    r.records.filter(x => x.flags).slice(0, PRINT_ISSUES).forEach((x) => {
+      console.log(
+        `[lifecycle-issue] ${x.flags} deposit=${x.deposit_tx}:${x.deposit_index}@${x.deposit_block ?? '?'}` +
+        ` prepare=${x.prepare_tx ?? '-'}@${x.prepare_block ?? '-'}`
+      );
+    });
+  }
+
+  const crossCheck = {};
+  if (CROSS_CHECK) {
+    const { totalReward: claimed } = await computeWithdraw2Reward({ snapshot });
+    const unclaimed = await computeUnclaimed({ snapshot });
+    console.log('--------------------------------');
+    console.log('cross-check claimed       =', formatCKB(claimed), 'CKB', claimed === s.claimed ? '✅' : '❌');
+    console.log('cross-check unclaimed     =', formatCKB(unclaimed.unclaimedTotal), 'CKB',
+      unclaimed.unclaimedTotal === s.unclaimedTotal ? '✅' : '❌');
+    Object.assign(crossCheck, { claimed, unclaimed: unclaimed.unclaimedTotal });
+  }
+
+  let exported = null;
+  if (LIFECYCLE_EXPORT) {
+    const { csv, json } = exportTable('dao_lifecycle', LIFECYCLE_COLUMNS, r.records, {
+      meta: { network: r.network, snapshot: snapshotTip(snapshot), summary: s },
+    });
+    console.log(`DAO lifecycle (${r.records.length} deposits): ${csv}, ${json}`);
+    exported = { csv, json };
+  }
+
+  await checkSnapshot(snapshot);
+
+  return {
+    network: r.network,
+    tip: snapshotTip(snapshot),
+    params: { cross_check: CROSS_CHECK, export: LIFECYCLE_EXPORT },
+    result: {
+      dao_txs: r.txCount,
+      deposits: r.records.length,
+      states: s.count,
+      claimed: s.claimed,
+      unclaimed_deposit: s.unclaimedDeposit,
+      unclaimed_prepare: s.unclaimedPrepare,
+      unclaimed_total: s.unclaimedTotal,
+      flagged: s.flagged,
+      issues: r.records.filter(x => x.flags).slice(0, PRINT_ISSUES),
+      cross_check: CROSS_CHECK ? crossCheck : null,
+      export: exported,
+    },
+  };
+}
+
+runMain(import.meta.url, main);
@@ -0,0 +1,286 @@
+// src/dao_reconcile.js
+// Reconciliation of the NervosDAO compensation as of one snapshot block T (see snapshot.js):
+//
+//   claimed    withdraw2 scan over [0, T + 1)                      (dao_claimed.js)
+//   unclaimed  DAO cells live at T, deposit and prepare             (dao_unclaimed.js)
+//   implied    the DAO share of the secondary issuance, from the headers block by block
+//
+// The DAO share of block i is s_i * AR_{i-1} * W_{i-1} / C_{i-1} (see dao_accrual.js), with W kept
+// per bucket from the deposit and prepare blocks of the lifecycle index (dao_lifecycle.js):
+//
+//   implied = sum over i of s_i * AR_{i-1} * W_{i-1} / C_{i-1}
+//
+// That uses C and the issuance schedule, not the AR step of each header. The node sets
+// AR_i = AR_{i-1} + floor(AR_{i-1} * s_i / C_{i-1}), so the compensation the scans add up is the
+// implied share less the floors: less than W_{i-1} shannons per block, and under 1 shannon per cell
+// for the compensation formula. The default tolerance is those two bounds:
+//
+//   claimed + unclaimed deposit + unclaimed prepare = implied - (within tolerance)
+//
+// The residual of each bucket (scanned - implied) is reported in shannons. Two kinds of contributor
+// are listed:
+//   blocks  whose AR step differs from floor(AR_{i-1} * s_i / C_{i-1}) (wrong network constants,
+//           a corrupt header), with what the step moved the DAO cells by
+//   cells   whose scanned value differs from free * (AR_end - AR_start) / AR_start, including cells
+//           only one side knows about (listed when a residual exceeds the tolerance)
+//
+// Also checked: unclaimed <= S_T (S holds the unclaimed compensation and the treasury).
+//
+// Env:
+//  - RECONCILE_TOLERANCE (shannons, default: DAO cells + the AR rounding bound)
+//  - RECONCILE_TOP (contributing cells / blocks to print, default 20)
+//  - RECONCILE_EXPORT (default 1: every contributing cell to out/dao_reconcile_cells.{csv,json})
+//  - plus the env of dao_claimed.js / dao_unclaimed.js / dao_lifecycle.js
+// Every header from the first deposit to T is read once (through the header cache, see header_cache.js).
+
+import { formatCKB } from './ckb_capacity.js';
+import { RPC_URL } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { parseDao, parseEpochPacked, perBlockSecondary } from './ckb_header.js';
+import { getNetwork } from './network.js';
+import { buildDaoLifecycle } from './dao_lifecycle.js';
+import { SCALE, W_UNIT, accrualCells, createAccrual, daoShareScaled, roundScaled } from './dao_accrual.js';
+import { computeWithdraw2Reward } from './dao_claimed.js';
+import { computeUnclaimed } from './dao_unclaimed.js';
+import { exportTable } from './export.js';
+import { emitProgress } from './output.js';
+import { checkSnapshot, snapshotTip, takeSnapshot } from './snapshot.js';
+import { runMain } from './entry.js';
+
+const TOLERANCE = process.env.RECONCILE_TOLERANCE ? BigInt(process.env.RECONCILE_TOLERANCE) : null;
+const TOP = Number(process.env.RECONCILE_TOP || '20');
+const RECONCILE_EXPORT = (process.env.RECONCILE_EXPORT ?? '1') === '1';
+
+const HEADER_CHUNK = 1000;
+
+export const BUCKETS = ['claimed', 'unclaimed_deposit', 'unclaimed_prepare'];
+const BUCKET_OF_STATE = { withdrawn: 'claimed', deposited: 'unclaimed_deposit', preparing: 'unclaimed_prepare' };
+const BUCKET_OF_KIND = { deposit: 'unclaimed_deposit', prepare: 'unclaimed_prepare' };
+
+const CELL_COLUMNS = ['cell', 'bucket', 'address', 'free_capacity', 'expected', 'scanned', 'gap', 'source', 'flags'];
+
+const outPointKey = (txHash, index) => `${txHash}:${Number(index)}`;
+const abs = (x) => (x < 0n ? -x : x);
+const byAbs = (key) => (a, b) => (abs(b[key]) > abs(a[key]) ? 1 : abs(b[key]) < abs(a[key]) ? -1 : 0);
+
+// lifecycle cells (see dao_accrual.js) by out point, with the bucket of their state
+function lifecycleCells(records, tipNumber) {
+  return new Map(accrualCells(records, tipNumber).map(({ state, ...c }) => (
+    [c.cell, { ...c, bucket: BUCKET_OF_STATE[state], expected: 0n, scanned: null }]
+  )));
+}
+
+/**
+ * Walks the headers from the first accrual start to T and sums the implied DAO share per bucket
+ * (scaled), the AR rounding bound (scaled) and the blocks whose AR step breaks the node's rule.
+ * Fills in each cell's expected compensation (scaled) from the AR at its start and end.
+ */
+async function impliedShares(cells, tipNumber, secondaryEpochReward) {
+  const accrual = createAccrual(cells.values(), { buckets: BUCKETS, bucketOf: c => c.bucket });
+  const implied = Object.fromEntries(BUCKETS.map(b => [b, 0n]));
+  let arBound = 0n;
+  let arBlocks = [];
+  let arMismatches = 0;
+  if (accrual.first === null) return { implied, arBound, arBlocks, arMismatches };
+
+  const started = Date.now();
+  let prev = null;
+  for (let lo = accrual.first; lo <= tipNumber; lo += BigInt(HEADER_CHUNK)) {
+    const hi = lo + BigInt(HEADER_CHUNK) - 1n < tipNumber ? lo + BigInt(HEADER_CHUNK) - 1n : tipNumber;
+    for (const h of await headerCache.getRange(lo, hi)) {
+      const n = BigInt(h.number);
+      const { C, AR } = parseDao(h.dao);
+
+      if (prev) {
+        const e = parseEpochPacked(h.epoch);
+        const s = perBlockSecondary(e.length, e.index, secondaryEpochReward);
+        const wTotal = accrual.total();
+        for (const b of BUCKETS) implied[b] += daoShareScaled(s, prev.C, prev.AR, accrual.W[b]);
+        arBound += (wTotal * SCALE + W_UNIT - 1n) / W_UNIT;
+
+        const step = AR - prev.AR;
+        const expectedStep = (prev.AR * s) / prev.C;
+        if (step !== expectedStep) {
+          arMismatches++;
+          arBlocks.push({ block: n, ar_step: step, expected_step: expectedStep, gap: roundScaled(((step - expectedStep) * wTotal * SCALE) / W_UNIT) });
+          if (arBlocks.length > 4 * Math.max(TOP, 1)) arBlocks = arBlocks.sort(byAbs('gap')).slice(0, TOP);
+        }
+      }
+
+      // cells starting here accrue from the next block on; cells ending here stop
+      for (const c of accrual.step(n, AR)) c.expected = (c.free_capacity * (AR - c.arStart) * SCALE) / c.arStart;
+      prev = { C, AR };
+    }
+    emitProgress('reconcile_headers', { block: hi, elapsed_ms: Date.now() - started });
+  }
+  return { implied, arBound, arBlocks: arBlocks.sort(byAbs('gap')).slice(0, TOP), arMismatches };
+}
+
+/* ----------------------- compute ----------------------- */
+
+export async function computeReconciliation({ tolerance = TOLERANCE } = {}) {
+  const net = await getNetwork();
+
+  // every source reads the chain as of this block, however far the indexer moves meanwhile
+  const snapshot = await takeSnapshot();
+  const tipNumber = BigInt(snapshot.block_number);
+  const tipHeader = await headerCache.getByHash(snapshot.block_hash);
+  const { S } = parseDao(tipHeader.dao);
+
+  const { records } = await buildDaoLifecycle({ snapshot });
+  const cells = lifecycleCells(records, tipNumber);
+  const shares = await impliedShares(cells, tipNumber, net.secondaryEpochReward);
+
+  // scanned values per cell; a cell the lifecycle index doesn't know is expected to get nothing
+  function scanned(key, bucket, reward) {
+    let c = cells.get(key);
+    if (!c) {
+      cells.set(key, (c = { cell: key, bucket, address: null, free_capacity: null, start: null, end: null, expected: 0n, scanned: null, flags: 'not_in_lifecycle' }));
+    }
+    c.scanned = (c.scanned ?? 0n) + reward;
+    if (c.bucket !== bucket) c.flags = [c.flags, `scanned_as_${bucket}`].filter(Boolean).join('|');
+  }
+
+  const claimed = await computeWithdraw2Reward({
+    snapshot,
+    onInput: ({ out_point: op, reward }) => scanned(outPointKey(op.tx_hash, op.index), 'claimed', reward),
+  });
+  const unclaimed = await computeUnclaimed({
+    snapshot,
+    onCell: ({ out_point: op, kind, reward }) => scanned(outPointKey(op.tx_hash, op.index), BUCKET_OF_KIND[kind], reward),
+  });
+
+  const scannedTotals = {
+    claimed: claimed.totalReward,
+    unclaimed_deposit: unclaimed.unclaimedDeposit,
+    unclaimed_prepare: unclaimed.unclaimedPrepare,
+  };
+  const buckets = {};
+  for (const b of BUCKETS) {
+    const implied = roundScaled(shares.implied[b]);
+    buckets[b] = { scanned: scannedTotals[b], implied, residual: scannedTotals[b] - implied };
+  }
+  const scannedTotal = BUCKETS.reduce((a, b) => a + scannedTotals[b], 0n);
+  const impliedTotal = roundScaled(BUCKETS.reduce((a, b) => a + shares.implied[b], 0n));
+  const residual = scannedTotal - impliedTotal;
+
+  const arBound = (shares.arBound + SCALE - 1n) / SCALE;
+  tolerance ??= BigInt(cells.size) + arBound;
+  const withinTolerance = abs(residual) <= tolerance && BUCKETS.every(b => abs(buckets[b].residual) <= tolerance);
+
+  // cells at least 1 shannon away from their expected compensation, largest gap first
+  let contributors = [];
+  if (!withinTolerance) {
+    contributors = [...cells.values()]
+      .map(({ start, end, arStart, ...c }) => ({ ...c, gapScaled: (c.scanned ?? 0n) * SCALE - c.expected }))
+      .filter(c => abs(c.gapScaled) >= SCALE)
+      .sort(byAbs('gapScaled'))
+      .map(({ gapScaled, ...c }) => ({
+        ...c,
+        expected: roundScaled(c.expected),
+        gap: roundScaled(gapScaled),
+        source: c.flags === 'not_in_lifecycle' ? 'scan' : c.scanned === null ? 'lifecycle' : 'both',
+      }));
+  }
+
+  const unclaimedTotal = unclaimed.unclaimedTotal;
+  return {
+    network: net.name,
+    snapshot,
+    cells: cells.size,
+    buckets,
+    scanned: scannedTotal,
+    implied: impliedTotal,
+    residual,
+    arBound,
+    tolerance,
+    withinTolerance,
+    contributors,
+    arBlocks: shares.arBlocks,
+    arMismatches: shares.arMismatches,
+    S,
+    unclaimedTotal,
+    unclaimedWithinS: unclaimedTotal <= S,
+    treasury: S - unclaimedTotal,
+  };
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  const r = await computeReconciliation();
+  await checkSnapshot(r.snapshot);
+
+  console.log('================================');
+  console.log('RPC_URL                     =', RPC_URL);
+  console.log('NETWORK                     =', r.network);
+  console.log('SNAPSHOT                    =', BigInt(r.snapshot.block_number).toString(), r.snapshot.block_hash);
+  console.log('DAO cells                   =', r.cells);
+  console.log('--------------------------------');
+  for (const b of BUCKETS) {
+    const x = r.buckets[b];
+    console.log(
+      `${b.padEnd(28)}= ${formatCKB(x.scanned)} CKB (implied ${formatCKB(x.implied)} CKB, residual ${x.residual} shannons)`
+    );
+  }
+  console.log('--------------------------------');
+  console.log('claimed + unclaimed         =', formatCKB(r.scanned), 'CKB');
+  console.log('implied DAO share           =', formatCKB(r.implied), 'CKB');
+  console.log('Residual (scanned - implied)=', `${r.residual} shannons`, `(tolerance ${r.tolerance}, AR rounding <= ${r.arBound})`, r.withinTolerance ? '✅' : '❌');
+  console.log('AR steps off s/C            =', r.arMismatches, r.arMismatches === 0 ? '✅' : '❌');
+  console.log('unclaimed <= S              =', `${formatCKB(r.unclaimedTotal)} <= ${formatCKB(r.S)} CKB`, r.unclaimedWithinS ? '✅' : '❌');
+  console.log('Treasury (S - unclaimed)    =', formatCKB(r.treasury), 'CKB');
+
+  if (r.arBlocks.length > 0 && TOP > 0) {
+    console.log('--------------------------------');
+    console.log(`top ${r.arBlocks.length} of ${r.arMismatches} blocks whose AR step is not floor(AR * s / C):`);
+    for (const b of r.arBlocks) {
+      console.log(`[reconcile-block] ${b.block} gap=${b.gap} ar_step=${b.ar_step} expected_step=${b.expected_step}`);
+    }
+  }
+
+  if (r.contributors.length > 0 && TOP > 0) {
+    console.log('--------------------------------');
+    console.log(`top ${Math.min(TOP, r.contributors.length)} of ${r.contributors.length} cells off their compensation:`);
+    for (const c of r.contributors.slice(0, TOP)) {
+      console.log(
+        `[reconcile-cell] ${c.cell} ${c.bucket} gap=${c.gap} expected=${c.expected} scanned=${c.scanned ?? '-'}` +
+        ` source=${c.source}${c.flags ? ` flags=${c.flags}` : ''}`
+      );
+    }
+  }
+
+  let exported = null;
+  if (RECONCILE_EXPORT) {
+    const { csv, json } = exportTable('dao_reconcile_cells', CELL_COLUMNS, r.contributors, {
+      meta: { network: r.network, snapshot: snapshotTip(r.snapshot), residual: r.residual, tolerance: r.tolerance },
+    });
+    console.log(`contributing cells (${r.contributors.length}): ${csv}, ${json}`);
+    exported = { csv, json };
+  }
+
+  return {
+    network: r.network,
+    tip: snapshotTip(r.snapshot),
+    params: { tolerance: r.tolerance, top: TOP, export: RECONCILE_EXPORT },
+    result: {
+      cells: r.cells,
+      buckets: r.buckets,
+      scanned: r.scanned,
+      implied: r.implied,
+      residual: r.residual,
+      ar_bound: r.arBound,
+      within_tolerance: r.withinTolerance,
+      s: r.S,
+      unclaimed_within_s: r.unclaimedWithinS,
+      treasury: r.treasury,
+      ar_mismatches: r.arMismatches,
+      top_blocks: r.arBlocks,
+      contributors: r.contributors.length,
+      top_cells: r.contributors.slice(0, TOP),
+      export: exported,
+    },
+  };
+}
+
+runMain(import.meta.url, main);
@@ -1,101 +1,174 @@
 import { occupiedCapacity, formatCKB } from './ckb_capacity.js';
+import { RPC_URL, rpc, rpcBatch } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { runMain } from './entry.js';
+import { getNetwork, isDaoTypeScript } from './network.js';
+import { encodeAddress, lockKey, parseAddressList } from './address.js';
+import { exportTable } from './export.js';
+import { daoCompensation, unpackDao } from './dao.js';
+import { emitProgress } from './output.js';
+import { fmtHMS, mapLimit, readAhead } from './pipeline.js';
+import { checkSnapshot, snapshotTip, takeSnapshot } from './snapshot.js';
 
-const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8114';
 const LIMIT_CELLS = process.env.LIMIT || '0x64'; // get_cells page size
-
-/* ----------------------- RPC helper ----------------------- */
-
-async function rpc(method, params, { timeoutMs = 30_000, retries = 3 } = {}) {
-  let lastErr;
-  for (let i = 1; i <= retries; i++) {
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
-    try {
-      const res = await fetch(RPC_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
-        signal: ctrl.signal,
-      });
-      const json = await res.json();
-      if (json.error) throw new Error(JSON.stringify(json.error));
-      return json.result;
-    } catch (e) {
-      lastErr = e;
-      await new Promise(r => setTimeout(r, 300 * i));
-    } finally {
-      clearTimeout(t);
-    }
+const ADDRESS = process.env.ADDRESS || '';         // comma-separated ckb1…/ckt1… holders; empty = all
+const AT_BLOCK = process.env.AT_BLOCK || '';       // decimal or 0x hex; empty = snapshot block
+
+// scan pipeline: get_cells pages are read ahead while the previous page is processed, and the
+// deposit / prepare blocks of each page are resolved with batched header calls, a few in flight
+const CONCURRENCY = Math.max(1, Number(process.env.UNCLAIMED_CONCURRENCY || '4'));     // header batch calls in flight
+const HEADER_BATCH = Math.max(1, Number(process.env.UNCLAIMED_HEADER_BATCH || '100')); // headers per batch call
+const READ_AHEAD = Math.max(1, Number(process.env.UNCLAIMED_READ_AHEAD || '2'));       // pages in flight per stage
+const PROGRESS_EVERY = Number(process.env.UNCLAIMED_PROGRESS_EVERY || '50');           // progress line every N pages; 0 = off
+
+const DEPOSIT_DATA = '0x0000000000000000';
+
+// per-holder report
+const HOLDERS_TOP = Number(process.env.HOLDERS_TOP || '20');                   // 0 = don't print
+const HOLDERS_SORT = process.env.HOLDERS_SORT || 'unclaimed_total';
+const HOLDERS_EXPORT = (process.env.HOLDERS_EXPORT ?? '0') === '1';            // out/dao_unclaimed_holders.{csv,json}
+
+const HOLDER_COLUMNS = [
+  'address', 'deposit_cells', 'prepare_cells', 'locked_capacity',
+  'unclaimed_deposit', 'unclaimed_prepare', 'unclaimed_total', 'earliest_deposit_ts', 'earliest_deposit_at',
+];
+const HOLDER_SORT_KEYS = ['unclaimed_total', 'unclaimed_deposit', 'unclaimed_prepare', 'locked_capacity', 'deposit_cells', 'prepare_cells'];
+
+/* ----------------------- snapshot height ----------------------- */
+
+const toHex = (n) => '0x' + BigInt(n).toString(16);
+
+// AR/S of the measured block: the snapshot (see snapshot.js), or `atBlock` (must not be above it)
+async function getSnapshotARandS(atBlock, snapshot) {
+  const tipNumber = BigInt(snapshot.block_number);
+  const height = atBlock === undefined || atBlock === null ? tipNumber : BigInt(atBlock);
+  if (height < 0n || height > tipNumber) {
+    throw new Error(`AT_BLOCK ${height} is outside [0, snapshot ${tipNumber}]`);
   }
-  throw lastErr;
-}
-
-function lockKey(lock) {
-  if (!lock) return 'null';
-  return `${lock.code_hash}|${lock.hash_type}|${lock.args || '0x'}`;
+  const header = height === tipNumber
+    ? await headerCache.getByHash(snapshot.block_hash)
+    : await headerCache.getByNumber(height);
+  const { AR, S } = unpackDao(header.dao);
+  return {
+    AR,
+    S,
+    heightHex: toHex(height),
+    heightDec: height.toString(),
+    hash: header.hash,
+    snapshot: tipNumber,
+    historical: height < tipNumber,
+  };
 }
 
-/* ----------------------- DAO constants ----------------------- */
+/* ----------------------- get_cells (DAO live) ----------------------- */
 
-const DAO_TYPE = {
-  code_hash: '0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e',
-  hash_type: 'type',
-  args: '0x',
-};
+// DAO type script, or the given locks with a DAO type filter (one indexer pass per lock)
+function daoSearchKeys(daoType, locks, blockRange = null) {
+  const keys = locks.length > 0
+    ? locks.map(lock => ({ script: lock, script_type: 'lock', filter: { script: daoType } }))
+    : [{ script: daoType, script_type: 'type' }];
+  if (blockRange) for (const k of keys) k.filter = { ...k.filter, block_range: blockRange };
+  return keys;
+}
 
+// all live DAO cells, or only those of the given locks; blockRange [from, to) limits the creation block
+async function* getDaoLiveCellPages(daoType, locks = [], blockRange = null) {
+  for (const searchKey of daoSearchKeys(daoType, locks, blockRange)) {
+    let cursor = null;
+    while (true) {
+      const params = [searchKey, 'asc', LIMIT_CELLS];
+      if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
 
-/* ----------------------- DAO header parsing ----------------------- */
+      const res = await rpc('get_cells', params, { timeoutMs: 120_000 });
+      if (!res.objects || res.objects.length === 0) break;
 
-function parseDaoAR(daoHex) {
-  const buf = Buffer.from(daoHex.slice(2), 'hex');
-  return buf.readBigUInt64LE(8);
-}
+      yield res.objects;
 
-function parseDaoS(daoHex) {
-  const buf = Buffer.from(daoHex.slice(2), 'hex');
-  return buf.readBigUInt64LE(16);
+      const last = res.last_cursor;
+      if (!last || last === '0x' || last === '0x0') break;
+      cursor = last;
+    }
+  }
 }
 
-/* ----------------------- Indexer tip ----------------------- */
+// DAO cells created at or before `height` and spent in (height, indexerTip]: live at `height`
+// but no longer returned by get_cells. Pages come in get_cells shape.
+async function* getDaoCellsSpentAfter(daoType, locks, height, indexerTip) {
+  if (height >= indexerTip) return;
+  const lockFilter = locks.length > 0 ? new Set(locks.map(lockKey)) : null;
+  const seenTx = new Set();
+  const seenOutPoint = new Set();
+
+  for (const searchKey of daoSearchKeys(daoType, locks, [toHex(height + 1n), toHex(indexerTip + 1n)])) {
+    let cursor = null;
+    while (true) {
+      const params = [searchKey, 'asc', LIMIT_CELLS];
+      if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
+
+      const res = await rpc('get_transactions', params, { timeoutMs: 120_000 });
+      if (!res.objects || res.objects.length === 0) break;
+
+      // spending txs -> consumed out points -> the txs that created them
+      const txHashes = [...new Set(res.objects.filter(o => o.io_type === 'input').map(o => o.tx_hash))]
+        .filter(h => !seenTx.has(h));
+      txHashes.forEach(h => seenTx.add(h));
+      const spending = await rpcBatch(txHashes.map(h => ['get_transaction', [h]]));
+
+      const outPoints = [];
+      for (const w of spending) {
+        for (const inp of w?.transaction?.inputs || []) {
+          const op = inp.previous_output;
+          const k = `${op.tx_hash}:${op.index}`;
+          if (seenOutPoint.has(k)) continue;
+          seenOutPoint.add(k);
+          outPoints.push(op);
+        }
+      }
+      const prevHashes = [...new Set(outPoints.map(op => op.tx_hash))];
+      const prevTxs = await rpcBatch(prevHashes.map(h => ['get_transaction', [h]]));
+      const prevByHash = new Map(prevHashes.map((h, i) => [h, prevTxs[i]]));
+
+      const cells = [];
+      for (const op of outPoints) {
+        const prev = prevByHash.get(op.tx_hash);
+        const idx = Number(op.index);
+        const output = prev?.transaction?.outputs?.[idx];
+        if (!output || !isDaoTypeScript(output.type, daoType)) continue;
+        if (lockFilter && !lockFilter.has(lockKey(output.lock))) continue;
+        const bn = prev.tx_status?.block_number;
+        if (!bn || BigInt(bn) > height) continue;
+        cells.push({ block_number: bn, out_point: op, output, output_data: prev.transaction.outputs_data[idx] });
+      }
+      if (cells.length > 0) yield cells;
 
-async function getIndexerARandS() {
-  const tip = await rpc('get_indexer_tip', []);
-  const header = await rpc('get_header', [tip.block_hash]);
-  return {
-    AR: parseDaoAR(header.dao),
-    S: parseDaoS(header.dao),
-    heightHex: tip.block_number,
-    heightDec: BigInt(tip.block_number).toString(),
-    hash: tip.block_hash,
-  };
+      const last = res.last_cursor;
+      if (!last || last === '0x' || last === '0x0') break;
+      cursor = last;
+    }
+  }
 }
 
-// timestamp cache by block_number hex
-async function getTimestampByBlockNumberHex(bnHex, tsCache) {
-  if (tsCache.has(bnHex)) return tsCache.get(bnHex);
-  const h = await rpc('get_header_by_number', [bnHex], { timeoutMs: 120_000, retries: 5 });
-  const ts = BigInt(h.timestamp); // hex -> BigInt
-  tsCache.set(bnHex, ts);
-  return ts;
+// DAO cells live at height H: (live now ∧ created ≤ H) ∪ (created ≤ H ∧ spent > H).
+// The indexer keeps moving while the pages are read: a cell spent before its get_cells page came up
+// is found by the second pass, which runs up to the indexer tip as of the end of the first one, and
+// a cell both passes see (spent in between) is yielded once.
+async function* getDaoCellPagesAt(daoType, locks, height) {
+  const seen = new Set();
+  for await (const cells of getDaoLiveCellPages(daoType, locks, ['0x0', toHex(height + 1n)])) {
+    for (const c of cells) seen.add(`${c.out_point.tx_hash}:${Number(c.out_point.index)}`);
+    yield cells;
+  }
+  const tip = await rpc('get_indexer_tip', []);
+  for await (const cells of getDaoCellsSpentAfter(daoType, locks, height, BigInt(tip.block_number))) {
+    const fresh = cells.filter(c => !seen.has(`${c.out_point.tx_hash}:${Number(c.out_point.index)}`));
+    if (fresh.length > 0) yield fresh;
+  }
 }
 
-/* ----------------------- get_cells (DAO live) ----------------------- */
-
-async function* getDaoLiveCells() {
-  let cursor = null;
-  while (true) {
-    const params = [{ script: DAO_TYPE, script_type: 'type' }, 'asc', LIMIT_CELLS];
-    if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
-
-    const res = await rpc('get_cells', params, { timeoutMs: 120_000 });
-    if (!res.objects || res.objects.length === 0) break;
-
-    for (const c of res.objects) yield c;
-
-    const last = res.last_cursor;
-    if (!last || last === '0x' || last === '0x0') break;
-    cursor = last;
-  }
+// DAO cells live at `at` (a height <= the indexer tip, or a snapshot from snapshot.js), whatever the
+// indexer tip is by the time the pages are read
+export async function* daoCellPagesAt(daoType, at, locks = []) {
+  yield* getDaoCellPagesAt(daoType, locks, BigInt(at?.block_number ?? at));
 }
 
 // prepare-withdraw cell: output_data is u64 little-endian = prepare block number
@@ -113,40 +186,91 @@ function parsePrepareBlockNumberHex(outputData) {
   return '0x' + bn.toString(16);
 }
 
-async function getARByBlockNumberHex(bnHex, arCache) {
-  if (arCache.has(bnHex)) return arCache.get(bnHex);
-  const h = await rpc('get_header_by_number', [bnHex], { timeoutMs: 120_000, retries: 5 });
-  const ar = parseDaoAR(h.dao);
-  arCache.set(bnHex, ar);
-  return ar;
+/* ----------------------- scan pipeline ----------------------- */
+
+// resolve the uncached blocks into `blocks` (block_number hex -> { AR, ts }):
+// batches of HEADER_BATCH, CONCURRENCY of them in flight
+async function resolveBlocks(bnHexes, blocks) {
+  const missing = [...new Set(bnHexes)].filter(bn => !blocks.has(bn));
+  const chunks = [];
+  for (let i = 0; i < missing.length; i += HEADER_BATCH) chunks.push(missing.slice(i, i + HEADER_BATCH));
+  await mapLimit(chunks, CONCURRENCY, async (chunk) => {
+    const headers = await headerCache.getManyByNumber(chunk);
+    headers.forEach((h, i) => blocks.set(chunk[i], { AR: unpackDao(h.dao).AR, ts: BigInt(h.timestamp) }));
+  });
 }
 
-/* ----------------------- main ----------------------- */
+// deposit block of a deposit cell; prepare and deposit blocks of a prepare cell
+const blocksOfPage = (cells) => cells.flatMap(c => (
+  c.output_data === DEPOSIT_DATA ? [c.block_number] : [c.block_number, parsePrepareBlockNumberHex(c.output_data)]
+));
+
+// pages with every block they refer to already in `blocks`; the next pages (and their headers)
+// are fetched while the caller works on the current one
+async function* resolvedPages(pages, blocks) {
+  const resolve = async function* () {
+    for await (const cells of readAhead(pages, READ_AHEAD)) {
+      await resolveBlocks(blocksOfPage(cells), blocks);
+      yield cells;
+    }
+  };
+  yield* readAhead(resolve(), READ_AHEAD);
+}
 
-async function main() {
-  const { AR, S, heightDec, heightHex, hash } = await getIndexerARandS();
+// capacity the scan is going to visit, for the ETA; null if unknown (historical scans also
+// visit cells the indexer no longer has, and old nodes lack get_cells_capacity)
+async function scanCapacity(daoType, locks, snapshot) {
+  if (snapshot.historical) return null;
+  try {
+    let total = 0n;
+    for (const key of daoSearchKeys(daoType, locks, ['0x0', toHex(BigInt(snapshot.heightHex) + 1n)])) {
+      const res = await rpc('get_cells_capacity', [key], { retries: 1 });
+      total += res ? BigInt(res.capacity) : 0n;
+    }
+    return total;
+  } catch {
+    return null;
+  }
+}
 
-  console.log('RPC_URL        =', RPC_URL);
-  console.log('INDEXER_HEIGHT =', heightDec, `(hex=${heightHex})`);
-  console.log('INDEXER_HASH   =', hash);
-  console.log('AR             =', AR.toString());
-  console.log('S              =', S.toString());
+function printProgress({ pages, cells, capacity }, totalCapacity, startAt) {
+  const elapsedSec = (Date.now() - startAt) / 1000;
+  const speed = elapsedSec > 0 ? cells / elapsedSec : 0;
+  const frac = totalCapacity ? Math.min(1, Number(capacity) / Number(totalCapacity)) : null;
+  const etaSec = frac ? (elapsedSec * (1 - frac)) / frac : null;
+  console.log(
+    `Processed DAO cells: ${cells.toLocaleString()} (pages=${pages})` +
+    (frac === null ? '' : ` (${(frac * 100).toFixed(2)}% of capacity)`) +
+    ` | ${speed.toFixed(0)} cells/s` +
+    (etaSec === null ? '' : ` | ETA ${fmtHMS(etaSec)}`)
+  );
+  emitProgress('unclaimed_cells', {
+    pages,
+    cells,
+    pct: frac === null ? null : Number((frac * 100).toFixed(2)),
+    cells_per_sec: Math.round(speed),
+    eta_sec: etaSec === null ? null : Math.round(etaSec),
+  });
+}
 
-  const arCache = new Map();
+/* ----------------------- compute ----------------------- */
 
-  // ✅ timestamp cache
-  const tsCache = new Map();
+// unclaimed deposit/prepare rewards of the DAO cells live at the snapshot block, or at `atBlock`.
+// addresses: optional list of holder addresses to restrict the scan to.
+// onCell({ out_point, kind: 'deposit' | 'prepare', reward }): called for every cell with the reward it adds.
+// snapshot: the block the run is pinned to (default: take one now, see snapshot.js)
+export async function computeUnclaimed({ addresses = [], atBlock, onCell = null, snapshot = null } = {}) {
+  const net = await getNetwork();
+  const locks = dedupeLocks(parseAddressList(addresses.join(','), net.addressPrefix));
+  const tip = await getSnapshotARandS(atBlock, snapshot ?? await takeSnapshot());
+  const { AR, heightHex } = tip;
 
-  async function getTimestampByBlockNumberHex(bnHex) {
-    if (tsCache.has(bnHex)) return tsCache.get(bnHex);
-    const h = await rpc('get_header_by_number', [bnHex], { timeoutMs: 120_000, retries: 5 });
-    const ts = BigInt(h.timestamp); // ms
-    tsCache.set(bnHex, ts);
-    return ts;
-  }
+  // block_number hex -> { AR, ts }
+  const blocks = new Map();
 
   // tip timestamp（当前）
-  const tipTs = await getTimestampByBlockNumberHex(heightHex);
+  await resolveBlocks([heightHex], blocks);
+  const tipTs = blocks.get(heightHex).ts;
 
   // ✅ deposit 地址 -> “最早存入” 的 timestamp（你要按地址统计就需要这个）
   const depositAddrMinTs = new Map(); // key: lockKey -> BigInt(ms)
@@ -162,57 +286,185 @@ async function main() {
   const prepareAddrSet = new Set();
   const totalAddrSet = new Set();
 
-  for await (const c of getDaoLiveCells()) {
-    const cap = BigInt(c.output.capacity);
-    const occ = occupiedCapacity(c.output, c.output_data);
-    const free = cap - occ;
-
-    if (c.output_data === '0x0000000000000000') {
-      // ---- deposit cell ----
-      cntDeposit++;
-
-      const k = lockKey(c.output.lock);
-      depositAddrSet.add(k);
-      totalAddrSet.add(k);
+  // lockKey -> per-holder aggregate
+  const holders = new Map();
+  function holderOf(lock) {
+    const k = lockKey(lock);
+    let h = holders.get(k);
+    if (!h) {
+      holders.set(k, (h = {
+        lock,
+        deposit_cells: 0,
+        prepare_cells: 0,
+        locked_capacity: 0n,
+        unclaimed_deposit: 0n,
+        unclaimed_prepare: 0n,
+        earliest_deposit_ts: null,
+      }));
+    }
+    return h;
+  }
 
-      // ✅ 记录该地址的“最早存入时间”（按地址聚合）
-      const depTs = await getTimestampByBlockNumberHex(c.block_number);
-      const old = depositAddrMinTs.get(k);
-      if (old === undefined || depTs < old) {
-        depositAddrMinTs.set(k, depTs);
+  const totalCapacity = PROGRESS_EVERY > 0 ? await scanCapacity(net.daoType, locks, tip) : null;
+  const progress = { pages: 0, cells: 0, capacity: 0n };
+  const startAt = Date.now();
+
+  // cells are still folded in get_cells order, so the totals match a one-cell-at-a-time scan
+  for await (const cells of resolvedPages(getDaoCellPagesAt(net.daoType, locks, BigInt(heightHex)), blocks)) {
+    for (const c of cells) {
+      const cap = BigInt(c.output.capacity);
+      const occ = occupiedCapacity(c.output, c.output_data);
+      const free = cap - occ;
+
+      const holder = holderOf(c.output.lock);
+      holder.locked_capacity += cap;
+
+      if (c.output_data === DEPOSIT_DATA) {
+        // ---- deposit cell ----
+        cntDeposit++;
+
+        const k = lockKey(c.output.lock);
+        depositAddrSet.add(k);
+        totalAddrSet.add(k);
+
+        // ✅ 记录该地址的“最早存入时间”（按地址聚合）
+        const depTs = blocks.get(c.block_number).ts;
+        const old = depositAddrMinTs.get(k);
+        if (old === undefined || depTs < old) {
+          depositAddrMinTs.set(k, depTs);
+          holder.earliest_deposit_ts = depTs;
+        }
+        holder.deposit_cells++;
+
+        // ✅ 累加 unclaimed deposit cell 的 capacity
+        unclaimedDepositCapacity += cap;
+
+        // deposit height i = c.block_number
+        const AR_i = blocks.get(c.block_number).AR;
+
+        // tip height k = snapshot block (or AT_BLOCK)
+        const reward = daoCompensation(free, AR_i, AR); // AR is tip AR_k
+        if (reward > 0n) {
+          unclaimedDeposit += reward;
+          holder.unclaimed_deposit += reward;
+        }
+        onCell?.({ out_point: c.out_point, kind: 'deposit', reward: reward > 0n ? reward : 0n });
+
+      } else {
+        // ---- prepare-withdraw cell ----
+        cntPrepare++;
+
+        const k = lockKey(c.output.lock);
+        prepareAddrSet.add(k);
+        totalAddrSet.add(k);
+        holder.prepare_cells++;
+
+        // deposit height i is stored in output_data
+        const depositBnHex = parsePrepareBlockNumberHex(c.output_data);
+        const AR_i = blocks.get(depositBnHex).AR;
+
+        // prepare height j = c.block_number (this cell created at prepare tx)
+        const AR_j = blocks.get(c.block_number).AR;
+
+        const reward = daoCompensation(free, AR_i, AR_j);
+        if (reward > 0n) {
+          unclaimedPrepare += reward;
+          holder.unclaimed_prepare += reward;
+        }
+        onCell?.({ out_point: c.out_point, kind: 'prepare', reward: reward > 0n ? reward : 0n });
       }
+    }
 
-      // ✅ 累加 unclaimed deposit cell 的 capacity
-      unclaimedDepositCapacity += cap;
+    progress.pages++;
+    progress.cells += cells.length;
+    for (const c of cells) progress.capacity += BigInt(c.output.capacity);
+    if (PROGRESS_EVERY > 0 && progress.pages % PROGRESS_EVERY === 0) printProgress(progress, totalCapacity, startAt);
+  }
+  if (PROGRESS_EVERY > 0 && progress.pages % PROGRESS_EVERY !== 0) printProgress(progress, totalCapacity, startAt);
 
-      // deposit height i = c.block_number
-      const AR_i = await getARByBlockNumberHex(c.block_number, arCache);
+  // ✅ 平均存入天数（按地址：分母 = depositAddrSet.size）
+  let sumDeltaMs = 0n;
+  let addrCount = 0n;
 
-      // tip height k = indexer tip
-      const reward = (free * AR) / AR_i - free; // AR is tip AR_k
-      if (reward > 0n) unclaimedDeposit += reward;
+  for (const [k, depTs] of depositAddrMinTs.entries()) {
+    const delta = tipTs - depTs;
+    if (delta >= 0n) {
+      sumDeltaMs += delta;
+      addrCount += 1n;
+    }
+  }
 
-    } else {
-      // ---- prepare-withdraw cell ----
-      cntPrepare++;
+  const avgDays = addrCount > 0n
+    ? Number(sumDeltaMs / addrCount) / 1000 / 60 / 60 / 24
+    : null;
 
-      const k = lockKey(c.output.lock);
-      prepareAddrSet.add(k);
-      totalAddrSet.add(k);
+  return {
+    network: net.name,
+    tip,
+    unclaimedDeposit,
+    unclaimedPrepare,
+    unclaimedTotal: unclaimedDeposit + unclaimedPrepare,
+    cntDeposit,
+    cntPrepare,
+    unclaimedDepositCapacity,
+    depositAddrCount: depositAddrSet.size,
+    prepareAddrCount: prepareAddrSet.size,
+    totalAddrCount: totalAddrSet.size,
+    avgDepositAgeDays: avgDays,
+    avgDepositAgeAddrs: Number(addrCount),
+    holders: [...holders.values()].map(h => holderRow(h, net.addressPrefix)),
+  };
+}
 
-      // deposit height i is stored in output_data
-      const depositBnHex = parsePrepareBlockNumberHex(c.output_data);
-      const AR_i = await getARByBlockNumberHex(depositBnHex, arCache);
+function dedupeLocks(locks) {
+  return [...new Map(locks.map(l => [lockKey(l), l])).values()];
+}
 
-      // prepare height j = c.block_number (this cell created at prepare tx)
-      const AR_j = await getARByBlockNumberHex(c.block_number, arCache);
+function holderRow(h, prefix) {
+  return {
+    address: h.lock ? encodeAddress(h.lock, prefix) : 'null',
+    deposit_cells: h.deposit_cells,
+    prepare_cells: h.prepare_cells,
+    locked_capacity: h.locked_capacity,
+    unclaimed_deposit: h.unclaimed_deposit,
+    unclaimed_prepare: h.unclaimed_prepare,
+    unclaimed_total: h.unclaimed_deposit + h.unclaimed_prepare,
+    earliest_deposit_ts: h.earliest_deposit_ts,
+    earliest_deposit_at: h.earliest_deposit_ts === null ? '' : new Date(Number(h.earliest_deposit_ts)).toISOString(),
+  };
+}
 
-      const reward = (free * AR_j) / AR_i - free;
-      if (reward > 0n) unclaimedPrepare += reward;
-    }
+// descending by `key` (BigInt or number column)
+export function sortHolders(rows, key = 'unclaimed_total') {
+  if (!HOLDER_SORT_KEYS.includes(key)) {
+    throw new Error(`HOLDERS_SORT must be one of ${HOLDER_SORT_KEYS.join('|')}, got ${key}`);
   }
+  return [...rows].sort((a, b) => (b[key] > a[key] ? 1 : b[key] < a[key] ? -1 : 0));
+}
 
-  const unclaimedTotal = unclaimedDeposit + unclaimedPrepare;
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  sortHolders([], HOLDERS_SORT); // validate before the long scan
+  const addresses = ADDRESS.split(',').map(a => a.trim()).filter(Boolean);
+  const atBlock = AT_BLOCK ? BigInt(AT_BLOCK) : undefined;
+  const snapshot = await takeSnapshot();
+  const r = await computeUnclaimed({ addresses, atBlock, snapshot });
+  const { AR, S, heightDec, heightHex, hash } = r.tip;
+  const { unclaimedDeposit, unclaimedPrepare, unclaimedTotal, cntDeposit, cntPrepare } = r;
+
+  console.log('RPC_URL        =', RPC_URL);
+  console.log('NETWORK        =', r.network);
+  if (addresses.length > 0) console.log('ADDRESS        =', addresses.join(','));
+  if (r.tip.historical) {
+    console.log('AT_BLOCK       =', heightDec, `(hex=${heightHex})`, `snapshot=${r.tip.snapshot}`);
+    console.log('AT_BLOCK_HASH  =', hash);
+  } else {
+    console.log('SNAPSHOT       =', heightDec, `(hex=${heightHex})`);
+    console.log('SNAPSHOT_HASH  =', hash);
+  }
+  console.log('AR             =', AR.toString());
+  console.log('S              =', S.toString());
 
   console.log('--------------------------------');
   console.log('DAO unclaimed rewards deposit =', formatCKB(unclaimedDeposit), 'CKB', `(cells=${cntDeposit})`);
@@ -225,34 +477,68 @@ async function main() {
     console.error('❌ Sanity check failed: UnclaimedDAO > S');
   }
   console.log('--------------------------------');
-  console.log('DAO unclaimed deposit capacity =', formatCKB(unclaimedDepositCapacity), 'CKB');
-  console.log('DAO holder addresses deposit  =', depositAddrSet.size);
-  console.log('DAO holder addresses prepare  =', prepareAddrSet.size);
-  console.log('DAO holder addresses total    =', totalAddrSet.size);
-  // ✅ 平均存入天数（按地址：分母 = depositAddrSet.size）
-  let sumDeltaMs = 0n;
-  let addrCount = 0n;
-
-  for (const [k, depTs] of depositAddrMinTs.entries()) {
-    const delta = tipTs - depTs;
-    if (delta >= 0n) {
-      sumDeltaMs += delta;
-      addrCount += 1n;
-    }
-  }
-
-  if (addrCount > 0n) {
-    const avgMs = Number(sumDeltaMs / addrCount);
-    const avgDays = avgMs / 1000 / 60 / 60 / 24;
-    console.log('DAO deposit avg age (days)     =', avgDays.toFixed(2), `(addresses=${addrCount.toString()})`);
+  console.log('DAO unclaimed deposit capacity =', formatCKB(r.unclaimedDepositCapacity), 'CKB');
+  console.log('DAO holder addresses deposit  =', r.depositAddrCount);
+  console.log('DAO holder addresses prepare  =', r.prepareAddrCount);
+  console.log('DAO holder addresses total    =', r.totalAddrCount);
+  if (r.avgDepositAgeDays !== null) {
+    console.log('DAO deposit avg age (days)     =', r.avgDepositAgeDays.toFixed(2), `(addresses=${r.avgDepositAgeAddrs})`);
   } else {
     console.log('DAO deposit avg age (days)     = N/A (addresses=0)');
   }
+
+  const holders = sortHolders(r.holders, HOLDERS_SORT);
+  if (HOLDERS_TOP > 0 && holders.length > 0) {
+    console.log('--------------------------------');
+    console.log(`DAO holders top ${Math.min(HOLDERS_TOP, holders.length)} by ${HOLDERS_SORT}:`);
+    holders.slice(0, HOLDERS_TOP).forEach((h, i) => {
+      console.log(
+        `#${i + 1} ${h.address}` +
+        ` deposit_cells=${h.deposit_cells} prepare_cells=${h.prepare_cells}` +
+        ` locked=${formatCKB(h.locked_capacity)}` +
+        ` unclaimed_deposit=${formatCKB(h.unclaimed_deposit)} unclaimed_prepare=${formatCKB(h.unclaimed_prepare)}` +
+        ` earliest_deposit=${h.earliest_deposit_at || 'N/A'}`
+      );
+    });
+  }
+  if (HOLDERS_EXPORT) {
+    const { csv, json } = exportTable('dao_unclaimed_holders', HOLDER_COLUMNS, holders, {
+      meta: { network: r.network, height: heightDec, hash, historical: r.tip.historical, sort: HOLDERS_SORT },
+    });
+    console.log(`DAO holders table (${holders.length} locks): ${csv}, ${json}`);
+  }
+
+  await checkSnapshot(snapshot);
+
+  return {
+    network: r.network,
+    tip: { number: heightDec, hash, snapshot: snapshotTip(snapshot), historical: r.tip.historical },
+    params: {
+      address: addresses,
+      at_block: atBlock ?? null,
+      holders_top: HOLDERS_TOP,
+      holders_sort: HOLDERS_SORT,
+      holders_export: HOLDERS_EXPORT,
+    },
+    result: {
+      ar: AR,
+      s: S,
+      unclaimed_deposit: unclaimedDeposit,
+      unclaimed_prepare: unclaimedPrepare,
+      unclaimed_total: unclaimedTotal,
+      treasury_burn: unclaimedTotal <= S ? S - unclaimedTotal : null,
+      deposit_cells: cntDeposit,
+      prepare_cells: cntPrepare,
+      unclaimed_deposit_capacity: r.unclaimedDepositCapacity,
+      deposit_addresses: r.depositAddrCount,
+      prepare_addresses: r.prepareAddrCount,
+      total_addresses: r.totalAddrCount,
+      avg_deposit_age_days: r.avgDepositAgeDays,
+      holders: holders.slice(0, HOLDERS_TOP),
+    },
+  };
 }
 
 /* ----------------------- entry ----------------------- */
 
-main().catch(e => {
-  console.error(e);
-  process.exit(1);
-});
+runMain(import.meta.url, main);
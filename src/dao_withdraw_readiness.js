@@ -0,0 +1,270 @@
+// src/dao_withdraw_readiness.js
+// When does the capacity locked in the NervosDAO become withdrawable?
+//
+// Prepare cells: earliest withdraw epoch from the deposit and prepare epochs (180-epoch cycles,
+// see dao.js), status ready / locked at the snapshot block (see snapshot.js), and the capacity + compensation that
+// unlocks per upcoming epoch and per (estimated) day.
+//
+// Deposit cells: the cycle they are in now. Those whose cycle ends within READINESS_BOUNDARY_EPOCHS
+// are listed: prepared before the boundary they unlock at it, otherwise they roll into the next cycle.
+//
+// Dates are estimates: the tip timestamp plus the remaining epochs times the average epoch
+// duration of the last READINESS_SAMPLE_BLOCKS blocks.
+//
+// Env:
+//  - READINESS_BOUNDARY_EPOCHS (default 6, about a day on mainnet)
+//  - READINESS_EPOCHS (upcoming epochs printed in the schedule, default 42)
+//  - READINESS_SAMPLE_BLOCKS (default 10000)
+//  - READINESS_PRINT (near-boundary deposits printed, default 20)
+//  - READINESS_EXPORT (default 1: out/dao_withdraw_readiness.{csv,json}, out/dao_unlock_by_epoch.*,
+//                      out/dao_unlock_by_day.*, out/dao_deposits_near_boundary.*)
+
+import { formatCKB } from './ckb_capacity.js';
+import { RPC_URL } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { parseEpochPacked } from './ckb_header.js';
+import { getNetwork } from './network.js';
+import { encodeAddress } from './address.js';
+import { DAO_LOCK_PERIOD_EPOCHS, calculateDaoCompensation, calculateDaoEarliestSinceEpoch } from './dao.js';
+import { daoCellPagesAt } from './dao_unclaimed.js';
+import { exportTable } from './export.js';
+import { checkSnapshot, snapshotTip, takeSnapshot } from './snapshot.js';
+import { runMain } from './entry.js';
+
+const BOUNDARY_EPOCHS = Number(process.env.READINESS_BOUNDARY_EPOCHS || '6');
+const SCHEDULE_EPOCHS = Number(process.env.READINESS_EPOCHS || '42');
+const SAMPLE_BLOCKS = Math.max(1, Number(process.env.READINESS_SAMPLE_BLOCKS || '10000'));
+const PRINT_ROWS = Number(process.env.READINESS_PRINT || '20');
+const READINESS_EXPORT = (process.env.READINESS_EXPORT ?? '1') === '1';
+
+const DEPOSIT_DATA = '0x0000000000000000';
+
+const PREPARE_COLUMNS = [
+  'out_point', 'address', 'deposit_block', 'prepare_block', 'deposit_epoch', 'earliest_epoch',
+  'capacity', 'compensation', 'withdrawable', 'status', 'epochs_left', 'eta',
+];
+const DEPOSIT_COLUMNS = [
+  'out_point', 'address', 'deposit_block', 'deposit_epoch', 'cycle', 'cycle_end_epoch',
+  'epochs_left', 'eta', 'capacity', 'compensation',
+];
+const BUCKET_COLUMNS = ['cells', 'capacity', 'compensation', 'withdrawable'];
+
+/* ----------------------- epochs ----------------------- */
+
+const epochValue = (e) => e.number + e.index / e.length;
+const formatEpoch = (e) => `${e.number} (${e.index}/${e.length})`;
+
+// a >= b, exact
+function epochAtOrAfter(a, b) {
+  if (a.number !== b.number) return a.number > b.number;
+  return BigInt(a.index) * BigInt(b.length) >= BigInt(b.index) * BigInt(a.length);
+}
+
+// average epoch duration (ms) over the last `sample` blocks, scaled to the tip epoch length
+async function measureEpochMs(tip, tipEpoch, sample = SAMPLE_BLOCKS) {
+  const tipNumber = BigInt(tip.number);
+  const k = tipNumber < BigInt(sample) ? tipNumber : BigInt(sample);
+  if (k === 0n) return null;
+  const from = await headerCache.getByNumber(tipNumber - k);
+  const blockMs = Number(BigInt(tip.timestamp) - BigInt(from.timestamp)) / Number(k);
+  return blockMs * tipEpoch.length;
+}
+
+function parsePrepareBlockNumber(outputData) {
+  return Buffer.from(outputData.slice(2), 'hex').readBigUInt64LE(0);
+}
+
+/* ----------------------- compute ----------------------- */
+
+function addTo(buckets, key, fields, row) {
+  let b = buckets.get(key);
+  if (!b) buckets.set(key, (b = { ...fields, cells: 0, capacity: 0n, compensation: 0n, withdrawable: 0n }));
+  b.cells++;
+  b.capacity += row.capacity;
+  b.compensation += row.compensation;
+  b.withdrawable += row.capacity + row.compensation;
+}
+
+export async function computeWithdrawReadiness({ boundaryEpochs = BOUNDARY_EPOCHS, snapshot = null } = {}) {
+  const net = await getNetwork();
+  snapshot ??= await takeSnapshot();
+  const tipNumber = BigInt(snapshot.block_number);
+  const tip = await headerCache.getByHash(snapshot.block_hash);
+  const tipEpoch = parseEpochPacked(tip.epoch);
+  const epochMs = await measureEpochMs(tip, tipEpoch);
+  const etaOf = (epochsLeft) => (
+    epochMs === null ? '' : new Date(Number(BigInt(tip.timestamp)) + epochsLeft * epochMs).toISOString()
+  );
+
+  const prepares = [];
+  const nearBoundary = [];
+  const byEpoch = new Map();
+  const byDay = new Map();
+  const ready = { cells: 0, capacity: 0n, compensation: 0n, withdrawable: 0n };
+  let deposits = 0;
+  let depositCapacity = 0n;
+
+  for await (const cells of daoCellPagesAt(net.daoType, tipNumber)) {
+    const headers = await headerCache.getManyByNumber(cells.flatMap(c => (
+      c.output_data === DEPOSIT_DATA ? [c.block_number] : [c.block_number, parsePrepareBlockNumber(c.output_data)]
+    )));
+    let h = 0;
+
+    for (const c of cells) {
+      const outPoint = `${c.out_point.tx_hash}:${Number(c.out_point.index)}`;
+      const address = encodeAddress(c.output.lock, net.addressPrefix);
+      const capacity = BigInt(c.output.capacity);
+
+      if (c.output_data === DEPOSIT_DATA) {
+        const depositHeader = headers[h++];
+        deposits++;
+        depositCapacity += capacity;
+        // prepared now, it would unlock at the end of the current cycle; a deposit made in the
+        // snapshot block itself has not started one yet, but is locked for the first in full
+        const depositEpoch = parseEpochPacked(depositHeader.epoch);
+        const cycleEnd = calculateDaoEarliestSinceEpoch(depositHeader, tip);
+        if (cycleEnd.number - depositEpoch.number < DAO_LOCK_PERIOD_EPOCHS) cycleEnd.number = depositEpoch.number + DAO_LOCK_PERIOD_EPOCHS;
+        const epochsLeft = epochValue(cycleEnd) - epochValue(tipEpoch);
+        if (epochsLeft > boundaryEpochs) continue;
+        nearBoundary.push({
+          out_point: outPoint,
+          address,
+          deposit_block: BigInt(c.block_number),
+          deposit_epoch: formatEpoch(depositEpoch),
+          cycle: (cycleEnd.number - depositEpoch.number) / DAO_LOCK_PERIOD_EPOCHS,
+          cycle_end_epoch: formatEpoch(cycleEnd),
+          epochs_left: Number(epochsLeft.toFixed(4)),
+          eta: etaOf(epochsLeft),
+          capacity,
+          compensation: calculateDaoCompensation(c, depositHeader, tip),
+        });
+        continue;
+      }
+
+      const prepareHeader = headers[h++];
+      const depositHeader = headers[h++];
+      const earliest = calculateDaoEarliestSinceEpoch(depositHeader, prepareHeader);
+      const isReady = epochAtOrAfter(tipEpoch, earliest);
+      const epochsLeft = isReady ? 0 : epochValue(earliest) - epochValue(tipEpoch);
+      const row = {
+        out_point: outPoint,
+        address,
+        deposit_block: BigInt(depositHeader.number),
+        prepare_block: BigInt(c.block_number),
+        deposit_epoch: formatEpoch(parseEpochPacked(depositHeader.epoch)),
+        earliest_epoch: formatEpoch(earliest),
+        capacity,
+        compensation: calculateDaoCompensation(c, depositHeader, prepareHeader),
+        withdrawable: 0n,
+        status: isReady ? 'ready' : 'locked',
+        epochs_left: Number(epochsLeft.toFixed(4)),
+        eta: isReady ? '' : etaOf(epochsLeft),
+      };
+      row.withdrawable = row.capacity + row.compensation;
+      prepares.push(row);
+
+      if (isReady) {
+        ready.cells++;
+        ready.capacity += row.capacity;
+        ready.compensation += row.compensation;
+        ready.withdrawable += row.withdrawable;
+      } else {
+        addTo(byEpoch, earliest.number, { epoch: earliest.number }, row);
+        if (row.eta) addTo(byDay, row.eta.slice(0, 10), { day: row.eta.slice(0, 10) }, row);
+      }
+    }
+  }
+
+  prepares.sort((a, b) => a.epochs_left - b.epochs_left);
+  nearBoundary.sort((a, b) => a.epochs_left - b.epochs_left);
+  const sortedBy = (m, k) => [...m.values()].sort((a, b) => (a[k] < b[k] ? -1 : a[k] > b[k] ? 1 : 0));
+
+  return {
+    network: net.name,
+    snapshot,
+    tipEpoch,
+    epochMs,
+    deposits,
+    depositCapacity,
+    prepares,
+    ready,
+    byEpoch: sortedBy(byEpoch, 'epoch'),
+    byDay: sortedBy(byDay, 'day'),
+    nearBoundary,
+  };
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  const snapshot = await takeSnapshot();
+  const r = await computeWithdrawReadiness({ snapshot });
+  const locked = r.prepares.filter(p => p.status === 'locked');
+  const nearCapacity = r.nearBoundary.reduce((s, d) => s + d.capacity, 0n);
+
+  console.log('================================');
+  console.log('RPC_URL                 =', RPC_URL);
+  console.log('NETWORK                 =', r.network);
+  console.log('SNAPSHOT                =', BigInt(snapshot.block_number).toString(), snapshot.block_hash);
+  console.log('TIP_EPOCH               =', formatEpoch(r.tipEpoch));
+  console.log('AVG_EPOCH_DURATION      =', r.epochMs === null ? 'N/A' : `${(r.epochMs / 3_600_000).toFixed(2)} h`);
+  console.log('--------------------------------');
+  console.log('prepare cells           =', r.prepares.length);
+  console.log('  ready now             =', r.ready.cells, `withdrawable=${formatCKB(r.ready.withdrawable)} CKB`);
+  console.log('  locked                =', locked.length,
+    `withdrawable=${formatCKB(locked.reduce((s, p) => s + p.withdrawable, 0n))} CKB`);
+  console.log('deposit cells           =', r.deposits, `capacity=${formatCKB(r.depositCapacity)} CKB`);
+  console.log(`  cycle ends in <= ${BOUNDARY_EPOCHS} epochs =`, r.nearBoundary.length, `capacity=${formatCKB(nearCapacity)} CKB`);
+
+  const upcoming = r.byEpoch.filter(b => b.epoch < r.tipEpoch.number + SCHEDULE_EPOCHS + 1);
+  if (upcoming.length > 0) {
+    console.log('--------------------------------');
+    console.log(`unlock schedule (next ${SCHEDULE_EPOCHS} epochs):`);
+    for (const b of upcoming) {
+      console.log(`  epoch ${b.epoch}: cells=${b.cells} withdrawable=${formatCKB(b.withdrawable)} CKB`);
+    }
+  }
+  if (PRINT_ROWS > 0 && r.nearBoundary.length > 0) {
+    console.log('--------------------------------');
+    console.log('deposits closest to a cycle boundary:');
+    for (const d of r.nearBoundary.slice(0, PRINT_ROWS)) {
+      console.log(
+        `  ${d.address} ${formatCKB(d.capacity)} CKB cycle=${d.cycle} ends ${d.cycle_end_epoch}` +
+        ` in ${d.epochs_left} epochs${d.eta ? ` (~${d.eta})` : ''}`
+      );
+    }
+  }
+
+  const exported = {};
+  if (READINESS_EXPORT) {
+    const meta = { network: r.network, snapshot: snapshotTip(snapshot), tip_epoch: formatEpoch(r.tipEpoch), epoch_ms: r.epochMs };
+    exported.prepares = exportTable('dao_withdraw_readiness', PREPARE_COLUMNS, r.prepares, { meta });
+    exported.by_epoch = exportTable('dao_unlock_by_epoch', ['epoch', ...BUCKET_COLUMNS], r.byEpoch, { meta });
+    exported.by_day = exportTable('dao_unlock_by_day', ['day', ...BUCKET_COLUMNS], r.byDay, { meta });
+    exported.near_boundary = exportTable('dao_deposits_near_boundary', DEPOSIT_COLUMNS, r.nearBoundary, {
+      meta: { ...meta, boundary_epochs: BOUNDARY_EPOCHS },
+    });
+    console.log(`withdraw readiness: ${exported.prepares.csv}, ${exported.by_epoch.csv}, ${exported.by_day.csv}, ${exported.near_boundary.csv}`);
+  }
+
+  await checkSnapshot(snapshot);
+
+  return {
+    network: r.network,
+    tip: { ...snapshotTip(snapshot), epoch: r.tipEpoch },
+    params: { boundary_epochs: BOUNDARY_EPOCHS, schedule_epochs: SCHEDULE_EPOCHS, sample_blocks: SAMPLE_BLOCKS },
+    result: {
+      epoch_ms: r.epochMs,
+      prepare_cells: r.prepares.length,
+      ready: r.ready,
+      unlock_by_epoch: r.byEpoch,
+      unlock_by_day: r.byDay,
+      deposit_cells: r.deposits,
+      deposit_capacity: r.depositCapacity,
+      near_boundary: r.nearBoundary.slice(0, PRINT_ROWS),
+      export: READINESS_EXPORT ? exported : null,
+    },
+  };
+}
+
+runMain(import.meta.url, main);
@@ -0,0 +1,41 @@
+// src/entry.js
+// Entry helper: scripts export their compute functions and only run main()
+// when executed directly (node src/xxx.js), so other scripts can import them.
+//
+// main() returns { network, tip, params, result } for the json/ndjson output (see output.js).
+
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { printRpcMetrics } from './rpc_client.js';
+import { routeTextOutput, writeError, writeResult } from './output.js';
+
+export function isMainModule(metaUrl) {
+  if (!process.argv[1]) return false;
+  return metaUrl === pathToFileURL(path.resolve(process.argv[1])).href;
+}
+
+export function runMain(metaUrl, main) {
+  if (!isMainModule(metaUrl)) return;
+  runReport(path.basename(fileURLToPath(metaUrl), '.js'), main);
+}
+
+// runs main() of `script` (also used by the secondary-issuance CLI, see cli.js)
+export function runReport(script, main) {
+  const startedAt = new Date();
+
+  Promise.resolve()
+    .then(() => {
+      routeTextOutput();
+      return main();
+    })
+    .then(async (report) => {
+      printRpcMetrics();
+      await writeResult(script, report, startedAt);
+    })
+    .catch(async (e) => {
+      console.error(e);
+      printRpcMetrics();
+      await writeError(script, e, startedAt).catch(() => {});
+      process.exit(1);
+    });
+}
@@ -0,0 +1,57 @@
+// src/export.js
+// CSV / JSON writers for report tables.
+//
+// Amounts stay exact: BigInt cells are written as decimal shannon strings in both formats.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const EXPORT_DIR = process.env.EXPORT_DIR || 'out';
+
+function cell(v) {
+  if (v === null || v === undefined) return '';
+  const s = typeof v === 'bigint' ? v.toString() : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toJsonText(data) {
+  return JSON.stringify(data, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+// columns: string[] (row keys, also used as the header line)
+export function writeCsv(file, columns, rows) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => cell(r[c])).join(','));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+  return file;
+}
+
+export function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, toJsonText(data) + '\n');
+  return file;
+}
+
+// writes <EXPORT_DIR>/<name>.csv and <EXPORT_DIR>/<name>.json, returns both paths
+export function exportTable(name, columns, rows, { dir = EXPORT_DIR, meta = {} } = {}) {
+  const csv = writeCsv(path.join(dir, `${name}.csv`), columns, rows);
+  const json = writeJson(path.join(dir, `${name}.json`), { ...meta, columns, rows });
+  return { csv, json };
+}
+
+// row-by-row CSV for tables too long to keep in memory; close() returns the path
+export function createCsvWriter(file, columns) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const fd = fs.openSync(file, 'w');
+  fs.writeSync(fd, columns.join(',') + '\n');
+  return {
+    write(r) {
+      fs.writeSync(fd, columns.map(c => cell(r[c])).join(',') + '\n');
+    },
+    close() {
+      fs.closeSync(fd);
+      return file;
+    },
+  };
+}
@@ -0,0 +1,454 @@
+// src/follow.js
+// Follow mode: keeps miner secondary, DAO claimed and DAO unclaimed totals current as blocks arrive.
+//
+// Start-up (once, then persisted in FOLLOW_STATE_FILE), all as of one snapshot block H0 (see snapshot.js):
+//   miner     scanMinerReward 1..H0 (resumes from the miner_reward.js checkpoint when there is one)
+//   claimed   computeWithdraw2Reward over [0, H0]
+//   unclaimed the DAO cells live at H0 (daoCellPagesAt)
+//
+// Every FOLLOW_POLL_MS it polls get_tip_header / get_indexer_tip and applies only the new blocks
+// up to min(node tip, indexer tip), block by block:
+//   miner     += floor(s_i * U_{i-1} / C_{i-1})
+//   DAO txs   new DAO outputs join the live set; consumed prepare cells move their compensation
+//             from unclaimed to claimed (same formula as dao_claimed.js)
+//   unclaimed  = sum over live deposits of free * AR_tip / AR_deposit - free + fixed prepare compensation
+//
+// The last FOLLOW_REORG_DEPTH blocks are journaled with their hash and everything they changed.
+// When the stored hash of our head is no longer on the chain, journaled blocks are undone until
+// the hashes match again; a fork deeper than the journal aborts (delete the state file and restart).
+//
+// Env:
+//  - FOLLOW_POLL_MS (default 5000)
+//  - FOLLOW_STATE_FILE (default .checkpoints/follow.json)
+//  - FOLLOW_SAVE_EVERY_MS (default 60000)
+//  - FOLLOW_REORG_DEPTH (default 100)
+//  - FOLLOW_CHUNK (blocks per catch-up step, default 1000)
+//  - FOLLOW_ONCE=1  catch up to the tip once and exit (no polling)
+//  - plus the env of miner_reward.js / dao_claimed.js
+
+import { formatCKB, freeCapacity } from './ckb_capacity.js';
+import { RPC_URL, rpc, rpcBatch } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { parseDao, parseEpochPacked, perBlockSecondary } from './ckb_header.js';
+import { getNetwork, isDaoTypeScript } from './network.js';
+import { lockKey } from './address.js';
+import { daoCompensation } from './dao.js';
+import { loadCheckpoint, saveCheckpoint } from './checkpoint.js';
+import { scanMinerReward } from './miner_reward.js';
+import { computeWithdraw2Reward } from './dao_claimed.js';
+import { daoCellPagesAt } from './dao_unclaimed.js';
+import { emitProgress } from './output.js';
+import { checkSnapshot, takeSnapshot } from './snapshot.js';
+import { runMain } from './entry.js';
+
+const POLL_MS = Number(process.env.FOLLOW_POLL_MS || '5000');
+const STATE_FILE = process.env.FOLLOW_STATE_FILE || '.checkpoints/follow.json';
+const SAVE_EVERY_MS = Number(process.env.FOLLOW_SAVE_EVERY_MS || '60000');
+const REORG_DEPTH = Math.max(1, Number(process.env.FOLLOW_REORG_DEPTH || '100'));
+const CHUNK = Math.max(1, Number(process.env.FOLLOW_CHUNK || '1000'));
+const ONCE = process.env.FOLLOW_ONCE === '1';
+const MINER_CHECKPOINT_FILE = process.env.CHECKPOINT_FILE || '.checkpoints/miner_reward.json';
+
+const DEPOSIT_DATA = '0x0000000000000000';
+const TX_LIMIT = '0x3e8';
+
+const toHex = (n) => '0x' + BigInt(n).toString(16);
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const outPointKey = (op) => `${op.tx_hash}:${Number(op.index)}`;
+
+function parsePrepareBlockNumber(outputData) {
+  return Buffer.from(outputData.slice(2), 'hex').readBigUInt64LE(0);
+}
+
+/* ----------------------- live DAO cells ----------------------- */
+
+// cell: { kind: 'deposit' | 'prepare', block, lock, free, ar (deposit: AR of its block), comp (prepare), ts }
+async function toLiveCell(output, data, block, header) {
+  const free = freeCapacity(output, data);
+  const lock = lockKey(output.lock);
+  if (data === DEPOSIT_DATA) {
+    const h = header ?? await headerCache.getByNumber(block);
+    return { kind: 'deposit', block, lock, free, ar: parseDao(h.dao).AR, comp: 0n, ts: BigInt(h.timestamp) };
+  }
+  const arPrepare = parseDao((header ?? await headerCache.getByNumber(block)).dao).AR;
+  const arDeposit = parseDao((await headerCache.getByNumber(parsePrepareBlockNumber(data))).dao).AR;
+  return { kind: 'prepare', block, lock, free, ar: arDeposit, comp: daoCompensation(free, arDeposit, arPrepare), ts: null };
+}
+
+// unclaimed figures of the live set at AR `arTip` / timestamp `tsTip`
+export function summarizeLive(cells, arTip, tsTip) {
+  let deposit = 0n;
+  let prepare = 0n;
+  let depositCells = 0;
+  let prepareCells = 0;
+  const holders = new Set();
+  const earliest = new Map(); // lock -> earliest deposit timestamp
+  for (const c of cells.values()) {
+    holders.add(c.lock);
+    if (c.kind === 'deposit') {
+      depositCells++;
+      deposit += daoCompensation(c.free, c.ar, arTip);
+      const old = earliest.get(c.lock);
+      if (old === undefined || c.ts < old) earliest.set(c.lock, c.ts);
+    } else {
+      prepareCells++;
+      prepare += c.comp;
+    }
+  }
+  let sumAge = 0n;
+  for (const ts of earliest.values()) sumAge += tsTip - ts;
+  return {
+    unclaimedDeposit: deposit,
+    unclaimedPrepare: prepare,
+    unclaimedTotal: deposit + prepare,
+    depositCells,
+    prepareCells,
+    holders: holders.size,
+    avgDepositAgeDays: earliest.size > 0 ? Number(sumAge / BigInt(earliest.size)) / 86_400_000 : null,
+  };
+}
+
+/* ----------------------- state ----------------------- */
+
+function serializeState(st) {
+  return {
+    height: st.height,
+    hash: st.hash,
+    miner: st.miner,
+    claimed: st.claimed,
+    cells: [...st.cells.entries()],
+    journal: st.journal,
+  };
+}
+
+function reviveCell(c) {
+  return { ...c, block: BigInt(c.block), free: BigInt(c.free), ar: BigInt(c.ar), comp: BigInt(c.comp), ts: c.ts === null ? null : BigInt(c.ts) };
+}
+
+function reviveState(raw) {
+  const big = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, BigInt(v)]));
+  return {
+    height: BigInt(raw.height),
+    hash: raw.hash,
+    miner: big(raw.miner),
+    claimed: BigInt(raw.claimed),
+    cells: new Map(raw.cells.map(([k, c]) => [k, reviveCell(c)])),
+    journal: raw.journal.map(j => ({
+      ...j,
+      number: BigInt(j.number),
+      prevMiner: big(j.prevMiner),
+      claimedDelta: BigInt(j.claimedDelta),
+      removed: j.removed.map(([k, c]) => [k, reviveCell(c)]),
+    })),
+  };
+}
+
+async function initialState(net) {
+  const snapshot = await takeSnapshot();
+  const h0 = BigInt(snapshot.block_number);
+  const header = await headerCache.getByHash(snapshot.block_hash);
+  console.log(`[follow] initial scan up to ${h0} (${header.hash})`);
+
+  let cp = loadCheckpoint(MINER_CHECKPOINT_FILE);
+  if (cp && (cp.start !== 1 || BigInt(cp.last_block) > h0)) cp = null;
+  const miner = await scanMinerReward({
+    start: 1,
+    end: Number(h0),
+    resumeFrom: cp,
+    checkpointFile: MINER_CHECKPOINT_FILE,
+    snapshot,
+  });
+
+  const { totalReward: claimed } = await computeWithdraw2Reward({ snapshot });
+
+  const cells = new Map();
+  for await (const page of daoCellPagesAt(net.daoType, snapshot)) {
+    for (const c of page) {
+      cells.set(outPointKey(c.out_point), await toLiveCell(c.output, c.output_data, BigInt(c.block_number)));
+    }
+  }
+
+  await checkSnapshot(snapshot);
+
+  const dao = parseDao(header.dao);
+  return {
+    height: h0,
+    hash: header.hash,
+    miner: { total: miner.totalMinerSecondary, C: dao.C, S: dao.S, U: dao.U },
+    claimed,
+    cells,
+    journal: [],
+  };
+}
+
+/* ----------------------- follower ----------------------- */
+
+// onUpdate(u): after the start-up scan and after every poll that applied blocks
+// onPoll({ ms, error }): after the start-up scan and after every poll (error = null when it went through)
+export function createFollower({ net, onUpdate = () => {}, onPoll = () => {} }) {
+  let st = null;
+  let lastSave = Date.now();
+
+  function save() {
+    saveCheckpoint(STATE_FILE, serializeState(st));
+    lastSave = Date.now();
+  }
+
+  async function start() {
+    const saved = loadCheckpoint(STATE_FILE);
+    st = saved ? reviveState(saved) : await initialState(net);
+    if (saved) console.log(`[follow] resumed from ${STATE_FILE} at ${st.height} (${st.hash})`);
+    else save();
+  }
+
+  function undo(j) {
+    for (const k of j.added) st.cells.delete(k);
+    for (const [k, c] of j.removed) st.cells.set(k, c);
+    st.miner = j.prevMiner;
+    st.claimed -= j.claimedDelta;
+    st.height = j.number - 1n;
+    st.hash = j.prevHash;
+  }
+
+  // undo journaled blocks until our head is on the node's chain again; returns blocks undone
+  async function rollbackIfReorged() {
+    const chainHead = await rpc('get_header_by_number', [toHex(st.height)]);
+    if (chainHead?.hash === st.hash) return 0;
+
+    const nums = st.journal.map(j => j.number);
+    const chain = await rpcBatch(nums.map(n => ['get_header_by_number', [toHex(n)]]));
+    const onChain = new Map(nums.map((n, i) => [n.toString(), chain[i]?.hash]));
+
+    let undone = 0;
+    while (st.journal.length > 0) {
+      const j = st.journal[st.journal.length - 1];
+      if (onChain.get(j.number.toString()) === j.hash) break;
+      undo(st.journal.pop());
+      undone++;
+    }
+    const head = await rpc('get_header_by_number', [toHex(st.height)]);
+    if (head?.hash !== st.hash) {
+      throw new Error(
+        `reorg deeper than the ${REORG_DEPTH}-block journal (block ${st.height} ${st.hash} no longer on chain); ` +
+        `delete ${STATE_FILE} and restart`
+      );
+    }
+    headerCache.invalidateFrom(st.height + 1n);
+    console.log(`[follow] reorg: rolled back ${undone} block(s) to ${st.height} (${st.hash})`);
+    emitProgress('follow_reorg', { undone, height: st.height, hash: st.hash });
+    return undone;
+  }
+
+  // DAO txs of blocks [from, to], grouped by block number
+  async function daoTxsByBlock(from, to) {
+    const searchKey = {
+      script: net.daoType,
+      script_type: 'type',
+      filter: { block_range: [toHex(from), toHex(to + 1n)] },
+    };
+    const order = [];
+    const seen = new Set();
+    let cursor = null;
+    while (true) {
+      const params = [searchKey, 'asc', TX_LIMIT];
+      if (cursor && cursor !== '0x' && cursor !== '0x0') params.push(cursor);
+      const res = await rpc('get_transactions', params, { timeoutMs: 120_000, retries: 5 });
+      const objs = res.objects || [];
+      if (objs.length === 0) break;
+      for (const o of objs) {
+        if (seen.has(o.tx_hash)) continue;
+        seen.add(o.tx_hash);
+        order.push({ hash: o.tx_hash, block: BigInt(o.block_number) });
+      }
+      const last = res.last_cursor;
+      if (!last || last === '0x' || last === '0x0') break;
+      cursor = last;
+    }
+    const wraps = await rpcBatch(order.map(t => ['get_transaction', [t.hash]]));
+    const byBlock = new Map();
+    order.forEach((t, i) => {
+      const k = t.block.toString();
+      if (!byBlock.has(k)) byBlock.set(k, []);
+      byBlock.get(k).push(wraps[i].transaction);
+    });
+    return byBlock;
+  }
+
+  async function applyBlock(header, txs) {
+    const number = BigInt(header.number);
+    const j = {
+      number,
+      hash: header.hash,
+      prevHash: st.hash,
+      prevMiner: { ...st.miner },
+      claimedDelta: 0n,
+      added: [],
+      removed: [],
+    };
+
+    const ep = parseEpochPacked(header.epoch);
+    const s = perBlockSecondary(ep.length, ep.index, net.secondaryEpochReward);
+    const dao = parseDao(header.dao);
+    st.miner = { total: st.miner.total + (s * st.miner.U) / st.miner.C, C: dao.C, S: dao.S, U: dao.U };
+
+    for (const tx of txs) {
+      for (const inp of tx.inputs || []) {
+        const k = outPointKey(inp.previous_output);
+        const c = st.cells.get(k);
+        if (!c) continue;
+        st.cells.delete(k);
+        j.removed.push([k, c]);
+        if (c.kind === 'prepare') j.claimedDelta += c.comp;
+      }
+    }
+    for (const tx of txs) {
+      const hash = tx.hash;
+      for (let i = 0; i < (tx.outputs || []).length; i++) {
+        const out = tx.outputs[i];
+        if (!isDaoTypeScript(out.type, net.daoType)) continue;
+        const k = outPointKey({ tx_hash: hash, index: i });
+        st.cells.set(k, await toLiveCell(out, tx.outputs_data[i], number, header));
+        j.added.push(k);
+      }
+    }
+    st.claimed += j.claimedDelta;
+    st.height = number;
+    st.hash = header.hash;
+
+    st.journal.push(j);
+    if (st.journal.length > REORG_DEPTH) st.journal.shift();
+  }
+
+  async function report(header) {
+    const live = summarizeLive(st.cells, parseDao(header.dao).AR, BigInt(header.timestamp));
+    const u = {
+      network: net.name,
+      height: st.height,
+      hash: st.hash,
+      minerSecondary: st.miner.total,
+      claimed: st.claimed,
+      S: st.miner.S,
+      treasuryBurn: st.miner.S - live.unclaimedTotal,
+      ...live,
+    };
+    await onUpdate(u);
+    return u;
+  }
+
+  // one poll: roll back if needed, then apply blocks up to min(node tip, indexer tip)
+  async function step() {
+    const [nodeTip, indexerTip] = await Promise.all([
+      rpc('get_tip_header', []),
+      rpc('get_indexer_tip', []),
+    ]);
+    await rollbackIfReorged();
+
+    // the indexer must be on the node's chain before we read DAO txs from it
+    const idxNumber = BigInt(indexerTip.block_number);
+    const idxOnChain = await rpc('get_header_by_number', [toHex(idxNumber)]);
+    if (idxOnChain?.hash !== indexerTip.block_hash) return null;
+
+    const target = BigInt(nodeTip.number) < idxNumber ? BigInt(nodeTip.number) : idxNumber;
+    let applied = 0;
+    let last = null;
+    while (st.height < target) {
+      const from = st.height + 1n;
+      const to = from + BigInt(CHUNK) - 1n < target ? from + BigInt(CHUNK) - 1n : target;
+      const headers = await headerCache.getRange(from, to);
+      const txsByBlock = await daoTxsByBlock(from, to);
+      for (const h of headers) {
+        await applyBlock(h, txsByBlock.get(BigInt(h.number).toString()) || []);
+        applied++;
+      }
+      last = headers[headers.length - 1];
+    }
+    if (applied === 0) return null;
+    if (Date.now() - lastSave >= SAVE_EVERY_MS) save();
+    return report(last);
+  }
+
+  async function run({ once = ONCE } = {}) {
+    const t0 = Date.now();
+    await start();
+    await report(await headerCache.getByNumber(st.height));
+    onPoll({ ms: Date.now() - t0, error: null });
+    // keep what we have on Ctrl-C / kill: the next start resumes from it
+    for (const sig of ['SIGINT', 'SIGTERM']) {
+      process.once(sig, () => {
+        save();
+        console.log(`[follow] ${sig}: state saved at ${st.height}`);
+        process.exit(sig === 'SIGINT' ? 130 : 143);
+      });
+    }
+    while (true) {
+      const t = Date.now();
+      let error = null;
+      try {
+        await step();
+      } catch (e) {
+        if (/reorg deeper/.test(e.message)) throw e;
+        console.error('[follow] poll failed:', e?.message || e);
+        error = e;
+      }
+      onPoll({ ms: Date.now() - t, error });
+      if (once) break;
+      await sleep(POLL_MS);
+    }
+    save();
+  }
+
+  return { run, step, start, save, state: () => st };
+}
+
+/* ----------------------- main ----------------------- */
+
+function printUpdate(u) {
+  console.log(
+    `[follow] height=${u.height} miner=${formatCKB(u.minerSecondary)} claimed=${formatCKB(u.claimed)}` +
+    ` unclaimed=${formatCKB(u.unclaimedTotal)} (deposit=${formatCKB(u.unclaimedDeposit)} prepare=${formatCKB(u.unclaimedPrepare)})` +
+    ` treasury_burn=${formatCKB(u.treasuryBurn)} cells=${u.depositCells}+${u.prepareCells} holders=${u.holders}`
+  );
+  emitProgress('follow_update', {
+    height: u.height,
+    hash: u.hash,
+    miner_secondary: u.minerSecondary,
+    claimed: u.claimed,
+    unclaimed_deposit: u.unclaimedDeposit,
+    unclaimed_prepare: u.unclaimedPrepare,
+    unclaimed_total: u.unclaimedTotal,
+    treasury_burn: u.treasuryBurn,
+  });
+}
+
+export async function main() {
+  const net = await getNetwork();
+  console.log('[follow] RPC_URL    =', RPC_URL);
+  console.log('[follow] NETWORK    =', net.name);
+  console.log('[follow] state file =', STATE_FILE);
+
+  let latest = null;
+  const follower = createFollower({
+    net,
+    onUpdate: (u) => {
+      latest = u;
+      printUpdate(u);
+    },
+  });
+  await follower.run();
+
+  return {
+    network: net.name,
+    tip: { number: latest.height.toString(), hash: latest.hash },
+    params: { poll_ms: POLL_MS, reorg_depth: REORG_DEPTH, once: ONCE, state_file: STATE_FILE },
+    result: {
+      miner_secondary: latest.minerSecondary,
+      claimed: latest.claimed,
+      unclaimed_deposit: latest.unclaimedDeposit,
+      unclaimed_prepare: latest.unclaimedPrepare,
+      unclaimed_total: latest.unclaimedTotal,
+      treasury_burn: latest.treasuryBurn,
+    },
+  };
+}
+
+runMain(import.meta.url, main);
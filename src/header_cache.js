@@ -0,0 +1,259 @@
+// src/header_cache.js
+// Persistent header cache shared by all scripts.
+//
+// Headers are mostly immutable history, so we keep the fields the scripts need
+// (number, hash, dao, epoch, timestamp) on disk and only go to the node for
+// blocks we have never seen.
+//
+// Layout: HEADER_CACHE_DIR/seg-<n / SEGMENT_SIZE>.tsv, one append-only file per
+// block range, one line per header:
+//   number \t hash \t dao \t epoch \t timestamp      (all hex, as returned by RPC)
+// Later lines win, so appending a fresher copy of a header is always safe.
+//
+// Reorg handling: on first use the cache compares every cached header within
+// HEADER_CACHE_REORG_DEPTH blocks of the tip (or above it) against the chain,
+// and drops mismatches (and everything above them) before serving anything.
+//
+// Env:
+//  - HEADER_CACHE_DIR          (default .header-cache, "off" = memory only)
+//  - HEADER_CACHE_REORG_DEPTH  (default 100)
+//  - HEADER_CACHE_SEGMENTS     segments kept in memory (default 16)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { rpc, rpcBatch } from './rpc_client.js';
+
+export const SEGMENT_SIZE = 10_000;
+
+const toNum = (n) => Number(BigInt(n));
+const toHex = (n) => '0x' + n.toString(16);
+
+function pickHeader(h) {
+  return { number: h.number, hash: h.hash, dao: h.dao, epoch: h.epoch, timestamp: h.timestamp };
+}
+
+function encodeLine(h) {
+  return `${toNum(h.number)}\t${h.hash}\t${h.dao}\t${h.epoch}\t${h.timestamp}\n`;
+}
+
+function decodeLine(line) {
+  const [n, hash, dao, epoch, timestamp] = line.split('\t');
+  return { number: toHex(Number(n)), hash, dao, epoch, timestamp };
+}
+
+/* ----------------------- cache ----------------------- */
+
+export function createHeaderCache({
+  dir = process.env.HEADER_CACHE_DIR || '.header-cache',
+  reorgDepth = Number(process.env.HEADER_CACHE_REORG_DEPTH || '100'),
+  maxSegments = Math.max(1, Number(process.env.HEADER_CACHE_SEGMENTS || '16')),
+  rpcTimeoutMs = 120_000,
+  rpcRetries = 5,
+} = {}) {
+  const persistent = dir !== 'off';
+
+  // segIdx -> Map<number, header>   (insertion order = LRU order)
+  const segments = new Map();
+  // segIdx -> string[] of lines not yet appended to disk
+  const pending = new Map();
+  const byHash = new Map();
+
+  let verified = null; // Promise, set on first use
+
+  const segFile = (idx) => path.join(dir, `seg-${idx}.tsv`);
+
+  // every segment we know of, on disk or only in memory
+  function segmentIndexes() {
+    const idxs = new Set(segments.keys());
+    if (persistent && fs.existsSync(dir)) {
+      for (const f of fs.readdirSync(dir)) {
+        const m = /^seg-(\d+)\.tsv$/.exec(f);
+        if (m) idxs.add(Number(m[1]));
+      }
+    }
+    return [...idxs];
+  }
+
+  function flushSegment(idx) {
+    const lines = pending.get(idx);
+    if (!lines || lines.length === 0) return;
+    if (persistent) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(segFile(idx), lines.join(''));
+    }
+    pending.delete(idx);
+  }
+
+  function flush() {
+    for (const idx of [...pending.keys()]) flushSegment(idx);
+  }
+
+  function evict() {
+    while (segments.size > maxSegments) {
+      const [idx, seg] = segments.entries().next().value;
+      // memory-only mode cannot reload a segment, so keep the ones holding unsaved data
+      if (!persistent) break;
+      flushSegment(idx);
+      for (const h of seg.values()) byHash.delete(h.hash);
+      segments.delete(idx);
+    }
+  }
+
+  function loadSegment(idx) {
+    let seg = segments.get(idx);
+    if (seg) {
+      // touch for LRU
+      segments.delete(idx);
+      segments.set(idx, seg);
+      return seg;
+    }
+    seg = new Map();
+    if (persistent && fs.existsSync(segFile(idx))) {
+      for (const line of fs.readFileSync(segFile(idx), 'utf8').split('\n')) {
+        if (!line) continue;
+        const h = decodeLine(line);
+        seg.set(toNum(h.number), h);
+      }
+      for (const h of seg.values()) byHash.set(h.hash, h);
+    }
+    segments.set(idx, seg);
+    evict();
+    return seg;
+  }
+
+  function peek(n) {
+    return loadSegment(Math.floor(n / SEGMENT_SIZE)).get(n);
+  }
+
+  // at: the number or hash raw was asked for; the node answers null past its tip or off its chain
+  function store(raw, at) {
+    if (!raw) throw new Error(`no header at ${at}`);
+    const h = pickHeader(raw);
+    const n = toNum(h.number);
+    const idx = Math.floor(n / SEGMENT_SIZE);
+    const seg = loadSegment(idx);
+    const old = seg.get(n);
+    if (old && old.hash === h.hash) return old;
+    if (old) byHash.delete(old.hash);
+    seg.set(n, h);
+    byHash.set(h.hash, h);
+    let lines = pending.get(idx);
+    if (!lines) pending.set(idx, (lines = []));
+    lines.push(encodeLine(h));
+    if (lines.length >= 1000) flushSegment(idx);
+    return h;
+  }
+
+  // drop every cached header >= n, rewriting the affected segment files
+  function dropFrom(n) {
+    const first = Math.floor(n / SEGMENT_SIZE);
+    let dropped = 0;
+    for (const idx of segmentIndexes().filter(i => i >= first)) {
+      flushSegment(idx);
+      const seg = loadSegment(idx);
+      for (const [k, h] of seg) {
+        if (k < n) continue;
+        seg.delete(k);
+        byHash.delete(h.hash);
+        dropped++;
+      }
+      if (persistent) fs.writeFileSync(segFile(idx), [...seg.values()].map(encodeLine).join(''));
+    }
+    return dropped;
+  }
+
+  function maxCachedNumber() {
+    let max = -1;
+    for (const idx of segmentIndexes().sort((a, b) => b - a)) {
+      for (const k of loadSegment(idx).keys()) if (k > max) max = k;
+      if (max >= 0) break;
+    }
+    return max;
+  }
+
+  async function verifyNearTip() {
+    const tip = toNum((await rpc('get_tip_header', [], { timeoutMs: rpcTimeoutMs, retries: rpcRetries })).number);
+    const max = maxCachedNumber();
+    if (max < 0) return;
+    if (max > tip) dropFrom(tip + 1);
+
+    const from = Math.max(0, Math.min(max, tip) - reorgDepth + 1);
+    const ns = [];
+    for (let n = from; n <= Math.min(max, tip); n++) if (peek(n)) ns.push(n);
+    if (ns.length === 0) return;
+
+    const chain = await rpcBatch(
+      ns.map(n => ['get_header_by_number', [toHex(n)]]),
+      { timeoutMs: rpcTimeoutMs, retries: rpcRetries }
+    );
+    for (let k = 0; k < ns.length; k++) {
+      if (chain[k] && chain[k].hash === peek(ns[k]).hash) continue;
+      const dropped = dropFrom(ns[k]);
+      console.error(`[header_cache] reorg detected at block ${ns[k]}, dropped ${dropped} cached header(s)`);
+      break;
+    }
+  }
+
+  function ready() {
+    if (!verified) verified = verifyNearTip();
+    return verified;
+  }
+
+  /* ----------------------- public API ----------------------- */
+
+  // n: number | bigint | hex string
+  async function getByNumber(n) {
+    await ready();
+    const num = toNum(n);
+    const hit = peek(num);
+    if (hit) return hit;
+    const h = await rpc('get_header_by_number', [toHex(num)], { timeoutMs: rpcTimeoutMs, retries: rpcRetries });
+    return store(h, num);
+  }
+
+  // resolves all uncached numbers with one batch call; returns headers in input order
+  async function getManyByNumber(ns) {
+    await ready();
+    const nums = ns.map(toNum);
+    const missing = [...new Set(nums.filter(n => !peek(n)))];
+    if (missing.length > 0) {
+      const hs = await rpcBatch(
+        missing.map(n => ['get_header_by_number', [toHex(n)]]),
+        { timeoutMs: rpcTimeoutMs, retries: rpcRetries }
+      );
+      // keep them in hand: a large request may evict the segments it just filled
+      const fetched = new Map(hs.map((h, i) => [missing[i], store(h, missing[i])]));
+      return nums.map(n => fetched.get(n) ?? peek(n));
+    }
+    return nums.map(peek);
+  }
+
+  // [from, to] inclusive
+  async function getRange(from, to) {
+    const ns = [];
+    for (let n = toNum(from); n <= toNum(to); n++) ns.push(n);
+    return getManyByNumber(ns);
+  }
+
+  async function getByHash(hash) {
+    await ready();
+    const hit = byHash.get(hash);
+    if (hit) return hit;
+    const h = await rpc('get_header', [hash], { timeoutMs: rpcTimeoutMs, retries: rpcRetries });
+    return store(h, hash);
+  }
+
+  // forget headers >= n (the caller saw a reorg there)
+  function invalidateFrom(n) {
+    return dropFrom(toNum(n));
+  }
+
+  return { dir, getByNumber, getManyByNumber, getRange, getByHash, flush, ready, invalidateFrom };
+}
+
+/* ----------------------- default cache ----------------------- */
+
+export const headerCache = createHeaderCache();
+
+// appendFileSync is safe in 'exit' handlers, so even process.exit(1) keeps what we fetched
+process.on('exit', () => headerCache.flush());
@@ -0,0 +1,129 @@
+// src/issuance_report.js
+// Unified secondary issuance report for a block range [FROM, TO]:
+//
+//   miner     = sum floor(s_i * U_{i-1} / C_{i-1})              (header scan, see miner_reward.js)
+//   dao       = claimed compensation in range                    (withdraw2 scan, see dao_claimed.js)
+//             + unclaimed(TO) - unclaimed(FROM - 1)              (live DAO cells, see dao_unclaimed.js)
+//   treasury  = (S_TO - unclaimed(TO)) - (S_{FROM-1} - unclaimed(FROM - 1))
+//
+// and the residual of miner + dao + treasury against the theoretical
+// SECONDARY_EPOCH_REWARD-based total of the same blocks.
+//
+// Unclaimed compensation at FROM - 1 and TO is reconstructed from the DAO cells live at
+// those heights (see AT_BLOCK in dao_unclaimed.js); at genesis it is 0.
+//
+// Env:
+//  - FROM (default 1)
+//  - TO   (default: the snapshot block, see snapshot.js)
+//  - plus the env of miner_reward.js / dao_claimed.js / dao_unclaimed.js
+
+import { formatCKB } from './ckb_capacity.js';
+import { RPC_URL } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { parseDao } from './ckb_header.js';
+import { scanMinerReward } from './miner_reward.js';
+import { computeWithdraw2Reward } from './dao_claimed.js';
+import { computeUnclaimed } from './dao_unclaimed.js';
+import { runMain } from './entry.js';
+import { getNetwork } from './network.js';
+import { checkSnapshot, snapshotTip, takeSnapshot } from './snapshot.js';
+
+const toHex = (n) => '0x' + n.toString(16);
+
+/* ----------------------- compute ----------------------- */
+
+export async function computeIssuanceReport({ from, to, snapshot = null }) {
+  snapshot ??= await takeSnapshot();
+  const tipNumber = Number(BigInt(snapshot.block_number));
+  if (to === undefined) to = tipNumber;
+  if (from < 1) throw new Error('FROM must be >= 1 (needs previous header)');
+  if (from > to) throw new Error(`FROM (${from}) > TO (${to})`);
+  if (to > tipNumber) throw new Error(`TO (${to}) is above the snapshot block (${tipNumber})`);
+
+  const [hStart, hEnd] = await headerCache.getManyByNumber([from - 1, to]);
+  const daoStart = parseDao(hStart.dao);
+  const daoEnd = parseDao(hEnd.dao);
+
+  const miner = await scanMinerReward({ start: from, end: to, checkpointEvery: 0 });
+  const { totalReward: claimed } = await computeWithdraw2Reward({ blockFrom: toHex(from), blockTo: toHex(to + 1), snapshot });
+  const unclaimedStart = from === 1 ? 0n : (await computeUnclaimed({ atBlock: from - 1, snapshot })).unclaimedTotal;
+  const unclaimedEnd = (await computeUnclaimed({ atBlock: to, snapshot })).unclaimedTotal;
+
+  const dao = claimed + unclaimedEnd - unclaimedStart;
+  const treasury = (daoEnd.S - unclaimedEnd) - (daoStart.S - unclaimedStart);
+  const sum = miner.totals.miner + dao + treasury;
+  const theoretical = miner.totals.secondary;
+
+  return {
+    from,
+    to,
+    snapshot,
+    headers: { start: daoStart, end: daoEnd },
+    theoretical,
+    miner: miner.totals.miner,
+    claimed,
+    claimedFromHeaders: miner.totals.dao_withdrawn,
+    unclaimedStart,
+    unclaimedEnd,
+    dao,
+    treasury,
+    sum,
+    residual: sum - theoretical,
+  };
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  const from = Number(process.env.FROM || '1');
+  const to = process.env.TO ? Number(process.env.TO) : undefined;
+
+  const net = await getNetwork();
+  const snapshot = await takeSnapshot();
+  const r = await computeIssuanceReport({ from, to, snapshot });
+
+  console.log('================================');
+  console.log('RPC_URL                     =', RPC_URL);
+  console.log('NETWORK                     =', net.name);
+  console.log('RANGE                       =', `[${r.from}, ${r.to}]`);
+  console.log('SNAPSHOT                    =', BigInt(snapshot.block_number).toString(), snapshot.block_hash);
+  console.log('C / S (start)               =', r.headers.start.C.toString(), '/', r.headers.start.S.toString());
+  console.log('C / S (end)                 =', r.headers.end.C.toString(), '/', r.headers.end.S.toString());
+  console.log('--------------------------------');
+  console.log('Secondary issuance (theory) =', formatCKB(r.theoretical), 'CKB');
+  console.log('Miner share                 =', formatCKB(r.miner), 'CKB');
+  console.log('DAO depositor share         =', formatCKB(r.dao), 'CKB');
+  console.log('  claimed                   =', formatCKB(r.claimed), 'CKB');
+  console.log('  unclaimed (end - start)   =', formatCKB(r.unclaimedEnd - r.unclaimedStart), 'CKB');
+  console.log('Treasury share              =', formatCKB(r.treasury), 'CKB');
+  console.log('--------------------------------');
+  console.log('Sum of shares               =', formatCKB(r.sum), 'CKB');
+  console.log('Residual (sum - theory)     =', formatCKB(r.residual), 'CKB', `(${r.residual} shannons)`);
+  console.log('Claimed cross-check         =', formatCKB(r.claimedFromHeaders), 'CKB (from S deltas in headers)');
+
+  await checkSnapshot(snapshot);
+
+  return {
+    network: net.name,
+    tip: snapshotTip(snapshot),
+    params: { from: r.from, to: r.to },
+    result: {
+      theoretical: r.theoretical,
+      miner: r.miner,
+      dao: r.dao,
+      claimed: r.claimed,
+      unclaimed_start: r.unclaimedStart,
+      unclaimed_end: r.unclaimedEnd,
+      treasury: r.treasury,
+      sum: r.sum,
+      residual: r.residual,
+      claimed_from_headers: r.claimedFromHeaders,
+      headers: {
+        start: { c: r.headers.start.C, s: r.headers.start.S },
+        end: { c: r.headers.end.C, s: r.headers.end.S },
+      },
+    },
+  };
+}
+
+runMain(import.meta.url, main);
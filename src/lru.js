@@ -0,0 +1,28 @@
+// src/lru.js
+// Bounded key -> value cache that drops the least recently used entry (a Map keeps insertion order).
+
+export function createLruCache(maxEntries) {
+  const map = new Map();
+  const max = Math.max(1, maxEntries);
+
+  return {
+    has(key) {
+      return map.has(key);
+    },
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const v = map.get(key);
+      map.delete(key);
+      map.set(key, v);
+      return v;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > max) map.delete(map.keys().next().value);
+    },
+    get size() {
+      return map.size;
+    },
+  };
+}
@@ -0,0 +1,150 @@
+// src/metrics_server.js
+// Prometheus endpoint: runs the follow loop (follow.js) and serves its figures on GET /metrics.
+//
+// Figures (gauges, shannons unless noted, labels network + height of the block they were measured at):
+//   ckb_secondary_issuance_shannons      secondary issuance of blocks 1..height (exact, from the header C field)
+//   ckb_miner_secondary_shannons         part of it paid to miners
+//   ckb_dao_claimed_shannons             compensation claimed by withdraw2 txs
+//   ckb_dao_unclaimed_shannons{kind}     unclaimed compensation of live deposit / prepare cells
+//   ckb_treasury_burn_shannons           S - unclaimed
+//   ckb_dao_cells{kind}, ckb_dao_holders, ckb_dao_avg_deposit_age_seconds
+//
+// Scan health (no height label):
+//   secondary_issuance_rpc_calls_total{method}, secondary_issuance_rpc_errors_total{method}
+//   secondary_issuance_poll_errors_total, secondary_issuance_last_update_height,
+//   secondary_issuance_last_update_timestamp_seconds, secondary_issuance_scan_duration_seconds (last poll)
+//
+// Env:
+//  - METRICS_HOST (default 127.0.0.1)
+//  - METRICS_PORT (default 9464)
+//  - plus the env of follow.js
+
+import http from 'node:http';
+import { RPC_URL, rpcMetrics } from './rpc_client.js';
+import { headerCache } from './header_cache.js';
+import { getNetwork } from './network.js';
+import { computeExactSecondaryTotal } from './secondary_issuance_total.js';
+import { createFollower } from './follow.js';
+import { runMain } from './entry.js';
+
+const HOST = process.env.METRICS_HOST || '127.0.0.1';
+const PORT = Number(process.env.METRICS_PORT || '9464');
+
+/* ----------------------- exposition format ----------------------- */
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+// samples: [[labels, value], ...]
+function family(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const [l, v] of samples) lines.push(`${name}${labels(l)} ${v}`);
+}
+
+// state: { network, update (follow.js update + secondary), health: { pollErrors, lastUpdateAt, lastPollMs } }
+export function renderMetrics(state, rpcStats = rpcMetrics) {
+  const lines = [];
+  const u = state.update;
+  if (u) {
+    const at = { network: state.network, height: u.height.toString() };
+    family(lines, 'ckb_secondary_issuance_shannons', 'gauge', 'Secondary issuance of blocks 1..height.', [[at, u.secondary]]);
+    family(lines, 'ckb_miner_secondary_shannons', 'gauge', 'Secondary issuance paid to miners.', [[at, u.minerSecondary]]);
+    family(lines, 'ckb_dao_claimed_shannons', 'gauge', 'DAO compensation claimed by withdraw2 transactions.', [[at, u.claimed]]);
+    family(lines, 'ckb_dao_unclaimed_shannons', 'gauge', 'Unclaimed DAO compensation of live cells.', [
+      [{ ...at, kind: 'deposit' }, u.unclaimedDeposit],
+      [{ ...at, kind: 'prepare' }, u.unclaimedPrepare],
+    ]);
+    family(lines, 'ckb_treasury_burn_shannons', 'gauge', 'Treasury share of the secondary issuance (S - unclaimed).', [[at, u.treasuryBurn]]);
+    family(lines, 'ckb_dao_cells', 'gauge', 'Live NervosDAO cells.', [
+      [{ ...at, kind: 'deposit' }, u.depositCells],
+      [{ ...at, kind: 'prepare' }, u.prepareCells],
+    ]);
+    family(lines, 'ckb_dao_holders', 'gauge', 'Distinct locks holding live NervosDAO cells.', [[at, u.holders]]);
+    if (u.avgDepositAgeDays !== null) {
+      family(lines, 'ckb_dao_avg_deposit_age_seconds', 'gauge', 'Average age of the oldest live deposit per holder.',
+        [[at, Math.round(u.avgDepositAgeDays * 86_400)]]);
+    }
+  }
+
+  const methods = [...rpcStats.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  family(lines, 'secondary_issuance_rpc_calls_total', 'counter', 'JSON-RPC calls (attempts) per method.',
+    methods.map(([method, m]) => [{ method }, m.calls]));
+  family(lines, 'secondary_issuance_rpc_errors_total', 'counter', 'Failed JSON-RPC attempts per method.',
+    methods.map(([method, m]) => [{ method }, m.errors]));
+  family(lines, 'secondary_issuance_poll_errors_total', 'counter', 'Follow polls that failed.', [[{}, state.health.pollErrors]]);
+  if (u) {
+    family(lines, 'secondary_issuance_last_update_height', 'gauge', 'Height of the last successful update.', [[{ network: state.network }, u.height]]);
+    family(lines, 'secondary_issuance_last_update_timestamp_seconds', 'gauge', 'Unix time of the last successful update.',
+      [[{ network: state.network }, Math.floor(state.health.lastUpdateAt / 1000)]]);
+  }
+  if (state.health.lastPollMs !== null) {
+    family(lines, 'secondary_issuance_scan_duration_seconds', 'gauge', 'Duration of the last scan / poll.',
+      [[{ network: state.network }, state.health.lastPollMs / 1000]]);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  const net = await getNetwork();
+  const state = { network: net.name, update: null, health: { pollErrors: 0, lastUpdateAt: null, lastPollMs: null } };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(renderMetrics(state));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('see /metrics\n');
+    }
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(PORT, HOST, resolve);
+  });
+
+  console.log('[metrics] RPC_URL =', RPC_URL);
+  console.log('[metrics] NETWORK =', net.name);
+  console.log(`[metrics] serving http://${HOST}:${PORT}/metrics`);
+
+  const follower = createFollower({
+    net,
+    onUpdate: async (u) => {
+      const { exact } = await computeExactSecondaryTotal(await headerCache.getByNumber(u.height), net);
+      state.update = { ...u, secondary: exact };
+      state.health.lastUpdateAt = Date.now();
+      console.log(`[metrics] updated to height ${u.height}`);
+    },
+    onPoll: ({ ms, error }) => {
+      state.health.lastPollMs = ms;
+      if (error) state.health.pollErrors++;
+    },
+  });
+  try {
+    await follower.run();
+  } finally {
+    server.close();
+  }
+
+  const u = state.update;
+  return {
+    network: net.name,
+    tip: { number: u.height.toString(), hash: u.hash },
+    params: { host: HOST, port: PORT },
+    result: {
+      secondary: u.secondary,
+      miner_secondary: u.minerSecondary,
+      claimed: u.claimed,
+      unclaimed_total: u.unclaimedTotal,
+      treasury_burn: u.treasuryBurn,
+      holders: u.holders,
+    },
+  };
+}
+
+runMain(import.meta.url, main);
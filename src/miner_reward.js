@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 /**
- * Accurate total secondary issuance paid to miners from genesis..tip (mainnet),
+ * Accurate total secondary issuance paid to miners from genesis..tip (NETWORK profile),
  * using ONLY block headers:
  *
  * miner_secondary_i = floor( s_i * U_{i-1} / C_{i-1} )
@@ -9,7 +9,8 @@
  *   epoch = (length << 40) | (index << 24) | number
  *
  * Extras:
- *  - Streamed computation (no full header cache) with windowed parallel fetch.
+ *  - Streamed computation (headers come from the on-disk header cache) with windowed parallel fetch
+ *    (each worker fetches BATCH_SIZE headers per JSON-RPC batch call).
  *  - Progress printing with speed/ETA.
  *  - Every 1000 epochs prints samples for first/10th/last block.
  *
@@ -17,81 +18,63 @@
  *  - RPC_URL (default http://127.0.0.1:8114)
  *  - CONCURRENCY (default 16)
  *  - START (default 1)
- *  - END (default tip)
+ *  - END (default: the snapshot block, see snapshot.js; checked for a reorg at the end)
  *  - EPOCH_PRINT_STEP (default 1000)
+ *  - NETWORK see network.js (default: auto-detect)
  *  - WINDOW_MULT (default 200)  // windowSize = CONCURRENCY * WINDOW_MULT
+ *  - BATCH_SIZE (default 50)     // headers per JSON-RPC batch call
+ *  - RPC_* see rpc_client.js
+ *  - HEADER_CACHE_* see header_cache.js (headers are cached on disk across runs)
+ *  - CHECKPOINT_FILE (default .checkpoints/miner_reward.json)
+ *  - CHECKPOINT_EVERY (default 100000)  // blocks between checkpoint writes, 0 = off
+ *  - RESUME=1  continue from CHECKPOINT_FILE (stored block hash must still be on chain)
+ *  - EPOCH_EXPORT (default 1)  // write per-epoch table to EXPORT_DIR/miner_epochs.{csv,json}
+ *  - EXPORT_DIR (default out)
+ *
+ * Per-epoch table: secondary issuance s of every block is split into
+ *   miner         = floor(s_i * U_{i-1} / C_{i-1})
+ *   dao           = s_i * AR_{i-1} * W_{i-1} / C_{i-1}   (see dao_accrual.js), rounded per epoch
+ *   treasury      = s_i - miner_i - dao_i
+ *   dao_withdrawn = S_{i-1} + s_i - miner_i - S_i   (compensation withdrawn from NervosDAO in block i)
+ * W, the DAO cells accruing at each block, is not in the header: main() replays the DAO transactions
+ * up to the snapshot block first (dao_lifecycle.js). Without those cells (scanMinerReward called with
+ * no daoCells) the dao and treasury columns are left empty.
  */
 
-const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8114";
+import { RPC_URL, rpc } from "./rpc_client.js";
+import { parseDao, parseEpochPacked, perBlockSecondary } from "./ckb_header.js";
+import { getNetwork } from "./network.js";
+import { runMain } from "./entry.js";
+import { headerCache } from "./header_cache.js";
+import { loadCheckpoint, saveCheckpoint } from "./checkpoint.js";
+import { exportTable } from "./export.js";
+import { emitProgress } from "./output.js";
+import { fmtHMS } from "./pipeline.js";
+import { checkSnapshot, snapshotTip, takeSnapshot } from "./snapshot.js";
+import { buildDaoLifecycle } from "./dao_lifecycle.js";
+import { accrualCells, createAccrual, daoShareScaled, roundScaled } from "./dao_accrual.js";
+
 const CONCURRENCY = Number(process.env.CONCURRENCY || "16");
 const EPOCH_PRINT_STEP = Number(process.env.EPOCH_PRINT_STEP || "1000");
 const WINDOW_MULT = Number(process.env.WINDOW_MULT || "200");
+const BATCH_SIZE = Math.max(1, Number(process.env.BATCH_SIZE || "50"));
+const CHECKPOINT_FILE = process.env.CHECKPOINT_FILE || ".checkpoints/miner_reward.json";
+const CHECKPOINT_EVERY = Number(process.env.CHECKPOINT_EVERY || "100000");
+const RESUME = process.env.RESUME === "1";
+const EPOCH_EXPORT = (process.env.EPOCH_EXPORT ?? "1") === "1";
 
-// Mainnet constant (shannons per epoch). Adjust if you run a different chain.
-const SECONDARY_EPOCH_REWARD = 61_369_863_013_698n;
-
-async function rpc(method, params, { timeoutMs = 30_000, retries = 3 } = {}) {
-  const body = { id: 42, jsonrpc: "2.0", method, params };
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    const ac = new AbortController();
-    const t = setTimeout(() => ac.abort(), timeoutMs);
-    try {
-      const res = await fetch(RPC_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-        signal: ac.signal,
-      });
-      clearTimeout(t);
-
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const json = await res.json();
-      if (json.error) throw new Error(`RPC error: ${JSON.stringify(json.error)}`);
-      return json.result;
-    } catch (e) {
-      clearTimeout(t);
-      if (attempt === retries) throw e;
-      await new Promise((r) => setTimeout(r, 200 * attempt));
-    }
-  }
-}
+const EPOCH_COLUMNS = [
+  "epoch", "start_block", "end_block", "length", "blocks",
+  "secondary", "miner", "dao", "treasury", "dao_withdrawn", "avg_u_over_c",
+];
 
 async function getHeaderByNumber(n) {
-  return rpc("get_header_by_number", ["0x" + n.toString(16)]);
-}
-
-function u64leFromHex16(hex16) {
-  const buf = Buffer.from(hex16, "hex");
-  let x = 0n;
-  for (let i = 0; i < 8; i++) x |= BigInt(buf[i]) << (8n * BigInt(i));
-  return x;
-}
-
-function parseDao(daoHex) {
-  const h = daoHex.startsWith("0x") ? daoHex.slice(2) : daoHex;
-  if (h.length !== 64) throw new Error(`dao field must be 32 bytes, got hexlen=${h.length}`);
-  const seg = (i) => h.slice(i * 16, (i + 1) * 16);
-  const C = u64leFromHex16(seg(0));
-  const U = u64leFromHex16(seg(3));
-  return { C, U };
-}
-
-// ✅ Your chain: epoch = (length<<40) | (index<<24) | number
-function parseEpochPacked(epochHex) {
-  const e = BigInt(epochHex);
-  const length = Number(e >> 40n);                 // high 24 bits
-  const index  = Number((e >> 24n) & 0xFFFFn);     // middle 16 bits
-  const number = Number(e & 0xFFFFFFn);            // low 24 bits
-  return { number, index, length };
+  return headerCache.getByNumber(n);
 }
 
-function perBlockSecondary(epochLength, epochIndex) {
-  const L = BigInt(epochLength);
-  if (L === 0n) throw new RangeError("Division by zero (epoch.length=0)");
-  const q = SECONDARY_EPOCH_REWARD / L;
-  const m = SECONDARY_EPOCH_REWARD % L;
-  const idx = BigInt(epochIndex);
-  return idx < m ? (q + 1n) : q;
+// [from, to] inclusive; cache misses go out as one batch HTTP call
+async function getHeadersByNumbers(from, to) {
+  return headerCache.getRange(from, to);
 }
 
 function formatCkbFromShannon(shannon) {
@@ -104,16 +87,6 @@ function formatCkbFromShannon(shannon) {
   return fracStr.length ? `${sign}${intPart}.${fracStr}` : `${sign}${intPart}`;
 }
 
-function fmtHMS(sec) {
-  sec = Math.max(0, Math.floor(sec));
-  const h = Math.floor(sec / 3600);
-  const m = Math.floor((sec % 3600) / 60);
-  const s = sec % 60;
-  return `${h.toString().padStart(2, "0")}:${m.toString().padStart(2, "0")}:${s
-    .toString()
-    .padStart(2, "0")}`;
-}
-
 function printProgress(done, total, startAt) {
   const now = Date.now();
   const elapsedSec = (now - startAt) / 1000;
@@ -125,6 +98,13 @@ function printProgress(done, total, startAt) {
     `Processed blocks: ${done.toLocaleString()} / ${total.toLocaleString()} ` +
     `(${pct.toFixed(2)}%) | ${speed.toFixed(0)} blk/s | ETA ${fmtHMS(etaSec)}`
   );
+  emitProgress("miner_blocks", {
+    done,
+    total,
+    pct: Number(pct.toFixed(2)),
+    blocks_per_sec: Math.round(speed),
+    eta_sec: Math.round(etaSec),
+  });
 }
 
 function shouldPrintEpoch(epochNumber) {
@@ -158,27 +138,136 @@ function printCheckSample({ label, blockNumber, epoch, s_i, Cprev, Uprev, miner_
   console.log("======================");
 }
 
-async function main() {
-  const tip = await rpc("get_tip_header", []);
-  const tipNumber = Number(BigInt(tip.number));
+// dao_scaled: the DAO share in 10^-12 shannons, null without DAO cells
+function newEpochRow(ep, blockNumber, withDao) {
+  const startBlock = blockNumber - ep.index;
+  return {
+    epoch: ep.number,
+    start_block: startBlock,
+    end_block: startBlock + ep.length - 1,
+    length: ep.length,
+    blocks: 0,
+    secondary: 0n,
+    miner: 0n,
+    dao_withdrawn: 0n,
+    dao_scaled: withDao ? 0n : null,
+    ratio_sum: 0,
+  };
+}
 
-  const start = Number(process.env.START || "1");
-  const end = Number(process.env.END || String(tipNumber));
-  if (start < 1) throw new Error("START must be >= 1 (needs previous header)");
-  if (end > tipNumber) throw new Error(`END (${end}) > tip (${tipNumber})`);
+function epochRowOut(r) {
+  const { ratio_sum, dao_scaled, ...row } = r;
+  const dao = dao_scaled === null ? null : roundScaled(dao_scaled);
+  return {
+    ...row,
+    dao,
+    treasury: dao === null ? null : r.secondary - r.miner - dao,
+    avg_u_over_c: r.blocks > 0 ? (ratio_sum / r.blocks).toFixed(12) : "",
+  };
+}
 
-  console.log(`RPC_URL=${RPC_URL}`);
-  console.log(`Range: [${start}, ${end}] (tip=${tipNumber})`);
-  console.log(`CONCURRENCY=${CONCURRENCY}`);
-  console.log(`EPOCH_PRINT_STEP=${EPOCH_PRINT_STEP}`);
-  console.log(`WINDOW_MULT=${WINDOW_MULT}`);
-  console.log(`SECONDARY_EPOCH_REWARD=${SECONDARY_EPOCH_REWARD} shannons/epoch`);
+function reviveEpochRow(r, withDao) {
+  return {
+    ...r,
+    secondary: BigInt(r.secondary),
+    miner: BigInt(r.miner),
+    dao_withdrawn: BigInt(r.dao_withdrawn),
+    dao_scaled: withDao ? BigInt(r.dao_scaled) : null,
+  };
+}
 
-  let prevHeader = await getHeaderByNumber(start - 1);
+/**
+ * Scan blocks [start, end] and accumulate miner secondary + per-epoch rows.
+ * resumeFrom: a loaded checkpoint (already validated against start) or null.
+ * Checkpoints are written to checkpointFile every checkpointEvery blocks (0 = off).
+ * snapshot: when `end` is the snapshot block (see snapshot.js), the header read for it must carry its hash.
+ * daoCells: the accruing DAO cells (accrualCells() of dao_accrual.js) for the dao / treasury columns.
+ */
+export async function scanMinerReward({
+  start,
+  end,
+  resumeFrom = null,
+  checkpointFile = CHECKPOINT_FILE,
+  checkpointEvery = CHECKPOINT_EVERY,
+  snapshot = null,
+  daoCells = null,
+}) {
+  const cp = resumeFrom;
+  const net = await getNetwork();
+  const withDao = daoCells !== null;
+
+  // C/AR/S/U of the block before `cur`
+  let Cprev, ARprev, Sprev, Uprev;
+  let prevNumber, prevHash;
 
   let totalMinerSecondary = 0n;
-  const totalBlocks = end - start + 1;
+  // epochNumber -> per-epoch row (see EPOCH_COLUMNS)
+  const epochRows = new Map();
+  let cur = start;
+
+  if (cp) {
+    // the checkpoint totals already include every block up to last_block
+    if (cp.last_block > end) {
+      throw new Error(
+        `checkpoint block ${cp.last_block} is past END (${end}); resuming would count blocks after END, ` +
+        `delete ${checkpointFile} or raise END`
+      );
+    }
+    // the chain must still contain the last block we processed
+    const onChain = await rpc("get_header_by_number", [toHex(cp.last_block)]);
+    if (!onChain || onChain.hash !== cp.last_hash) {
+      throw new Error(
+        `checkpoint block ${cp.last_block} hash ${cp.last_hash} no longer on chain ` +
+        `(chain has ${onChain?.hash}); delete ${checkpointFile} and rescan`
+      );
+    }
+    if (!cp.epoch_rows || cp.prev_S === undefined || cp.dao_share === undefined) {
+      throw new Error(`checkpoint ${checkpointFile} has an old format; delete it and rescan`);
+    }
+    // the DAO share of the blocks before the checkpoint can't be added afterwards
+    if (withDao && !cp.dao_share) {
+      throw new Error(`checkpoint ${checkpointFile} was written without the DAO share; delete it and rescan`);
+    }
+    Cprev = BigInt(cp.prev_C);
+    ARprev = BigInt(cp.prev_AR);
+    Sprev = BigInt(cp.prev_S);
+    Uprev = BigInt(cp.prev_U);
+    prevNumber = cp.last_block;
+    prevHash = cp.last_hash;
+    totalMinerSecondary = BigInt(cp.total_miner_secondary);
+    for (const r of cp.epoch_rows) epochRows.set(r.epoch, reviveEpochRow(r, withDao));
+    cur = cp.last_block + 1;
+    console.log(`RESUME from checkpoint: last_block=${cp.last_block} (${cp.saved_at})`);
+  } else {
+    const h = await getHeaderByNumber(start - 1);
+    ({ C: Cprev, AR: ARprev, S: Sprev, U: Uprev } = parseDao(h.dao));
+    prevNumber = start - 1;
+    prevHash = h.hash;
+  }
+
+  const accrual = withDao ? createAccrual(daoCells) : null;
+  await accrual?.seed(cur, async (blocks) => (await headerCache.getManyByNumber(blocks)).map(h => parseDao(h.dao).AR));
+
+  const totalBlocks = end - cur + 1;
   let processed = 0;
+  let lastCheckpointAt = prevNumber;
+
+  function writeCheckpoint() {
+    if (checkpointEvery <= 0) return;
+    saveCheckpoint(checkpointFile, {
+      start,
+      last_block: prevNumber,
+      last_hash: prevHash,
+      prev_C: Cprev,
+      prev_AR: ARprev,
+      prev_S: Sprev,
+      prev_U: Uprev,
+      total_miner_secondary: totalMinerSecondary,
+      dao_share: withDao,
+      epoch_rows: [...epochRows.values()],
+    });
+    lastCheckpointAt = prevNumber;
+  }
 
   // epochNumber -> Set<index>
   const printed = new Map();
@@ -191,7 +280,6 @@ async function main() {
 
   const t0 = Date.now();
 
-  let cur = start;
   const windowSize = Math.max(1, CONCURRENCY * WINDOW_MULT);
 
   while (cur <= end) {
@@ -204,10 +292,12 @@ async function main() {
 
     async function worker() {
       while (true) {
-        const n = next++;
-        if (n > winTo) return;
-        const h = await getHeaderByNumber(n);
-        out[n - winFrom] = h;
+        const from = next;
+        if (from > winTo) return;
+        const to = Math.min(winTo, from + BATCH_SIZE - 1);
+        next = to + 1;
+        const hs = await getHeadersByNumbers(from, to);
+        for (let k = 0; k < hs.length; k++) out[from - winFrom + k] = hs[k];
       }
     }
 
@@ -217,27 +307,36 @@ async function main() {
       const i = winFrom + k;
       const curHeader = out[k];
 
-      const { C: Cprev, U: Uprev } = parseDao(prevHeader.dao);
-
       if (typeof curHeader.epoch !== "string") {
-        console.error("BAD header.epoch type at block", i, "epoch=", curHeader.epoch);
-        process.exit(1);
+        throw new Error(`bad header.epoch type at block ${i}: epoch=${JSON.stringify(curHeader.epoch)}`);
       }
 
       const ep = parseEpochPacked(curHeader.epoch);
       ep.raw = curHeader.epoch;
 
       if (!Number.isFinite(ep.length) || ep.length <= 0) {
-        console.error("BAD epoch length at block", i, "epoch=", curHeader.epoch);
-        console.error("parsed epoch=", ep);
-        console.error("header=", curHeader);
-        process.exit(1);
+        throw new Error(`bad epoch length at block ${i}: epoch=${curHeader.epoch} (length ${ep.length})`);
       }
 
-      const s_i = perBlockSecondary(ep.length, ep.index);
+      const s_i = perBlockSecondary(ep.length, ep.index, net.secondaryEpochReward);
       const miner_i = (s_i * Uprev) / Cprev;
       totalMinerSecondary += miner_i;
 
+      const dao = parseDao(curHeader.dao);
+      const dao_i = Sprev + s_i - miner_i - dao.S;
+
+      let row = epochRows.get(ep.number);
+      if (!row) epochRows.set(ep.number, (row = newEpochRow(ep, i, withDao)));
+      row.blocks++;
+      row.secondary += s_i;
+      row.miner += miner_i;
+      row.dao_withdrawn += dao_i;
+      if (accrual) {
+        row.dao_scaled += daoShareScaled(s_i, Cprev, ARprev, accrual.total());
+        accrual.step(BigInt(i), dao.AR);
+      }
+      row.ratio_sum += Cprev === 0n ? 0 : Number(Uprev) / Number(Cprev);
+
       if (shouldPrintEpoch(ep.number)) {
         const wantIdxs = [0, 10, Math.max(0, ep.length - 1)];
         if (wantIdxs.includes(ep.index) && !isPrinted(ep.number, ep.index)) {
@@ -254,19 +353,107 @@ async function main() {
       processed++;
       if (processed % 200000 === 0) printProgress(processed, totalBlocks, t0);
 
-      prevHeader = curHeader;
+      ({ C: Cprev, AR: ARprev, S: Sprev, U: Uprev } = dao);
+      prevNumber = i;
+      prevHash = curHeader.hash;
     }
 
     cur = winTo + 1;
+    if (prevNumber - lastCheckpointAt >= checkpointEvery) writeCheckpoint();
+  }
+
+  if (snapshot && BigInt(snapshot.block_number) === BigInt(prevNumber) && prevHash !== snapshot.block_hash) {
+    throw new Error(
+      `block ${prevNumber} was read as ${prevHash}, not the snapshot ${snapshot.block_hash}: ` +
+      `reorged during the scan, run again`
+    );
   }
+  writeCheckpoint();
 
   printProgress(processed, totalBlocks, t0);
+
+  const rows = [...epochRows.values()].sort((a, b) => a.epoch - b.epoch).map(epochRowOut);
+  const sum = (k) => rows.reduce((acc, r) => acc + r[k], 0n);
+  return {
+    start,
+    end,
+    totalMinerSecondary,
+    totals: {
+      secondary: sum("secondary"),
+      miner: sum("miner"),
+      dao: withDao ? sum("dao") : null,
+      treasury: withDao ? sum("treasury") : null,
+      dao_withdrawn: sum("dao_withdrawn"),
+    },
+    epochRows: rows,
+  };
+}
+
+export async function main() {
+  const net = await getNetwork();
+  const snapshot = await takeSnapshot();
+  const tipNumber = Number(BigInt(snapshot.block_number));
+
+  const cp = RESUME ? loadCheckpoint(CHECKPOINT_FILE) : null;
+  if (RESUME && !cp) throw new Error(`RESUME=1 but no checkpoint at ${CHECKPOINT_FILE}`);
+
+  const start = cp ? cp.start : Number(process.env.START || "1");
+  const end = Number(process.env.END || String(tipNumber));
+  if (start < 1) throw new Error("START must be >= 1 (needs previous header)");
+  if (end > tipNumber) throw new Error(`END (${end}) > snapshot block (${tipNumber})`);
+  if (cp && process.env.START && Number(process.env.START) !== cp.start) {
+    throw new Error(`START (${process.env.START}) differs from checkpoint start (${cp.start})`);
+  }
+
+  console.log(`RPC_URL=${RPC_URL}`);
+  console.log(`Range: [${start}, ${end}] (snapshot=${tipNumber} ${snapshot.block_hash})`);
+  console.log(`CONCURRENCY=${CONCURRENCY}`);
+  console.log(`EPOCH_PRINT_STEP=${EPOCH_PRINT_STEP}`);
+  console.log(`WINDOW_MULT=${WINDOW_MULT}`);
+  console.log(`BATCH_SIZE=${BATCH_SIZE}`);
+  console.log(`NETWORK=${net.name}`);
+  console.log(`SECONDARY_EPOCH_REWARD=${net.secondaryEpochReward} shannons/epoch`);
+
+  // the DAO cells accruing in [start, end], for the dao / treasury columns
+  const { records } = await buildDaoLifecycle({ snapshot });
+  const daoCells = accrualCells(records, BigInt(tipNumber));
+
+  const { totalMinerSecondary, totals, epochRows } = await scanMinerReward({ start, end, resumeFrom: cp, snapshot, daoCells });
+
   console.log("---- RESULT ----");
   console.log(`Total miner secondary (shannons): ${totalMinerSecondary}`);
   console.log(`Total miner secondary (CKB):     ${formatCkbFromShannon(totalMinerSecondary)} CKB`);
+
+  let exported = null;
+  if (EPOCH_EXPORT) {
+    const { csv, json } = exportTable("miner_epochs", EPOCH_COLUMNS, epochRows, {
+      meta: { network: net.name, range: [start, end], tip: tipNumber, secondary_epoch_reward: net.secondaryEpochReward },
+    });
+    console.log(`Per-epoch table (${epochRows.length} epochs): ${csv}, ${json}`);
+    exported = { csv, json };
+  }
+
+  await checkSnapshot(snapshot);
+
+  return {
+    network: net.name,
+    tip: snapshotTip(snapshot),
+    params: {
+      start,
+      end,
+      resume: !!cp,
+      concurrency: CONCURRENCY,
+      window_mult: WINDOW_MULT,
+      batch_size: BATCH_SIZE,
+      secondary_epoch_reward: net.secondaryEpochReward,
+    },
+    result: {
+      total_miner_secondary: totalMinerSecondary,
+      totals,
+      epochs: epochRows.length,
+      export: exported,
+    },
+  };
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+runMain(import.meta.url, main);
@@ -0,0 +1,164 @@
+// src/network.js
+// Network profiles: NervosDAO type script, issuance constants and genesis of the chain we talk to.
+//
+// NETWORK=mainnet|testnet|devnet|custom (default: auto-detect from get_blockchain_info.chain)
+//
+// Whatever the profile says is checked against the node (get_blockchain_info / get_consensus),
+// so mainnet constants are never silently applied to a testnet/devnet node.
+//
+// devnet takes every value from get_consensus. custom takes them from env and falls back to get_consensus:
+//  - DAO_CODE_HASH, DAO_HASH_TYPE (default type), DAO_ARGS (default 0x)
+//  - SECONDARY_EPOCH_REWARD, INITIAL_PRIMARY_EPOCH_REWARD, PRIMARY_HALVING_INTERVAL (decimal or 0x hex)
+//  - GENESIS_HASH, ADDRESS_PREFIX (default ckt)
+
+import { rpc } from './rpc_client.js';
+import {
+  SECONDARY_EPOCH_REWARD,
+  INITIAL_PRIMARY_EPOCH_REWARD,
+  PRIMARY_HALVING_INTERVAL,
+} from './ckb_header.js';
+
+// NervosDAO type id is derived from the genesis cellbase, so it is the same on mainnet and testnet
+const DAO_TYPE_ID = '0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e';
+
+export const NETWORK_PROFILES = {
+  mainnet: {
+    chain: 'ckb',
+    genesisHash: '0x92b197aa1fba0f63633922c61c92375c9c074a93e85963554f5499fe1450d0e5',
+    daoType: { code_hash: DAO_TYPE_ID, hash_type: 'type', args: '0x' },
+    secondaryEpochReward: SECONDARY_EPOCH_REWARD,
+    initialPrimaryEpochReward: INITIAL_PRIMARY_EPOCH_REWARD,
+    primaryHalvingInterval: PRIMARY_HALVING_INTERVAL,
+    addressPrefix: 'ckb',
+  },
+  testnet: {
+    chain: 'ckb_testnet',
+    genesisHash: '0x10639e0895502b5688a6be8cf69460d76541bfa4821629d86d62ba0aae3f9606',
+    daoType: { code_hash: DAO_TYPE_ID, hash_type: 'type', args: '0x' },
+    secondaryEpochReward: SECONDARY_EPOCH_REWARD,
+    initialPrimaryEpochReward: INITIAL_PRIMARY_EPOCH_REWARD,
+    primaryHalvingInterval: PRIMARY_HALVING_INTERVAL,
+    addressPrefix: 'ckt',
+  },
+};
+
+const NETWORK_NAMES = ['mainnet', 'testnet', 'devnet', 'custom'];
+
+/* ----------------------- helpers ----------------------- */
+
+const bigOrNull = (v) => (v === undefined || v === null || v === '' ? null : BigInt(v));
+
+export function isDaoTypeScript(type, daoType) {
+  return !!(
+    type &&
+    type.code_hash === daoType.code_hash &&
+    type.hash_type === daoType.hash_type &&
+    (type.args || '0x') === (daoType.args || '0x')
+  );
+}
+
+// get_consensus is missing on very old nodes; the chain name check still applies then
+async function fetchConsensus() {
+  try {
+    return await rpc('get_consensus', [], { retries: 1 });
+  } catch (e) {
+    console.error('[network] get_consensus unavailable:', e?.message || e);
+    return null;
+  }
+}
+
+function profileFromConsensus(consensus, name) {
+  if (!consensus) throw new Error(`NETWORK=${name} needs get_consensus, which the node did not answer`);
+  return {
+    chain: null,
+    genesisHash: consensus.genesis_hash,
+    daoType: { code_hash: consensus.dao_type_hash, hash_type: 'type', args: '0x' },
+    secondaryEpochReward: BigInt(consensus.secondary_epoch_reward),
+    initialPrimaryEpochReward: BigInt(consensus.initial_primary_epoch_reward),
+    primaryHalvingInterval: Number(BigInt(consensus.primary_epoch_reward_halving_interval)),
+    addressPrefix: 'ckt',
+  };
+}
+
+function customProfile(consensus, env) {
+  const base = consensus ? profileFromConsensus(consensus, 'custom') : {};
+  const reward = bigOrNull(env.SECONDARY_EPOCH_REWARD) ?? base.secondaryEpochReward;
+  const primary = bigOrNull(env.INITIAL_PRIMARY_EPOCH_REWARD) ?? base.initialPrimaryEpochReward;
+  const halving = bigOrNull(env.PRIMARY_HALVING_INTERVAL);
+  const p = {
+    chain: null,
+    genesisHash: env.GENESIS_HASH || base.genesisHash || null,
+    daoType: env.DAO_CODE_HASH
+      ? { code_hash: env.DAO_CODE_HASH, hash_type: env.DAO_HASH_TYPE || 'type', args: env.DAO_ARGS || '0x' }
+      : base.daoType,
+    secondaryEpochReward: reward,
+    initialPrimaryEpochReward: primary,
+    primaryHalvingInterval: halving !== null ? Number(halving) : base.primaryHalvingInterval,
+    addressPrefix: env.ADDRESS_PREFIX || 'ckt',
+  };
+  for (const [k, v] of Object.entries({ daoType: p.daoType, secondaryEpochReward: p.secondaryEpochReward })) {
+    if (v === undefined || v === null) throw new Error(`NETWORK=custom: ${k} not set in env and not available from get_consensus`);
+  }
+  return p;
+}
+
+// every mismatch between the profile and what the node reports
+export function profileMismatches(profile, chain, consensus) {
+  const out = [];
+  if (profile.chain && chain && profile.chain !== chain) {
+    out.push(`chain: profile=${profile.chain} node=${chain}`);
+  }
+  if (!consensus) return out;
+  if (profile.genesisHash && profile.genesisHash !== consensus.genesis_hash) {
+    out.push(`genesis_hash: profile=${profile.genesisHash} node=${consensus.genesis_hash}`);
+  }
+  if (profile.daoType.hash_type === 'type' && profile.daoType.code_hash !== consensus.dao_type_hash) {
+    out.push(`dao_type_hash: profile=${profile.daoType.code_hash} node=${consensus.dao_type_hash}`);
+  }
+  const nums = [
+    ['secondary_epoch_reward', profile.secondaryEpochReward],
+    ['initial_primary_epoch_reward', profile.initialPrimaryEpochReward],
+    ['primary_epoch_reward_halving_interval', profile.primaryHalvingInterval],
+  ];
+  for (const [k, v] of nums) {
+    if (v === undefined || v === null || consensus[k] === undefined) continue;
+    if (BigInt(v) !== BigInt(consensus[k])) out.push(`${k}: profile=${v} node=${BigInt(consensus[k])}`);
+  }
+  return out;
+}
+
+/* ----------------------- resolve ----------------------- */
+
+export async function resolveNetwork({ name = process.env.NETWORK, env = process.env } = {}) {
+  if (name && !NETWORK_NAMES.includes(name)) {
+    throw new Error(`NETWORK must be one of ${NETWORK_NAMES.join('|')}, got ${name}`);
+  }
+
+  const info = await rpc('get_blockchain_info', []);
+  const consensus = await fetchConsensus();
+
+  let resolved = name;
+  if (!resolved) {
+    resolved = info.chain === 'ckb' ? 'mainnet' : info.chain === 'ckb_testnet' ? 'testnet' : 'devnet';
+  }
+
+  let profile;
+  if (resolved === 'devnet') profile = profileFromConsensus(consensus, resolved);
+  else if (resolved === 'custom') profile = customProfile(consensus, env);
+  else profile = NETWORK_PROFILES[resolved];
+
+  const mismatches = profileMismatches(profile, info.chain, consensus);
+  if (mismatches.length > 0) {
+    throw new Error(`NETWORK=${resolved} does not match the node:\n  ${mismatches.join('\n  ')}`);
+  }
+
+  return { name: resolved, nodeChain: info.chain, ...profile };
+}
+
+let networkPromise = null;
+
+// resolved once per process
+export function getNetwork() {
+  if (!networkPromise) networkPromise = resolveNetwork();
+  return networkPromise;
+}
@@ -0,0 +1,100 @@
+// src/output.js
+// Output format of every script: --format text|json|ndjson (env FORMAT as fallback, default text).
+//
+//   text    the aligned human-readable lines on stdout
+//   json    one document on stdout when the script finishes:
+//             { schema, script, ok, network, tip, params, result, timings, rpc }  (or ok=false + error)
+//   ndjson  one JSON object per line on stdout: { type: "progress", event, ... } from the long scans,
+//           then { type: "result", ...document } or { type: "error", ... }
+//
+// `tip` is the block the figures are as of: for the scans, the snapshot block (see snapshot.js).
+// In json/ndjson mode the human-readable lines go to stderr, so stdout stays parseable.
+// Amounts are shannons as decimal strings (every BigInt is written as a string).
+
+import { rpcMetrics } from './rpc_client.js';
+
+export const FORMATS = ['text', 'json', 'ndjson'];
+export const SCHEMA_VERSION = 1;
+
+export function parseFormatArg(argv, env = {}) {
+  let format = env.FORMAT || 'text';
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') format = argv[++i];
+    else if (argv[i].startsWith('--format=')) format = argv[i].slice('--format='.length);
+  }
+  if (!FORMATS.includes(format)) throw new Error(`--format must be one of ${FORMATS.join('|')}, got ${format}`);
+  return format;
+}
+
+let format = null;
+
+export function outputFormat() {
+  if (!format) format = parseFormatArg(process.argv.slice(2), process.env);
+  return format;
+}
+
+export function setOutputFormat(f) {
+  format = parseFormatArg([], { FORMAT: f });
+}
+
+const toJson = (v, indent) => JSON.stringify(v, (_, x) => (typeof x === 'bigint' ? x.toString() : x), indent);
+
+function writeLine(obj) {
+  return new Promise(resolve => process.stdout.write(toJson(obj) + '\n', resolve));
+}
+
+// json/ndjson: everything printed with console.log goes to stderr from here on
+export function routeTextOutput() {
+  if (outputFormat() === 'text') return;
+  console.log = console.error;
+  console.info = console.error;
+}
+
+// progress event of a long scan (ndjson only)
+export function emitProgress(event, data = {}) {
+  if (outputFormat() !== 'ndjson') return;
+  process.stdout.write(toJson({ type: 'progress', event, time: new Date().toISOString(), ...data }) + '\n');
+}
+
+function rpcSummary() {
+  const out = {};
+  for (const [method, m] of rpcMetrics) {
+    out[method] = { calls: m.calls, errors: m.errors, retries: m.retries, total_ms: m.totalMs, max_ms: m.maxMs };
+  }
+  return out;
+}
+
+function timings(startedAt) {
+  const finishedAt = new Date();
+  return {
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    elapsed_ms: finishedAt - startedAt,
+  };
+}
+
+// report: what main() returned, { network, tip, params, result }
+export async function writeResult(script, report, startedAt) {
+  const f = outputFormat();
+  if (f === 'text') return;
+  const doc = {
+    schema: SCHEMA_VERSION,
+    script,
+    ok: true,
+    network: report?.network ?? null,
+    tip: report?.tip ?? null,
+    params: report?.params ?? {},
+    result: report?.result ?? null,
+    timings: timings(startedAt),
+    rpc: rpcSummary(),
+  };
+  if (f === 'ndjson') return writeLine({ type: 'result', ...doc });
+  return new Promise(resolve => process.stdout.write(toJson(doc, 2) + '\n', resolve));
+}
+
+export async function writeError(script, err, startedAt) {
+  const f = outputFormat();
+  if (f === 'text') return;
+  const doc = { schema: SCHEMA_VERSION, script, ok: false, error: String(err?.message || err), timings: timings(startedAt) };
+  return writeLine(f === 'ndjson' ? { type: 'error', ...doc } : doc);
+}
@@ -0,0 +1,47 @@
+// src/pipeline.js
+// Concurrency helpers shared by the scans.
+
+// runs fn(item, index) over arr with at most `limit` calls in flight
+export async function mapLimit(arr, limit, fn) {
+  let i = 0;
+  const workers = Array.from({ length: Math.max(1, limit) }, async () => {
+    while (true) {
+      const idx = i++;
+      if (idx >= arr.length) return;
+      await fn(arr[idx], idx);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// yields the items of `source` in order while keeping up to `depth` of the next ones in flight,
+// so fetching page n+1 overlaps with whatever the consumer does with page n
+export async function* readAhead(source, depth) {
+  const it = source[Symbol.asyncIterator]();
+  const queue = [];
+  const pull = () => {
+    const p = it.next();
+    p.catch(() => {}); // surfaced when awaited below, not as an unhandled rejection
+    queue.push(p);
+  };
+  try {
+    for (let k = 0; k < Math.max(1, depth); k++) pull();
+    while (true) {
+      const { value, done } = await queue.shift();
+      if (done) return;
+      pull();
+      yield value;
+    }
+  } finally {
+    await it.return?.();
+  }
+}
+
+// seconds -> hh:mm:ss
+export function fmtHMS(sec) {
+  sec = Math.max(0, Math.floor(sec));
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = sec % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
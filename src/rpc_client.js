@@ -0,0 +1,214 @@
+// src/rpc_client.js
+// Shared JSON-RPC client for CKB node + built-in indexer.
+//
+// - single calls and JSON-RPC batch requests (one HTTP round trip)
+// - retries with exponential backoff + jitter
+// - per-method latency / error counters (printRpcMetrics() at the end of a run)
+//
+// Env:
+//  - RPC_URL            (default http://127.0.0.1:8114)
+//  - RPC_ID_SCHEME      counter | constant | random | method (default counter)
+//  - RPC_BATCH_SIZE     max requests per batch HTTP call (default 100)
+//  - RPC_BACKOFF_MS     base retry delay (default 200)
+//  - RPC_BACKOFF_MAX_MS retry delay cap (default 10000)
+//  - RPC_LOG_FAILURES   print failed attempts to stderr (default 1)
+
+export const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8114';
+
+const ID_SCHEMES = ['counter', 'constant', 'random', 'method'];
+
+/* ----------------------- helpers ----------------------- */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// exponential backoff with "equal jitter": half fixed, half random
+export function backoffDelay(attempt, baseMs, maxMs) {
+  const exp = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+function normalizeCall(c) {
+  if (Array.isArray(c)) return { method: c[0], params: c[1] ?? [] };
+  return { method: c.method, params: c.params ?? [] };
+}
+
+function rpcError(method, error) {
+  const e = new Error(`${method} error: ${JSON.stringify(error)}`);
+  e.rpcError = error;
+  return e;
+}
+
+/* ----------------------- client ----------------------- */
+
+export function createRpcClient({
+  url = RPC_URL,
+  idScheme = process.env.RPC_ID_SCHEME || 'counter',
+  batchSize = Number(process.env.RPC_BATCH_SIZE || '100'),
+  backoffMs = Number(process.env.RPC_BACKOFF_MS || '200'),
+  backoffMaxMs = Number(process.env.RPC_BACKOFF_MAX_MS || '10000'),
+  logFailures = (process.env.RPC_LOG_FAILURES ?? '1') === '1',
+} = {}) {
+  if (!ID_SCHEMES.includes(idScheme)) {
+    throw new Error(`RPC_ID_SCHEME must be one of ${ID_SCHEMES.join('|')}, got ${idScheme}`);
+  }
+
+  let seq = 0;
+  function nextId(method) {
+    switch (idScheme) {
+      case 'constant': return 1;
+      case 'random': return Math.floor(Math.random() * Number.MAX_SAFE_INTEGER);
+      case 'method': return `${method}-${++seq}`;
+      default: return ++seq;
+    }
+  }
+
+  // method -> { calls, errors, retries, totalMs, maxMs }
+  const metrics = new Map();
+
+  function record(method, ms, ok, retried) {
+    let m = metrics.get(method);
+    if (!m) metrics.set(method, (m = { calls: 0, errors: 0, retries: 0, totalMs: 0, maxMs: 0 }));
+    m.calls++;
+    m.totalMs += ms;
+    if (ms > m.maxMs) m.maxMs = ms;
+    if (!ok) m.errors++;
+    if (retried) m.retries++;
+  }
+
+  async function post(body, timeoutMs) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: ctrl.signal,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  async function call(method, params = [], { timeoutMs = 30_000, retries = 3 } = {}) {
+    let lastErr;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const t0 = Date.now();
+      try {
+        const json = await post({ jsonrpc: '2.0', id: nextId(method), method, params }, timeoutMs);
+        if (json.error) throw rpcError(method, json.error);
+        record(method, Date.now() - t0, true, attempt > 1);
+        return json.result;
+      } catch (e) {
+        lastErr = e;
+        record(method, Date.now() - t0, false, attempt > 1);
+        if (logFailures) {
+          console.error(`[rpc] ${method} attempt ${attempt}/${retries} failed:`, e?.message || e);
+        }
+        if (attempt < retries) await sleep(backoffDelay(attempt, backoffMs, backoffMaxMs));
+      }
+    }
+    throw lastErr;
+  }
+
+  // calls: [[method, params], ...] or [{ method, params }, ...]
+  // Returns results in the same order. Items that fail are retried on their own
+  // (the rest of the batch is kept); after `retries` attempts the last error seen is thrown.
+  async function batch(calls, { timeoutMs = 120_000, retries = 3 } = {}) {
+    const reqs = calls.map(normalizeCall);
+    const results = new Array(reqs.length);
+
+    for (let off = 0; off < reqs.length; off += batchSize) {
+      let pending = [];
+      for (let i = off; i < Math.min(reqs.length, off + batchSize); i++) pending.push(i);
+
+      let lastErr;
+      for (let attempt = 1; attempt <= retries && pending.length > 0; attempt++) {
+        const body = pending.map(i => ({
+          jsonrpc: '2.0',
+          id: nextId(reqs[i].method),
+          method: reqs[i].method,
+          params: reqs[i].params,
+        }));
+
+        // match responses by id when ids are unique, by position otherwise
+        const byId = new Map(body.map((b, k) => [b.id, k]));
+        const matchById = byId.size === body.length;
+
+        const t0 = Date.now();
+        let json;
+        try {
+          json = await post(body, timeoutMs);
+          if (!Array.isArray(json)) {
+            throw new Error(`batch response is not an array: ${JSON.stringify(json).slice(0, 200)}`);
+          }
+        } catch (e) {
+          lastErr = e;
+          const ms = Date.now() - t0;
+          for (const i of pending) record(reqs[i].method, ms, false, attempt > 1);
+          if (logFailures) {
+            console.error(`[rpc] batch(${pending.length}) attempt ${attempt}/${retries} failed:`, e?.message || e);
+          }
+          if (attempt < retries) await sleep(backoffDelay(attempt, backoffMs, backoffMaxMs));
+          continue;
+        }
+
+        const ms = Date.now() - t0;
+        const failed = [];
+        json.forEach((r, pos) => {
+          const k = matchById ? byId.get(r.id) : pos;
+          if (k === undefined) return;
+          const i = pending[k];
+          if (r.error) {
+            lastErr = rpcError(reqs[i].method, r.error);
+            record(reqs[i].method, ms, false, attempt > 1);
+            failed.push(i);
+          } else {
+            results[i] = r.result;
+            record(reqs[i].method, ms, true, attempt > 1);
+          }
+        });
+        // items the node did not answer at all are retried as well
+        const answered = new Set(json.map((r, pos) => pending[matchById ? byId.get(r.id) : pos]));
+        for (const i of pending) if (!answered.has(i)) failed.push(i);
+
+        pending = failed;
+        if (pending.length > 0) {
+          if (logFailures) {
+            console.error(`[rpc] batch attempt ${attempt}/${retries}: ${pending.length} item(s) failed:`, lastErr?.message || lastErr);
+          }
+          if (attempt < retries) await sleep(backoffDelay(attempt, backoffMs, backoffMaxMs));
+        }
+      }
+      if (pending.length > 0) throw lastErr;
+    }
+
+    return results;
+  }
+
+  function printMetrics(log = console.error) {
+    if (metrics.size === 0) return;
+    log('---- RPC METRICS ----');
+    const rows = [...metrics.entries()].sort((a, b) => b[1].calls - a[1].calls);
+    for (const [method, m] of rows) {
+      const avg = m.calls > 0 ? m.totalMs / m.calls : 0;
+      log(
+        `${method.padEnd(24)} calls=${m.calls} errors=${m.errors} retries=${m.retries}` +
+        ` avg=${avg.toFixed(1)}ms max=${m.maxMs}ms`
+      );
+    }
+  }
+
+  return { url, call, batch, metrics, printMetrics };
+}
+
+/* ----------------------- default client ----------------------- */
+
+const defaultClient = createRpcClient();
+
+export const rpc = defaultClient.call;
+export const rpcBatch = defaultClient.batch;
+export const rpcMetrics = defaultClient.metrics;
+export const printRpcMetrics = defaultClient.printMetrics;
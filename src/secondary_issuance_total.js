@@ -1,50 +1,59 @@
 // src/secondary_issuance_total.js
 // Node >= 18
+//
+// MODE=estimate  (epochNumber - 1) * reward + reward * index / length
+// MODE=exact     (default) also derives the exact total of blocks 1..tip from the header dao field:
+//                  secondary = (C_tip - C_genesis) - scheduled primary issuance (with halvings)
+//                and cross-checks it against the per-block perBlockSecondary sum.
+//                SCAN=1 additionally sums perBlockSecondary block by block (full header scan).
+// MODE=project   forecasts the next PROJECT_EPOCHS epochs from the tip: primary issuance (halving schedule),
+//                the miner / DAO / treasury split of SECONDARY_EPOCH_REWARD and the NervosDAO nominal APY.
+//
+// Projection, per epoch, from C and U of the tip header and D = free capacity of the live DAO deposits:
+//   miner = secondary * U / C,  dao = secondary * D / C,  treasury = secondary - miner - dao
+//   nominal APY = (1 + secondary / C) ^ epochs_per_year - 1     (the rate AR grows at)
+//   inflation   = (1 + (primary + secondary) / C) ^ epochs_per_year - 1
+// then C += primary + secondary, D grows by its compensation, and U and D by the scenario rates.
+// It starts at the epoch after the tip's, taking C / U / D as they are at the tip.
+// "tip" is the snapshot block every figure is read as of (see snapshot.js).
+//
+// Env (MODE=project):
+//  - PROJECT_EPOCHS           (default 10950, 5 years)
+//  - PROJECT_DAO_DEPOSITS     (shannons; default: free capacity of the DAO deposit cells live at the tip)
+//  - PROJECT_DAO_GROWTH       (% per year the deposits grow by besides their compensation, default 0)
+//  - PROJECT_OCCUPIED_GROWTH  (% per year U grows by, default 0)
+//  - PROJECT_EPOCHS_PER_YEAR  (default 2190, 4-hour epochs)
+//  - PROJECT_PRINT_EVERY      (epochs per printed line, default one year)
+//  - PROJECT_EXPORT           (default 1: out/issuance_projection.{csv,json}, one row per epoch)
 
-const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8114";
-
-// 每个 epoch 的二级发行（单位：shannons / epoch）
-const SECONDARY_EPOCH_REWARD = 613_698_63013698n;
+import { freeCapacity } from "./ckb_capacity.js";
+import { RPC_URL } from "./rpc_client.js";
+import { headerCache } from "./header_cache.js";
+import {
+  parseDao,
+  parseEpochPacked,
+  primaryEpochReward,
+  scheduledIssuance,
+} from "./ckb_header.js";
+import { scanMinerReward } from "./miner_reward.js";
+import { getNetwork } from "./network.js";
+import { daoCellPagesAt } from "./dao_unclaimed.js";
+import { exportTable } from "./export.js";
+import { checkSnapshot, snapshotTip, takeSnapshot } from "./snapshot.js";
+import { runMain } from "./entry.js";
 
 // 1 CKB = 1e8 shannons
 const SHANNONS_PER_CKB = 100_000_000n;
 
-/* ----------------------- RPC helper ----------------------- */
-
-async function rpc(method, params, { timeoutMs = 30_000, retries = 3 } = {}) {
-  let lastErr;
-  for (let i = 1; i <= retries; i++) {
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
-    try {
-      const res = await fetch(RPC_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
-        signal: ctrl.signal,
-      });
-      const json = await res.json();
-      if (json.error) throw new Error(`${method} error: ${JSON.stringify(json.error)}`);
-      return json.result;
-    } catch (e) {
-      lastErr = e;
-      await new Promise(r => setTimeout(r, 300 * i));
-    } finally {
-      clearTimeout(t);
-    }
-  }
-  throw lastErr;
-}
+export const EPOCHS_PER_YEAR = 2190;
 
-/* ----------------------- epoch parser (use your version) ----------------------- */
+const DEPOSIT_DATA = "0x0000000000000000";
+const GROWTH_SCALE = 10n ** 12n;
 
-function parseEpochPacked(epochHex) {
-  const e = BigInt(epochHex);
-  const length = Number(e >> 40n);                 // high 24 bits
-  const index  = Number((e >> 24n) & 0xFFFFn);     // middle 16 bits
-  const number = Number(e & 0xFFFFFFn);            // low 24 bits
-  return { number, index, length };
-}
+const PROJECTION_COLUMNS = [
+  "epoch", "primary", "secondary", "miner", "dao", "treasury",
+  "total_issuance", "occupied", "dao_deposits", "nominal_apy_pct", "inflation_pct",
+];
 
 /* ----------------------- formatting ----------------------- */
 
@@ -56,26 +65,241 @@ function formatCKB(shannons) {
   return `${sign}${whole.toString()}.${frac.toString().padStart(8, "0")}`;
 }
 
-/* ----------------------- main ----------------------- */
-
-async function main() {
-  const tip = await rpc("get_tip_header", []);
-  const { number, index, length } = parseEpochPacked(tip.epoch);
+/* ----------------------- compute ----------------------- */
 
+export function estimateSecondaryTotal({ number, index, length }, reward) {
   // (epochNumber - 1) * reward + reward * index / length
   const fullEpochs = BigInt(Math.max(0, number - 1));
-  const part = (SECONDARY_EPOCH_REWARD * BigInt(index)) / BigInt(length);
-  const total = fullEpochs * SECONDARY_EPOCH_REWARD + part;
+  const part = (reward * BigInt(index)) / BigInt(length);
+  return fullEpochs * reward + part;
+}
+
+// exact secondary issuance of blocks 1..tip, from C of the genesis and tip headers
+export async function computeExactSecondaryTotal(tip, net) {
+  const genesis = await headerCache.getByNumber(0);
+  const tipEpoch = parseEpochPacked(tip.epoch);
+  const genesisEpoch = parseEpochPacked(genesis.epoch);
+
+  const issued = parseDao(tip.dao).C - parseDao(genesis.dao).C;
+  const primary = scheduledIssuance(
+    tipEpoch,
+    genesisEpoch.length,
+    (e) => primaryEpochReward(e, net.initialPrimaryEpochReward, net.primaryHalvingInterval)
+  );
+  const exact = issued - primary;
+  const perBlockSum = scheduledIssuance(tipEpoch, genesisEpoch.length, () => net.secondaryEpochReward);
+
+  return { issued, primary, exact, perBlockSum };
+}
+
+/* ----------------------- projection ----------------------- */
+
+// %/year -> fixed-point growth factor per epoch
+function perEpochGrowth(pctPerYear, epochsPerYear) {
+  if (!(pctPerYear > -100)) throw new RangeError(`growth must be above -100%/year, got ${pctPerYear}`);
+  return BigInt(Math.round((1 + pctPerYear / 100) ** (1 / epochsPerYear) * Number(GROWTH_SCALE)));
+}
+
+const annualPct = (perEpoch, C, epochsPerYear) =>
+  Number((((1 + Number(perEpoch) / Number(C)) ** epochsPerYear - 1) * 100).toFixed(6));
+
+/**
+ * One row per epoch startEpoch .. startEpoch + epochs - 1.
+ * C, U: from the tip header dao field; deposits: free capacity earning DAO compensation.
+ * net: { secondaryEpochReward, initialPrimaryEpochReward, primaryHalvingInterval }.
+ */
+export function projectIssuance({
+  C,
+  U,
+  deposits,
+  startEpoch,
+  epochs,
+  net,
+  daoGrowthPct = 0,
+  occupiedGrowthPct = 0,
+  epochsPerYear = EPOCHS_PER_YEAR,
+}) {
+  const daoFactor = perEpochGrowth(daoGrowthPct, epochsPerYear);
+  const occupiedFactor = perEpochGrowth(occupiedGrowthPct, epochsPerYear);
+  const secondary = net.secondaryEpochReward;
+  let D = deposits;
+  const rows = [];
+
+  for (let e = startEpoch; e < startEpoch + epochs; e++) {
+    if (U + D > C) throw new RangeError(`epoch ${e}: occupied + deposited capacity exceeds the total issuance`);
+    const primary = primaryEpochReward(e, net.initialPrimaryEpochReward, net.primaryHalvingInterval);
+    const miner = (secondary * U) / C;
+    const dao = (secondary * D) / C;
+    const row = {
+      epoch: e,
+      primary,
+      secondary,
+      miner,
+      dao,
+      treasury: secondary - miner - dao,
+      total_issuance: C,
+      occupied: U,
+      dao_deposits: D,
+      nominal_apy_pct: annualPct(secondary, C, epochsPerYear),
+      inflation_pct: annualPct(primary + secondary, C, epochsPerYear),
+    };
+    rows.push(row);
+
+    C += primary + secondary;
+    D = (D * daoFactor) / GROWTH_SCALE + dao;
+    U = (U * occupiedFactor) / GROWTH_SCALE;
+  }
+  return rows;
+}
+
+// free capacity of the DAO deposit cells live at `height` (prepare cells no longer earn)
+export async function liveDaoDeposits(daoType, height) {
+  let total = 0n;
+  let cells = 0;
+  for await (const page of daoCellPagesAt(daoType, height)) {
+    for (const c of page) {
+      if (c.output_data !== DEPOSIT_DATA) continue;
+      total += freeCapacity(c.output, c.output_data);
+      cells++;
+    }
+  }
+  return { total, cells };
+}
+
+async function projectMain(report, tip, net) {
+  const epochs = Number(process.env.PROJECT_EPOCHS || String(EPOCHS_PER_YEAR * 5));
+  const epochsPerYear = Number(process.env.PROJECT_EPOCHS_PER_YEAR || String(EPOCHS_PER_YEAR));
+  const printEvery = Math.max(1, Number(process.env.PROJECT_PRINT_EVERY || String(epochsPerYear)));
+  const daoGrowthPct = Number(process.env.PROJECT_DAO_GROWTH || "0");
+  const occupiedGrowthPct = Number(process.env.PROJECT_OCCUPIED_GROWTH || "0");
+  const doExport = (process.env.PROJECT_EXPORT ?? "1") === "1";
+
+  // measured deposits, C and U all as of the tip
+  const base = tip;
+  let deposits;
+  if (process.env.PROJECT_DAO_DEPOSITS) {
+    deposits = BigInt(process.env.PROJECT_DAO_DEPOSITS);
+  } else {
+    const live = await liveDaoDeposits(net.daoType, BigInt(base.number));
+    deposits = live.total;
+    console.log("DAO deposit cells at tip = ", live.cells, `(block ${BigInt(base.number)})`);
+  }
+
+  const { C, U } = parseDao(base.dao);
+  const startEpoch = parseEpochPacked(base.epoch).number + 1;
+  const rows = projectIssuance({
+    C, U, deposits, startEpoch, epochs, net, daoGrowthPct, occupiedGrowthPct, epochsPerYear,
+  });
+
+  console.log("--------------------------------");
+  console.log("Projection from C = ", formatCKB(C), "CKB, U = ", formatCKB(U), "CKB, DAO deposits = ", formatCKB(deposits), "CKB");
+  console.log("Scenario: DAO deposits ", `${daoGrowthPct}%/year,`, "occupied ", `${occupiedGrowthPct}%/year,`, epochsPerYear, "epochs/year");
+  const periods = [];
+  for (let i = 0; i < rows.length; i += printEvery) {
+    const chunk = rows.slice(i, i + printEvery);
+    const sum = (k) => chunk.reduce((s, r) => s + r[k], 0n);
+    const last = chunk[chunk.length - 1];
+    const p = {
+      from_epoch: chunk[0].epoch,
+      to_epoch: last.epoch,
+      primary: sum("primary"),
+      secondary: sum("secondary"),
+      miner: sum("miner"),
+      dao: sum("dao"),
+      treasury: sum("treasury"),
+      nominal_apy_pct: last.nominal_apy_pct,
+      inflation_pct: last.inflation_pct,
+    };
+    periods.push(p);
+    console.log(
+      `epochs ${p.from_epoch}-${p.to_epoch}: primary=${formatCKB(p.primary)} secondary=${formatCKB(p.secondary)}` +
+      ` miner=${formatCKB(p.miner)} dao=${formatCKB(p.dao)} treasury=${formatCKB(p.treasury)}` +
+      ` apy=${p.nominal_apy_pct.toFixed(4)}% inflation=${p.inflation_pct.toFixed(4)}%`
+    );
+  }
+
+  let exported = null;
+  if (doExport) {
+    exported = exportTable("issuance_projection", PROJECTION_COLUMNS, rows, {
+      meta: { network: net.name, base_block: BigInt(base.number), dao_growth_pct: daoGrowthPct, occupied_growth_pct: occupiedGrowthPct },
+    });
+    console.log(`projection: ${exported.csv}`);
+  }
+
+  Object.assign(report.params, {
+    epochs,
+    epochs_per_year: epochsPerYear,
+    dao_growth_pct: daoGrowthPct,
+    occupied_growth_pct: occupiedGrowthPct,
+  });
+  report.result.projection = {
+    base_block: BigInt(base.number),
+    C,
+    U,
+    dao_deposits: deposits,
+    periods,
+    export: exported,
+  };
+  return report;
+}
+
+/* ----------------------- main ----------------------- */
+
+export async function main() {
+  const mode = process.env.MODE || "exact";
+  if (!["estimate", "exact", "project"].includes(mode)) throw new Error(`MODE must be estimate|exact|project, got ${mode}`);
+
+  const net = await getNetwork();
+  const snapshot = await takeSnapshot();
+  const tip = await headerCache.getByHash(snapshot.block_hash);
+  const done = async () => {
+    await checkSnapshot(snapshot);
+    return report;
+  };
+  const { number, index, length } = parseEpochPacked(tip.epoch);
+  const total = estimateSecondaryTotal({ number, index, length }, net.secondaryEpochReward);
 
   console.log("RPC_URL = ", RPC_URL);
-  console.log("TIP_BLOCK = ", BigInt(tip.number).toString(), `(hex=${tip.number})`);
+  console.log("NETWORK = ", net.name);
+  console.log("SNAPSHOT = ", BigInt(tip.number).toString(), `(hex=${tip.number})`, tip.hash);
   console.log("EPOCH = ", `${number} (${index}/${length})`, `(packed=${tip.epoch})`);
-  console.log("SECONDARY_EPOCH_REWARD = ", formatCKB(SECONDARY_EPOCH_REWARD), "CKB/epoch");
+  console.log("SECONDARY_EPOCH_REWARD = ", formatCKB(net.secondaryEpochReward), "CKB/epoch");
   console.log("--------------------------------");
   console.log("Secondary issuance total (estimated) = ", formatCKB(total), "CKB");
+
+  const report = {
+    network: net.name,
+    tip: { ...snapshotTip(snapshot), epoch: { number, index, length } },
+    params: { mode, scan: process.env.SCAN === "1", secondary_epoch_reward: net.secondaryEpochReward },
+    result: { estimated: total },
+  };
+  if (mode === "estimate") return done();
+  if (mode === "project") {
+    await projectMain(report, tip, net);
+    return done();
+  }
+
+  const { issued, primary, exact, perBlockSum } = await computeExactSecondaryTotal(tip, net);
+
+  console.log("--------------------------------");
+  console.log("Total issued since genesis (C) = ", formatCKB(issued), "CKB");
+  console.log("Primary issuance (schedule) = ", formatCKB(primary), "CKB");
+  console.log("Secondary issuance total (exact) = ", formatCKB(exact), "CKB");
+  console.log("Secondary issuance per-block sum = ", formatCKB(perBlockSum), "CKB");
+  console.log("--------------------------------");
+  console.log("estimate - exact = ", formatCKB(total - exact), "CKB", `(${total - exact} shannons)`);
+  console.log("exact - per-block sum = ", formatCKB(exact - perBlockSum), "CKB", `(${exact - perBlockSum} shannons)`);
+  Object.assign(report.result, { issued, primary, exact, per_block_sum: perBlockSum });
+
+  if (process.env.SCAN === "1") {
+    const tipNumber = Number(BigInt(tip.number));
+    const { totals } = await scanMinerReward({ start: 1, end: tipNumber, checkpointEvery: 0 });
+    console.log("Secondary issuance scanned sum = ", formatCKB(totals.secondary), "CKB");
+    console.log("exact - scanned sum = ", formatCKB(exact - totals.secondary), "CKB", `(${exact - totals.secondary} shannons)`);
+    report.result.scanned_sum = totals.secondary;
+  }
+
+  return done();
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+runMain(import.meta.url, main);
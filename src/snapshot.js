@@ -0,0 +1,52 @@
+// src/snapshot.js
+// The block a run's figures are as of.
+//
+// A scan pages through the indexer for minutes to hours while the chain moves on, so every script
+// takes one snapshot up front (the indexer tip, or SNAPSHOT_BLOCK), bounds its indexer queries to
+// block_range [.., snapshot + 1) and reads AR / S / C from the snapshot header. At the end the
+// snapshot block is looked up again: if it is no longer on the main chain the figures mix two
+// forks, and the run fails instead of reporting them.
+//
+// The snapshot is the `tip` of the json/ndjson output (see output.js); SNAPSHOT_BLOCK=<that number>
+// reproduces a run later.
+//
+// Env:
+//  - SNAPSHOT_BLOCK (decimal or 0x hex, default: indexer tip at start)
+
+import { rpc } from './rpc_client.js';
+
+const toHex = (n) => '0x' + BigInt(n).toString(16);
+
+// { block_number, block_hash }, the shape of get_indexer_tip
+export async function takeSnapshot(at = process.env.SNAPSHOT_BLOCK || null) {
+  const tip = await rpc('get_indexer_tip', []);
+  if (at === null || at === undefined) return { block_number: tip.block_number, block_hash: tip.block_hash };
+
+  const height = BigInt(at);
+  if (height < 0n || height > BigInt(tip.block_number)) {
+    throw new Error(`SNAPSHOT_BLOCK ${height} is outside [0, indexer tip ${BigInt(tip.block_number)}]`);
+  }
+  const header = await rpc('get_header_by_number', [toHex(height)]);
+  if (!header) throw new Error(`no header at SNAPSHOT_BLOCK ${height}`);
+  return { block_number: toHex(height), block_hash: header.hash };
+}
+
+// indexer block_range covering every block up to and including the snapshot
+export function snapshotRange(snapshot) {
+  return ['0x0', toHex(BigInt(snapshot.block_number) + 1n)];
+}
+
+// throws if the snapshot block was reorged out while the run was reading the chain
+export async function checkSnapshot(snapshot) {
+  const header = await rpc('get_header_by_number', [snapshot.block_number]);
+  if (header?.hash === snapshot.block_hash) return;
+  throw new Error(
+    `snapshot block ${BigInt(snapshot.block_number)} (${snapshot.block_hash}) was reorged out during the run` +
+    ` (now ${header?.hash ?? 'missing'}); the figures mix two forks, run again`
+  );
+}
+
+// the `tip` of a script's result document
+export function snapshotTip(snapshot) {
+  return { number: BigInt(snapshot.block_number).toString(), hash: snapshot.block_hash };
+}
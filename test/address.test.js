@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeAddress,
+  decodeAddress,
+  parseAddressList,
+  bech32mEncode,
+  FORMAT_FULL,
+  FORMAT_SHORT,
+  FORMAT_FULL_TYPE,
+} from '../src/address.js';
+
+// RFC 0021 examples: one secp256k1-blake160 lock in every format
+const LOCK = {
+  code_hash: '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8',
+  hash_type: 'type',
+  args: '0xb39bbc0b3673c7d36450bc14cfcdad2d559c6c64',
+};
+const FULL = 'ckb1qzda0cr08m85hc8jlnfp3zer7xulejywt49kt2rr0vthywaa50xwsqdnnw7qkdnnclfkg59uzn8umtfd2kwxceqxwquc4';
+const SHORT = 'ckb1qyqt8xaupvm8837nv3gtc9x0ekkj64vud3jqfwyw5v';
+const FULL_TYPE = 'ckb1qjda0cr08m85hc8jlnfp3zer7xulejywt49kt2rr0vthywaa50xw3vumhs9nvu786dj9p0q5elx66t24n3kxgj53qks';
+// short format, code_hash_index 0x01 (secp256k1 multisig)
+const SHORT_MULTISIG = 'ckb1qyq5lv479ewscx3ms620sv34pgeuz6zagaaqklhtgg';
+
+test('full format (bech32m) encodes and decodes like the RFC example', () => {
+  assert.equal(encodeAddress(LOCK), FULL);
+  assert.deepEqual(decodeAddress(FULL), { prefix: 'ckb', format: FORMAT_FULL, script: LOCK });
+  assert.deepEqual(decodeAddress(FULL.toUpperCase()).script, LOCK);
+  for (const hashType of ['data', 'data1', 'data2']) {
+    const script = { ...LOCK, hash_type: hashType };
+    assert.deepEqual(decodeAddress(encodeAddress(script, 'ckt')), { prefix: 'ckt', format: FORMAT_FULL, script });
+  }
+});
+
+test('deprecated short and full formats (bech32) decode to the same lock', () => {
+  assert.deepEqual(decodeAddress(SHORT), { prefix: 'ckb', format: FORMAT_SHORT, script: LOCK });
+  assert.deepEqual(decodeAddress(FULL_TYPE), { prefix: 'ckb', format: FORMAT_FULL_TYPE, script: LOCK });
+  assert.deepEqual(decodeAddress(SHORT_MULTISIG).script, {
+    code_hash: '0x5c5069eb0857efc65e1bca0c07df34c31663b3622fd3876c876320fc9634e2a8',
+    hash_type: 'type',
+    args: '0x4fb2be2e5d0c1a3b8694f832350a33c1685d477a',
+  });
+});
+
+test('bad checksums and mismatched variants are rejected', () => {
+  const flip = (a) => a.slice(0, -1) + (a.endsWith('q') ? 'p' : 'q');
+  assert.throws(() => decodeAddress(flip(FULL)), /bad address checksum/);
+  assert.throws(() => decodeAddress(flip(SHORT)), /bad address checksum/);
+  assert.throws(() => decodeAddress(FULL.slice(0, 10) + FULL.slice(10).toUpperCase()), /mixed-case address/);
+  assert.throws(() => decodeAddress(FULL.replace('qzda', 'qzdc')), /bad address checksum/);
+  // a short payload with the bech32m checksum of the full format
+  const args = [...Buffer.from(LOCK.args.slice(2), 'hex')];
+  assert.throws(() => decodeAddress(bech32mEncode('ckb', [FORMAT_SHORT, 0, ...args])), /must use bech32/);
+});
+
+test('unknown and wrong-network prefixes are rejected', () => {
+  const payload = [FORMAT_FULL, ...Buffer.from(LOCK.code_hash.slice(2), 'hex'), 1];
+  assert.throws(() => decodeAddress(bech32mEncode('ckx', payload)), /unknown address prefix: ckx/);
+  assert.deepEqual(parseAddressList(` ${FULL}, ${SHORT} `, 'ckb'), [LOCK, LOCK]);
+  assert.throws(() => parseAddressList(encodeAddress(LOCK, 'ckt'), 'ckb'), /is for prefix ckt, network uses ckb/);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  occupiedCapacity,
+  freeCapacity,
+  minimumCapacity,
+  validateScript,
+  validateCellOutput,
+  serializeScript,
+  serializeCellOutput,
+  blake2b,
+  ckbHash,
+  scriptHash,
+  cellOutputHash,
+  dataHash,
+} from '../src/ckb_capacity.js';
+
+const CKB = 100_000_000n;
+
+const SECP256K1 = '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8';
+const DAO_CODE_HASH = '0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e';
+const DAO_TYPE = { code_hash: DAO_CODE_HASH, hash_type: 'type', args: '0x' };
+const LOCK = { code_hash: SECP256K1, hash_type: 'type', args: '0x' + 'ab'.repeat(20) };
+const DEPOSIT_DATA = '0x0000000000000000';
+
+const u32 = (n) => Buffer.from(Uint32Array.of(n).buffer).toString('hex');
+
+test('occupied, free and minimum capacity of a DAO cell', () => {
+  const output = { capacity: '0x' + (1000n * CKB).toString(16), lock: LOCK, type: DAO_TYPE };
+  assert.equal(occupiedCapacity(output, DEPOSIT_DATA), 102n * CKB);
+  assert.equal(freeCapacity(output, DEPOSIT_DATA), 898n * CKB);
+  assert.equal(minimumCapacity({ lock: LOCK, type: DAO_TYPE, data: DEPOSIT_DATA }), 102n * CKB);
+  // a plain secp256k1 cell: 8 + 53
+  assert.equal(minimumCapacity({ lock: LOCK }), 61n * CKB);
+});
+
+test('every hash_type is accepted, anything else is rejected', () => {
+  for (const hashType of ['type', 'data', 'data1', 'data2']) validateScript({ ...LOCK, hash_type: hashType });
+  assert.throws(() => validateScript({ ...LOCK, hash_type: 'Type' }), /hash_type must be data\|type\|data1\|data2/);
+  assert.throws(() => validateScript({ ...LOCK, hash_type: 1 }), /hash_type/);
+  assert.throws(() => minimumCapacity({ lock: { ...LOCK, hash_type: 'data3' } }), /output\.lock\.hash_type/);
+});
+
+test('malformed hex is rejected', () => {
+  assert.throws(() => validateScript({ ...LOCK, code_hash: SECP256K1.slice(0, -2) }), /code_hash must be 32 bytes/);
+  assert.throws(() => validateScript({ ...LOCK, args: '0xabc' }), /args must be 0x-prefixed hex with an even number of digits/);
+  assert.throws(() => validateScript({ ...LOCK, args: 'abcd' }), /args/);
+  assert.throws(() => validateScript({ ...LOCK, args: '0xzz' }), /args/);
+  assert.throws(() => occupiedCapacity({ capacity: '0x0', lock: LOCK }, '0x123'), /data/);
+  assert.throws(() => validateCellOutput({ capacity: '0x01', lock: LOCK }), /capacity must be a 0x-prefixed uint64/);
+  assert.throws(() => validateCellOutput({ capacity: '0x' + '1'.repeat(17), lock: LOCK }), /capacity/);
+  assert.throws(() => validateCellOutput({ capacity: '0x0', lock: LOCK, type: { ...DAO_TYPE, code_hash: '0x' } }), /output\.type\.code_hash/);
+  assert.throws(() => occupiedCapacity({ capacity: '0x0' }, '0x'), /output\.lock is required/);
+});
+
+test('blake2b matches node on inputs around the block size', () => {
+  for (const n of [0, 1, 127, 128, 129, 256, 1000]) {
+    const bytes = crypto.randomBytes(n);
+    const expected = crypto.createHash('blake2b512').update(bytes).digest('hex');
+    assert.equal(Buffer.from(blake2b(new Uint8Array(bytes))).toString('hex'), expected, `${n} bytes`);
+  }
+});
+
+test('ckb hash of the empty input and of the mainnet DAO type script', () => {
+  assert.equal(ckbHash('0x'), '0x44f4c69744d5f8c55d642062949dcae49bc4e7ef43d388c5a12f42b5633d163e');
+  // the "type hash" of NervosDAO cells shown by explorers
+  assert.equal(scriptHash(DAO_TYPE), '0xcc77c4deac05d68ab5b26828f0bf4565a8d73113d7bb7e92b8362b8a74e58e58');
+});
+
+test('molecule serialization of Script and CellOutput', () => {
+  // table of 53 bytes: size, 3 offsets, code_hash, hash_type byte, empty args (length 0)
+  assert.equal(serializeScript(DAO_TYPE), '0x' + u32(53) + u32(16) + u32(48) + u32(49) + DAO_CODE_HASH.slice(2) + '01' + u32(0));
+  assert.equal(serializeScript({ ...DAO_TYPE, hash_type: 'data2' }).slice(2 + 2 * 48, 2 + 2 * 49), '04');
+
+  const lock = serializeScript(LOCK).slice(2);
+  assert.equal(lock.length / 2, 53 + 20);
+  const capacity = 1000n * CKB;
+  const output = { capacity: '0x' + capacity.toString(16), lock: LOCK, type: null };
+  const le64 = Buffer.from(BigUint64Array.of(capacity).buffer).toString('hex');
+  // no type script: the ScriptOpt field is empty, so its offset is the full size
+  assert.equal(serializeCellOutput(output), '0x' + u32(97) + u32(16) + u32(24) + u32(97) + le64 + lock);
+  assert.equal(cellOutputHash(output), ckbHash(serializeCellOutput(output)));
+
+  const withType = serializeCellOutput({ ...output, type: DAO_TYPE });
+  assert.equal(withType.slice(2, 10), u32(150));
+  assert.equal(withType.slice(-2 * 53), serializeScript(DAO_TYPE).slice(2));
+});
+
+test('data hash is zero for empty data', () => {
+  assert.equal(dataHash('0x'), '0x' + '00'.repeat(32));
+  assert.equal(dataHash(DEPOSIT_DATA), ckbHash(DEPOSIT_DATA));
+});
@@ -0,0 +1,88 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs, loadConfig, resolveEnv } from '../src/cli.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'secondary-issuance-cli-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const OPTIONS = [
+  { flag: 'concurrency', env: 'CONCURRENCY', type: 'int' },
+  { flag: 'limit', env: 'LIMIT', type: 'hex' },
+  { flag: 'genesis-hash', env: 'GENESIS_HASH', type: 'hash' },
+  { flag: 'end', env: 'END', type: 'block' },
+  { flag: 'resume', env: 'RESUME', type: 'bool' },
+  { flag: 'format', env: 'FORMAT', type: 'enum', values: ['text', 'json'] },
+  { flag: 'address', env: 'ADDRESS', type: 'list' },
+];
+
+function writeConfig(name, json) {
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, JSON.stringify(json));
+  return file;
+}
+
+test('flags: --name value, --name=value, bools and --no-<bool>', () => {
+  const { values, config, help } = parseArgs(['--concurrency', '8', '--limit=0x10', '--resume', '--config', 'c.json', '-h'], OPTIONS);
+  assert.deepEqual([...values], [['concurrency', '8'], ['limit', '0x10'], ['resume', '1']]);
+  assert.equal(config, 'c.json');
+  assert.equal(help, true);
+
+  assert.equal(parseArgs(['--no-resume'], OPTIONS).values.get('resume'), '0');
+  assert.equal(parseArgs(['--resume=false'], OPTIONS).values.get('resume'), 'false');
+  assert.throws(() => parseArgs(['--no-resume=1'], OPTIONS), /--no-resume takes no value/);
+  assert.throws(() => parseArgs(['--no-concurrency'], OPTIONS), /unknown option --no-concurrency/);
+  assert.throws(() => parseArgs(['--concurrency'], OPTIONS), /--concurrency needs a value/);
+  assert.throws(() => parseArgs(['--bogus', '1'], OPTIONS), /unknown option --bogus/);
+  assert.throws(() => parseArgs(['concurrency'], OPTIONS), /unexpected argument: concurrency/);
+});
+
+test('precedence: flag > config file > env', () => {
+  const file = writeConfig('precedence.json', { concurrency: 4, limit: 32, miner: { concurrency: 16 }, claimed: { limit: '0x1' } });
+  const config = loadConfig(file, 'miner');
+  assert.deepEqual([...config], [['concurrency', 16], ['limit', 32]]);
+
+  const env = { CONCURRENCY: '2', END: '100', RESUME: '' };
+  const flags = parseArgs(['--concurrency', '64'], OPTIONS).values;
+  // END only comes from env, which is left as it is
+  assert.deepEqual(resolveEnv(OPTIONS, flags, config, env), { CONCURRENCY: '64', LIMIT: '0x20' });
+  assert.deepEqual(resolveEnv(OPTIONS, new Map(), config, env), { CONCURRENCY: '16', LIMIT: '0x20' });
+  assert.deepEqual(resolveEnv(OPTIONS, new Map(), new Map(), env), {});
+  assert.deepEqual(
+    resolveEnv(OPTIONS, parseArgs(['--no-resume'], OPTIONS).values, new Map([['resume', true], ['address', ['a', 'b']]]), env),
+    { RESUME: '0', ADDRESS: 'a,b' },
+  );
+});
+
+test('bad int, hex, hash and enum values are rejected wherever they come from', () => {
+  const flag = (...argv) => resolveEnv(OPTIONS, parseArgs(argv, OPTIONS).values, new Map(), {});
+  assert.throws(() => flag('--concurrency', '-1'), /flag --concurrency: expected a non-negative integer, got -1/);
+  assert.throws(() => flag('--concurrency', '1.5'), /non-negative integer/);
+  assert.throws(() => flag('--limit', '0xzz'), /flag --limit: expected a 0x-hex or decimal number, got 0xzz/);
+  assert.equal(flag('--limit', '100').LIMIT, '0x64');
+  assert.throws(() => flag('--genesis-hash', '0x' + 'ab'.repeat(31)), /flag --genesis-hash: expected a 0x-prefixed 32-byte hash/);
+  assert.throws(() => flag('--genesis-hash', 'ab'.repeat(32)), /32-byte hash/);
+  assert.throws(() => flag('--end', 'tip'), /flag --end: expected a decimal or 0x-hex block number/);
+  assert.throws(() => flag('--resume=maybe'), /flag --resume: expected true\|false, got maybe/);
+  assert.throws(() => flag('--format', 'csv'), /flag --format: expected one of text\|json, got csv/);
+
+  assert.throws(() => resolveEnv(OPTIONS, new Map(), new Map([['concurrency', 'many']]), {}), /config --concurrency: expected a non-negative integer/);
+  // env is only checked, so a typo there fails before a scan starts
+  assert.throws(() => resolveEnv(OPTIONS, new Map(), new Map(), { LIMIT: 'ten' }), /env LIMIT for --limit: expected a 0x-hex/);
+});
+
+test('unknown config keys and unreadable config files are rejected', () => {
+  const typo = loadConfig(writeConfig('typo.json', { concurency: 4 }), 'miner');
+  assert.throws(() => resolveEnv(OPTIONS, new Map(), typo, {}), /config: unknown option "concurency"/);
+  const nested = loadConfig(writeConfig('nested.json', { miner: { bogus: 1 } }), 'miner');
+  assert.throws(() => resolveEnv(OPTIONS, new Map(), nested, {}), /config: unknown option "bogus"/);
+  // another command's section is not read
+  assert.deepEqual([...loadConfig(writeConfig('other.json', { claimed: { bogus: 1 } }), 'miner')], []);
+
+  const broken = path.join(tmp, 'broken.json');
+  fs.writeFileSync(broken, '{ "concurrency": ');
+  assert.throws(() => loadConfig(broken, 'miner'), /^Error: config .*broken\.json: /);
+  assert.throws(() => loadConfig(path.join(tmp, 'missing.json'), 'miner'), /config .*missing\.json: ENOENT/);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  packDao,
+  unpackDao,
+  daoCompensation,
+  calculateDaoCompensation,
+  calculateMaximumWithdraw,
+  calculateDaoEarliestSinceEpoch,
+} from '../src/dao.js';
+
+const CKB = 100_000_000n;
+
+// dao field of the mainnet genesis header (block 0)
+const MAINNET_GENESIS_DAO = '0x8874337e541ea12e0000c16ff286230029bfa3320800000000710b00c0fefe06';
+
+const SECP256K1 = '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8';
+const DAO_TYPE = { code_hash: '0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e', hash_type: 'type', args: '0x' };
+
+// secp256k1 lock + DAO type + 8 bytes of data: 102 CKB occupied
+const daoCell = (capacityCkb, data = '0x0000000000000000') => ({
+  output: {
+    capacity: '0x' + (BigInt(capacityCkb) * CKB).toString(16),
+    lock: { code_hash: SECP256K1, hash_type: 'type', args: '0x' + 'ab'.repeat(20) },
+    type: DAO_TYPE,
+  },
+  output_data: data,
+});
+
+const genesis = unpackDao(MAINNET_GENESIS_DAO);
+const headerWithAR = (AR) => ({ dao: packDao({ ...genesis, AR }) });
+const headerAtEpoch = (number, index, length) => ({
+  epoch: '0x' + ((BigInt(length) << 40n) | (BigInt(index) << 24n) | BigInt(number)).toString(16),
+});
+
+test('unpackDao reads C / AR / S / U of the mainnet genesis header', () => {
+  assert.deepEqual(genesis, {
+    C: 3_360_000_145_238_488_200n, // 33.6 billion CKB at launch
+    AR: 10n ** 16n,                // AR starts at 10^16
+    S: 35_209_330_473n,
+    U: 504_120_308_900_000_000n,
+  });
+});
+
+test('packDao is the inverse of unpackDao', () => {
+  assert.equal(packDao(genesis), MAINNET_GENESIS_DAO);
+  const x = { C: 1n, AR: 2n, S: 0n, U: (1n << 64n) - 1n };
+  assert.deepEqual(unpackDao(packDao(x)), x);
+});
+
+test('packDao rejects values outside u64', () => {
+  assert.throws(() => packDao({ ...genesis, S: -1n }), /S does not fit in u64/);
+  assert.throws(() => packDao({ ...genesis, U: 1n << 64n }), /U does not fit in u64/);
+});
+
+test('compensation of a 1000 CKB free deposit over a 10% AR increase', () => {
+  const cell = daoCell(1102);
+  const deposit = headerWithAR(10n ** 16n);
+  const withdraw = headerWithAR(11n * 10n ** 15n);
+  assert.equal(calculateDaoCompensation(cell, deposit, withdraw), 100n * CKB);
+  assert.equal(calculateMaximumWithdraw(cell, deposit, withdraw), 1202n * CKB);
+});
+
+test('maximum withdraw matches the node reference (ckb util/dao check_withdraw_calculation)', () => {
+  // 1,000,000 CKB output, default lock (41 bytes) and 10 bytes of data: 51 CKB occupied
+  const cell = {
+    output: {
+      capacity: '0x' + (1_000_000n * CKB).toString(16),
+      lock: { code_hash: '0x' + '00'.repeat(32), hash_type: 'data', args: '0x' },
+      type: null,
+    },
+    output_data: '0x' + '01'.repeat(10),
+  };
+  const deposit = headerWithAR(10_000_000_000_123_456n);
+  const withdraw = headerWithAR(10_000_000_001_123_456n);
+  assert.equal(calculateMaximumWithdraw(cell, deposit, withdraw), 100_000_000_009_999n);
+  assert.equal(calculateDaoCompensation(cell, deposit, withdraw), 9_999n);
+});
+
+test('compensation rounds down to the shannon', () => {
+  // 1 CKB free * (10^16 + 1) / 10^16 = 1.00000000000000001 CKB
+  assert.equal(daoCompensation(CKB, 10n ** 16n, 10n ** 16n + 1n), 0n);
+  assert.equal(daoCompensation(3n, 3n, 4n), 1n);
+  assert.equal(daoCompensation(1000n * CKB, 105n, 126n), 200n * CKB);
+});
+
+test('no compensation within the same block; the occupied part earns nothing', () => {
+  const h = headerWithAR(12n * 10n ** 15n);
+  assert.equal(calculateDaoCompensation(daoCell(1102), h, h), 0n);
+  assert.equal(calculateDaoCompensation(daoCell(102), headerWithAR(10n ** 16n), h), 0n);
+  assert.equal(calculateMaximumWithdraw(daoCell(102), headerWithAR(10n ** 16n), h), 102n * CKB);
+});
+
+test('invalid inputs are rejected', () => {
+  assert.throws(() => calculateDaoCompensation(daoCell(101), headerWithAR(1n), headerWithAR(2n)), /below its occupied/);
+  assert.throws(() => daoCompensation(CKB, 0n, 1n), /deposit AR must be positive/);
+});
+
+test('earliest withdraw epoch: one cycle', () => {
+  const deposit = headerAtEpoch(5, 100, 1800);
+  assert.deepEqual(calculateDaoEarliestSinceEpoch(deposit, headerAtEpoch(100, 0, 1800)), { number: 185, index: 100, length: 1800 });
+  // prepared exactly 180 epochs after the deposit: still one cycle
+  assert.deepEqual(calculateDaoEarliestSinceEpoch(deposit, headerAtEpoch(185, 100, 1800)), { number: 185, index: 100, length: 1800 });
+});
+
+test('earliest withdraw epoch: a started cycle counts in full', () => {
+  const deposit = headerAtEpoch(5, 100, 1800);
+  assert.deepEqual(calculateDaoEarliestSinceEpoch(deposit, headerAtEpoch(185, 101, 1800)), { number: 365, index: 100, length: 1800 });
+  assert.deepEqual(calculateDaoEarliestSinceEpoch(deposit, headerAtEpoch(400, 0, 1800)), { number: 545, index: 100, length: 1800 });
+});
+
+test('earliest withdraw epoch compares fractions across epoch lengths', () => {
+  const deposit = headerAtEpoch(5, 900, 1800); // half-way through epoch 5
+  assert.deepEqual(calculateDaoEarliestSinceEpoch(deposit, headerAtEpoch(185, 500, 1000)), { number: 185, index: 900, length: 1800 });
+  assert.deepEqual(calculateDaoEarliestSinceEpoch(deposit, headerAtEpoch(185, 501, 1000)), { number: 365, index: 900, length: 1800 });
+});
@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, EXPECTED, LOCKS } from './fixtures/dao_chain.js';
+
+// 2 objects per get_transactions page, so the scan goes through last_cursor
+const { node } = await setupMockNode(daoChain(), { WITHDRAW2_TX_LIMIT: '0x2' });
+const { computeWithdraw2Reward } = await import('../src/dao_claimed.js');
+const { encodeAddress } = await import('../src/address.js');
+
+after(() => node.close());
+
+test('claimed compensation of the whole chain', async () => {
+  const before = node.count('get_transactions');
+  const r = await computeWithdraw2Reward({ blockFrom: null, blockTo: null });
+  assert.equal(r.totalReward, EXPECTED.claimed);
+  assert.equal(r.withdraw2Txs, 1);
+  // 9 DAO objects (6 outputs, 3 inputs), 2 per page: five pages with objects, one empty page
+  assert.equal(r.seenObjects, 9);
+  assert.equal(node.count('get_transactions') - before, 6);
+});
+
+test('each tx spending DAO cells is fetched once, prepare txs are not refetched per input', async () => {
+  const before = node.count('get_transaction');
+  const r = await computeWithdraw2Reward({ blockFrom: null, blockTo: null });
+  assert.equal(r.totalReward, EXPECTED.claimed);
+  // alice's prepare, alice's withdraw, bob's prepare
+  assert.equal(r.uniqueTxs, 3);
+  assert.equal(node.count('get_transaction') - before, 3);
+});
+
+test('shards cover the whole chain and sum to the same totals', async () => {
+  const from = node.calls.length;
+  const r = await computeWithdraw2Reward({ shards: 4 });
+  assert.equal(r.shards, 4);
+  assert.equal(r.totalReward, EXPECTED.claimed);
+  assert.equal(r.withdraw2Txs, 1);
+  assert.equal(r.seenObjects, 9);
+  const ranges = new Set(node.calls.slice(from)
+    .filter(c => c.method === 'get_transactions')
+    .map(c => c.params[0].filter.block_range.join('-')));
+  assert.deepEqual([...ranges].sort(), ['0x0-0xb', '0x16-0x21', '0x21-0x29', '0xb-0x16']);
+});
+
+test('block range [from, to) is passed as filter.block_range', async () => {
+  const without = await computeWithdraw2Reward({ blockFrom: '0x0', blockTo: '0x1e' });
+  assert.equal(without.totalReward, 0n);
+  // the prepare cell comes from before the range: resolved through get_transaction
+  const withIt = await computeWithdraw2Reward({ blockFrom: '0x1e', blockTo: '0x1f' });
+  assert.equal(withIt.totalReward, EXPECTED.claimed);
+
+  const last = node.calls.filter(c => c.method === 'get_transactions').at(-1);
+  assert.deepEqual(last.params[0].filter.block_range, ['0x1e', '0x1f']);
+});
+
+test('address filter counts only that holder', async () => {
+  const alice = await computeWithdraw2Reward({ addresses: [encodeAddress(LOCKS.alice, 'ckt')] });
+  assert.equal(alice.totalReward, EXPECTED.alice.claimed);
+  const bob = await computeWithdraw2Reward({ addresses: [encodeAddress(LOCKS.bob, 'ckt')] });
+  assert.equal(bob.totalReward, 0n);
+});
@@ -0,0 +1,22 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, EXPECTED } from './fixtures/dao_chain.js';
+
+// the AR / prepare-cell LRUs are sized at import time: one entry, shared by every shard, so each
+// lookup evicts what the previous one (or another shard) put there
+const { node } = await setupMockNode(daoChain(), { WITHDRAW2_TX_LIMIT: '0x2', WITHDRAW2_CACHE_SIZE: '1' });
+const { computeWithdraw2Reward } = await import('../src/dao_claimed.js');
+
+after(() => node.close());
+
+test('a one-entry cache shared by the shards does not change the total', async () => {
+  // 3 shards: alice's prepare (block 26) and her withdraw (block 30) land in different ones
+  const sharded = await computeWithdraw2Reward({ shards: 3 });
+  assert.equal(sharded.shards, 3);
+  assert.equal(sharded.totalReward, EXPECTED.claimed);
+  assert.equal(sharded.withdraw2Txs, 1);
+
+  const whole = await computeWithdraw2Reward({ shards: 1 });
+  assert.equal(whole.totalReward, EXPECTED.claimed);
+});
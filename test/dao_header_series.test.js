@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, buildHeaders, DAY_MS, GENESIS_TIMESTAMP, TIP } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain());
+const { sampleDaoHeaders, daoBalanceAt } = await import('../src/dao_header_series.js');
+const { buildDaoLifecycle } = await import('../src/dao_lifecycle.js');
+const { headerCache } = await import('../src/header_cache.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+
+async function sample(opts) {
+  const rows = [];
+  await sampleDaoHeaders({ from: 0, to: TIP, onRow: (r) => rows.push(r), ...opts });
+  return rows;
+}
+
+test('block, epoch and day granularities pick the expected blocks', async () => {
+  assert.deepEqual((await sample({ every: 'block', step: 7 })).map(r => r.block), [0n, 7n, 14n, 21n, 28n, 35n]);
+  assert.deepEqual((await sample({ every: 'epoch', from: 3 })).map(r => r.block), [3n, 10n, 20n, 30n, 40n]);
+  // one block a day: every block starts a day
+  const days = await sample({ every: 'day' });
+  assert.equal(days.length, TIP + 1);
+  assert.deepEqual(days.map(r => r.block), days.map((_, i) => BigInt(i)));
+});
+
+test('day samples bracket every midnight when days have uneven block counts', async () => {
+  // days of 2, 2, 9, 6, 4, 3, 5 and 10 blocks from the first midnight on: the gallop has to double
+  // its step to reach the start of the 9-block day at 13
+  const midnight = Math.ceil(GENESIS_TIMESTAMP / DAY_MS) * DAY_MS;
+  const times = [2, 2, 9, 6, 4, 3, 5, 10].flatMap((blocks, day) => (
+    Array.from({ length: blocks }, (_, j) => midnight + day * DAY_MS + Math.floor(((j + 0.5) * DAY_MS) / blocks))
+  ));
+  // block 19 is 10 s into day 4, block 20 goes back to 10 s before it
+  times[19] = midnight + 4 * DAY_MS + 10_000;
+  times[20] = midnight + 4 * DAY_MS - 10_000;
+  const headers = buildHeaders().map((h, n) => ({ ...h, timestamp: '0x' + times[n].toString(16) }));
+  node.fork(0, { ...daoChain(), headers });
+  headerCache.invalidateFrom(0);
+  try {
+    const days = await sample({ every: 'day' });
+    assert.deepEqual(days.map(r => r.block), [0n, 2n, 4n, 13n, 19n, 23n, 26n, 31n]);
+  } finally {
+    node.fork(0, daoChain());
+    headerCache.invalidateFrom(0);
+  }
+});
+
+test('each sample carries the dao field, U / C and the annualized AR growth', async () => {
+  const [b0, b1] = await sample({ every: 'block', to: 1 });
+  // the fixture keeps U = C / 4 and grows AR by 1% of its genesis value a day
+  assert.equal(b1.u_over_c, 0.25);
+  assert.equal(b1.AR, 101n * 10n ** 14n);
+  assert.equal(b0.dao_yield_pct, null);
+  assert.equal(b1.dao_yield_pct, Number((Math.expm1(Math.log(1.01) * 365.25) * 100).toFixed(6)));
+  assert.equal(b1.dao_deposits, null);
+});
+
+test('DAO balance at each sample follows deposits and withdrawals', async () => {
+  const { records } = await buildDaoLifecycle();
+  const rows = await sample({ every: 'block', step: 1, balanceAt: daoBalanceAt(records) });
+  const at = (n) => rows[n].dao_deposits;
+  assert.equal(at(4), 0n);
+  assert.equal(at(5), (1102n + 2202n) * CKB); // alice and bob deposit
+  assert.equal(at(28), (1102n + 2202n + 5602n + 702n) * CKB); // alice is preparing, still in the DAO
+  assert.equal(at(30), (2202n + 5602n + 702n) * CKB); // alice withdraws
+  assert.equal(rows[30].deposit_ratio, Number((Number(at(30)) / Number(rows[30].C)).toFixed(10)));
+});
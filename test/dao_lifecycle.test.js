@@ -0,0 +1,99 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, flaggedDaoChain, EXPECTED, TX } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain(), { LIFECYCLE_TX_LIMIT: '0x3' });
+const { buildDaoLifecycle, summarizeLifecycle, main } = await import('../src/dao_lifecycle.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+
+test('one record per deposit with its state and compensation', async () => {
+  const { records, txCount } = await buildDaoLifecycle();
+  assert.equal(txCount, 6);
+  const byDeposit = new Map(records.map(r => [`${r.deposit_tx}:${r.deposit_index}`, r]));
+  assert.equal(records.length, 4);
+
+  const aliceFirst = byDeposit.get(`${TX.DEPOSIT_AB}:0`);
+  assert.equal(aliceFirst.state, 'withdrawn');
+  assert.equal(aliceFirst.prepare_tx, TX.PREPARE_A);
+  assert.equal(aliceFirst.withdraw_tx, TX.WITHDRAW_A);
+  assert.equal(aliceFirst.compensation, 200n * CKB);
+  assert.equal(aliceFirst.lock_epochs, 2.1);
+
+  const bob = byDeposit.get(`${TX.DEPOSIT_AB}:2`);
+  assert.equal(bob.state, 'preparing');
+  assert.equal(bob.compensation, 560n * CKB);
+
+  assert.equal(byDeposit.get(`${TX.DEPOSIT_C}:0`).state, 'deposited');
+  assert.equal(byDeposit.get(`${TX.DEPOSIT_C}:0`).compensation, 1500n * CKB);
+  assert.ok(records.every(r => r.flags === ''));
+  assert.equal(summarizeLifecycle(records).flagged, 0);
+});
+
+test('summary matches the claimed / unclaimed scans', async () => {
+  const { records } = await buildDaoLifecycle();
+  const s = summarizeLifecycle(records);
+  assert.equal(s.claimed, EXPECTED.claimed);
+  assert.equal(s.unclaimedDeposit, EXPECTED.atTip.unclaimedDeposit);
+  assert.equal(s.unclaimedPrepare, EXPECTED.atTip.unclaimedPrepare);
+});
+
+// the record carrying `flag` on the flaggedDaoChain(flag) variant, and the summary
+async function flagged(flag) {
+  node.fork(0, flaggedDaoChain(flag));
+  try {
+    const { records } = await buildDaoLifecycle();
+    const hit = records.filter(r => r.flags !== '');
+    assert.equal(hit.length, 1, flag);
+    assert.equal(hit[0].flags, flag);
+    const { result } = await main();
+    assert.equal(result.flagged, 1);
+    assert.deepEqual(result.issues.map(r => r.flags), [flag]);
+    return { record: hit[0], summary: summarizeLifecycle(records) };
+  } finally {
+    node.fork(0, daoChain());
+  }
+}
+
+test('a prepare cell with no known deposit is flagged', async () => {
+  const { record, summary } = await flagged('prepare_without_deposit');
+  assert.equal(record.deposit_tx, TX.FUNDING);
+  assert.equal(record.deposit_block, null);
+  assert.equal(record.recorded_deposit_block, 7n);
+  assert.equal(record.state, 'preparing');
+  assert.equal(summary.flagged, 1);
+  assert.equal(summary.count.preparing, 2);
+});
+
+test('a prepare cell recording another deposit block is flagged', async () => {
+  const { record, summary } = await flagged('deposit_block_mismatch');
+  assert.equal(record.prepare_tx, TX.PREPARE_B);
+  assert.equal(record.deposit_block, 5n);
+  assert.equal(record.recorded_deposit_block, 6n);
+  // paid from the block the prepare cell records: 2100 * 133/106 - 2100
+  assert.equal(record.compensation, (2100n * CKB * 133n) / 106n - 2100n * CKB);
+  assert.equal(summary.flagged, 1);
+});
+
+test('a prepare cell whose capacity differs from its deposit is flagged', async () => {
+  const { record, summary } = await flagged('capacity_mismatch');
+  assert.equal(record.prepare_tx, TX.PREPARE_B);
+  assert.equal(record.capacity, 2202n * CKB);
+  assert.equal(record.free_capacity, 2000n * CKB);
+  assert.equal(summary.flagged, 1);
+});
+
+test('a deposit spent without a prepare step is flagged and closed', async () => {
+  const { record, summary } = await flagged('deposit_spent_without_prepare');
+  assert.equal(record.deposit_tx, TX.DEPOSIT_C);
+  assert.equal(record.withdraw_tx, TX.STRAY);
+  assert.equal(record.state, 'withdrawn');
+  assert.equal(record.compensation, 0n);
+  assert.equal(summary.flagged, 1);
+  // carol no longer counts as deposited, and was paid nothing
+  assert.equal(summary.unclaimedDeposit, EXPECTED.atTip.unclaimedDeposit - 1500n * CKB);
+  assert.equal(summary.claimed, EXPECTED.claimed);
+});
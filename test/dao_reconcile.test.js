@@ -0,0 +1,123 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, buildHeaders, TIP, TX, SECONDARY_EPOCH_REWARD, EPOCH_LENGTH } from './fixtures/dao_chain.js';
+
+// AR grows by s / C as on a real node, so the header-derived share is meaningful
+const { node } = await setupMockNode(daoChain({ issuanceAR: true }));
+const { computeReconciliation } = await import('../src/dao_reconcile.js');
+const { headerCache } = await import('../src/header_cache.js');
+const { unpackDao, daoCompensation } = await import('../src/dao.js');
+const { scanMinerReward } = await import('../src/miner_reward.js');
+const { buildDaoLifecycle } = await import('../src/dao_lifecycle.js');
+const { accrualCells } = await import('../src/dao_accrual.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+const s = SECONDARY_EPOCH_REWARD / BigInt(EPOCH_LENGTH);
+const dao = buildHeaders(TIP, { issuanceAR: true }).map(h => unpackDao(h.dao));
+const comp = (freeCkb, from, to) => daoCompensation(freeCkb * CKB, dao[from].AR, dao[to].AR);
+
+// free / AR_from * sum of s * AR_{i-1} / C_{i-1} over (from, to], in 10^-12 shannons
+function share(freeCkb, from, to) {
+  let sum = 0n;
+  for (let i = from + 1; i <= to; i++) sum += (freeCkb * CKB * s * dao[i - 1].AR * 10n ** 12n) / (dao[from].AR * dao[i - 1].C);
+  return sum;
+}
+const shannons = (scaled) => (scaled + 5n * 10n ** 11n) / 10n ** 12n;
+// the compensation before the floor, in 10^-12 shannons
+const exact = (freeCkb, from, to) => (freeCkb * CKB * (dao[to].AR - dao[from].AR) * 10n ** 12n) / dao[from].AR;
+
+test('claimed and unclaimed add up to the DAO share implied by s, C and AR of every header', async () => {
+  const r = await computeReconciliation();
+  assert.equal(r.cells, 4);
+  // alice 1000 CKB 5 -> 26; carol 5500 CKB 10 -> 40, alice 600 CKB 20 -> 40; bob 2100 CKB 5 -> 33
+  assert.equal(r.buckets.claimed.scanned, comp(1000n, 5, 26));
+  assert.equal(r.buckets.unclaimed_deposit.scanned, comp(5500n, 10, 40) + comp(600n, 20, 40));
+  assert.equal(r.buckets.unclaimed_prepare.scanned, comp(2100n, 5, 33));
+  assert.equal(r.buckets.claimed.implied, shannons(share(1000n, 5, 26)));
+  assert.equal(r.buckets.unclaimed_deposit.implied, shannons(share(5500n, 10, 40) + share(600n, 20, 40)));
+  assert.equal(r.buckets.unclaimed_prepare.implied, shannons(share(2100n, 5, 33)));
+  // the node floors every AR step and the formula floors every cell: the scans come out a little lower
+  assert.ok(r.residual <= 0n && -r.residual <= r.tolerance);
+  assert.equal(r.tolerance, 4n + r.arBound);
+  assert.equal(r.withinTolerance, true);
+  assert.equal(r.arMismatches, 0);
+  assert.deepEqual(r.contributors, []);
+  assert.equal(r.unclaimedWithinS, true);
+  assert.equal(r.treasury, r.S - r.unclaimedTotal);
+});
+
+test('the per-epoch DAO share of the miner table adds up to the implied share', async () => {
+  const r = await computeReconciliation();
+  const { records } = await buildDaoLifecycle();
+  const miner = await scanMinerReward({ start: 1, end: TIP, checkpointEvery: 0, daoCells: accrualCells(records, BigInt(TIP)) });
+  // rounded once per epoch there, once per bucket here
+  const diff = miner.totals.dao - r.implied;
+  assert.ok(diff >= -5n && diff <= 5n, `${diff}`);
+  assert.equal(miner.totals.treasury, miner.totals.secondary - miner.totals.miner - miner.totals.dao);
+});
+
+test('every source is read as of the pinned tip while the indexer moves on', async () => {
+  node.setTip(28);
+  // the chain grows back to 40 right after the reconciliation reads the tip
+  node.rewrite('get_indexer_tip', (tip) => {
+    node.setTip(40);
+    node.rewrite('get_indexer_tip', null);
+    return tip;
+  });
+  try {
+    const r = await computeReconciliation();
+    assert.equal(r.snapshot.block_number, '0x1c');
+    assert.equal(r.buckets.claimed.scanned, 0n);
+    assert.equal(r.buckets.unclaimed_deposit.scanned, comp(2100n, 5, 28) + comp(5500n, 10, 28) + comp(600n, 20, 28));
+    assert.equal(r.buckets.unclaimed_prepare.scanned, comp(1000n, 5, 26));
+    assert.equal(r.withinTolerance, true);
+  } finally {
+    node.setTip(40);
+  }
+});
+
+test('a cell the indexer loses shows up as the top contributor', async () => {
+  node.rewrite('get_cells', (res) => ({ ...res, objects: res.objects.filter(c => c.out_point.tx_hash !== TX.DEPOSIT_C) }));
+  try {
+    const r = await computeReconciliation();
+    const carol = comp(5500n, 10, 40);
+    assert.ok(r.buckets.unclaimed_deposit.residual <= -carol);
+    assert.equal(r.withinTolerance, false);
+    assert.equal(r.contributors.length, 1);
+    assert.deepEqual(
+      { cell: r.contributors[0].cell, gap: r.contributors[0].gap, scanned: r.contributors[0].scanned, source: r.contributors[0].source },
+      { cell: `${TX.DEPOSIT_C}:0`, gap: -shannons(exact(5500n, 10, 40)), scanned: null, source: 'lifecycle' },
+    );
+  } finally {
+    node.rewrite('get_cells', null);
+  }
+});
+
+test('an AR jump the issuance does not account for is caught at its block', async () => {
+  // every header from 35 on carries 1% more AR than s / C gave it
+  const bump = (h) => {
+    if (!h || BigInt(h.number) < 35n) return h;
+    const d = Buffer.from(h.dao.slice(2), 'hex');
+    d.writeBigUInt64LE((d.readBigUInt64LE(8) * 101n) / 100n, 8);
+    return { ...h, dao: '0x' + d.toString('hex') };
+  };
+  node.rewrite('get_header_by_number', bump);
+  node.rewrite('get_header', bump);
+  headerCache.invalidateFrom(35);
+  try {
+    const r = await computeReconciliation();
+    assert.equal(r.withinTolerance, false);
+    // the unclaimed cells are valued at the inflated tip AR, the implied share barely moves
+    assert.ok(r.residual > 10n * r.tolerance);
+    assert.equal(r.arBlocks[0].block, 35n);
+    assert.ok(r.arBlocks[0].gap > 0n);
+    assert.ok(r.arMismatches >= 1);
+  } finally {
+    node.rewrite('get_header_by_number', null);
+    node.rewrite('get_header', null);
+    headerCache.invalidateFrom(35);
+  }
+});
@@ -0,0 +1,113 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, EXPECTED, LOCKS } from './fixtures/dao_chain.js';
+
+// 2 cells per get_cells page, so every scan goes through last_cursor; one header per batch call,
+// three in flight, so the pipeline interleaves as much as it can
+const { node } = await setupMockNode(daoChain(), {
+  LIMIT: '0x2',
+  UNCLAIMED_HEADER_BATCH: '1',
+  UNCLAIMED_CONCURRENCY: '3',
+  UNCLAIMED_READ_AHEAD: '3',
+  UNCLAIMED_PROGRESS_EVERY: '1',
+});
+const { computeUnclaimed } = await import('../src/dao_unclaimed.js');
+const { encodeAddress } = await import('../src/address.js');
+const { takeSnapshot, checkSnapshot } = await import('../src/snapshot.js');
+
+after(() => node.close());
+
+test('unclaimed compensation at the indexer tip', async () => {
+  const before = node.count('get_cells');
+  const r = await computeUnclaimed();
+  assert.equal(r.network, 'devnet');
+  assert.equal(r.tip.heightDec, '40');
+  assert.equal(r.tip.historical, false);
+  assert.equal(r.unclaimedDeposit, EXPECTED.atTip.unclaimedDeposit);
+  assert.equal(r.unclaimedPrepare, EXPECTED.atTip.unclaimedPrepare);
+  assert.equal(r.unclaimedTotal, EXPECTED.atTip.unclaimedDeposit + EXPECTED.atTip.unclaimedPrepare);
+  assert.equal(r.cntDeposit, EXPECTED.atTip.depositCells);
+  assert.equal(r.cntPrepare, EXPECTED.atTip.prepareCells);
+  assert.equal(r.totalAddrCount, EXPECTED.atTip.holders);
+  // 3 live cells, 2 per page: two pages with objects, one empty page
+  assert.equal(node.count('get_cells') - before, 3);
+  // carol deposited at 10, alice at 20: (30 + 20) / 2 days
+  assert.equal(r.avgDepositAgeDays, 25);
+});
+
+test('unclaimed compensation as of an earlier block', async () => {
+  const r = await computeUnclaimed({ atBlock: 28n });
+  assert.equal(r.tip.historical, true);
+  assert.equal(r.unclaimedDeposit, EXPECTED.atBlock28.unclaimedDeposit);
+  assert.equal(r.unclaimedPrepare, EXPECTED.atBlock28.unclaimedPrepare);
+  assert.equal(r.cntDeposit, EXPECTED.atBlock28.depositCells);
+  assert.equal(r.cntPrepare, EXPECTED.atBlock28.prepareCells);
+});
+
+test('address filter keeps only that holder', async () => {
+  const alice = encodeAddress(LOCKS.alice, 'ckt');
+  const r = await computeUnclaimed({ addresses: [alice] });
+  assert.equal(r.unclaimedDeposit, EXPECTED.alice.unclaimedDeposit);
+  assert.equal(r.unclaimedPrepare, EXPECTED.alice.unclaimedPrepare);
+  assert.deepEqual(r.holders.map(h => h.address), [alice]);
+});
+
+test('mainnet addresses are rejected on a devnet node', async () => {
+  await assert.rejects(computeUnclaimed({ addresses: [encodeAddress(LOCKS.alice, 'ckb')] }), /prefix/);
+});
+
+test('AT_BLOCK above the indexer tip is rejected', async () => {
+  await assert.rejects(computeUnclaimed({ atBlock: 41n }), /outside/);
+});
+
+test('a snapshot below the indexer tip pins the live cells to it', async () => {
+  // bob's and alice's later prepare/withdraw txs are on chain but after the snapshot
+  const snapshot = await takeSnapshot(28);
+  const r = await computeUnclaimed({ snapshot });
+  assert.equal(r.tip.heightDec, '28');
+  assert.equal(r.tip.historical, false);
+  assert.equal(r.unclaimedDeposit, EXPECTED.atBlock28.unclaimedDeposit);
+  assert.equal(r.unclaimedPrepare, EXPECTED.atBlock28.unclaimedPrepare);
+  assert.equal(r.cntDeposit, EXPECTED.atBlock28.depositCells);
+  assert.equal(r.cntPrepare, EXPECTED.atBlock28.prepareCells);
+});
+
+test('SNAPSHOT_BLOCK above the indexer tip is rejected', async () => {
+  await assert.rejects(takeSnapshot(41), /outside/);
+});
+
+test('a snapshot block reorged out by the end of the run is reported', async () => {
+  const snapshot = await takeSnapshot();
+  await checkSnapshot(snapshot);
+  node.rewrite('get_header_by_number', (h, [n]) => (n === snapshot.block_number ? { ...h, hash: '0x' + 'ee'.repeat(32) } : h));
+  try {
+    await assert.rejects(checkSnapshot(snapshot), /snapshot block 40 .* was reorged out/);
+  } finally {
+    node.rewrite('get_header_by_number', null);
+  }
+});
+
+test('progress lines report the share of the DAO capacity scanned', async () => {
+  const lines = [];
+  const log = console.log;
+  console.log = (...a) => lines.push(a.join(' '));
+  try {
+    await computeUnclaimed();
+  } finally {
+    console.log = log;
+  }
+  const progress = lines.filter(l => l.startsWith('Processed DAO cells:'));
+  // two pages in creation order: carol's and alice's deposits (6304 of 8506 CKB), then bob's prepare cell
+  assert.equal(progress.length, 2);
+  assert.match(progress[0], /^Processed DAO cells: 2 \(pages=1\) \(74\.11% of capacity\) \| \d+ cells\/s \| ETA \d\d:\d\d:\d\d$/);
+  assert.match(progress[1], /^Processed DAO cells: 3 \(pages=2\) \(100\.00% of capacity\)/);
+});
+
+test('a page that fails while the next one is read ahead is retried', async () => {
+  node.fail('get_cells', { times: 1, kind: 'http' });
+  node.fail('get_header_by_number', { times: 1, kind: 'drop' });
+  const r = await computeUnclaimed();
+  assert.equal(r.unclaimedDeposit, EXPECTED.atTip.unclaimedDeposit);
+  assert.equal(r.unclaimedPrepare, EXPECTED.atTip.unclaimedPrepare);
+});
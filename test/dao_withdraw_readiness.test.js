@@ -0,0 +1,64 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, DAY_MS, GENESIS_TIMESTAMP, TX } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain());
+const { computeWithdrawReadiness } = await import('../src/dao_withdraw_readiness.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+
+// tip 40 = epoch 4 (0/10); one block a day, so an epoch takes 10 days
+test('prepare cells get their earliest withdraw epoch and an unlock date', async () => {
+  const r = await computeWithdrawReadiness({ boundaryEpochs: 6 });
+  assert.deepEqual(r.tipEpoch, { number: 4, index: 0, length: 10 });
+  assert.equal(r.epochMs, 10 * DAY_MS);
+
+  // bob: deposited at 0 (5/10), prepared at 3 (3/10) -> one cycle -> 180 (5/10)
+  assert.equal(r.prepares.length, 1);
+  const bob = r.prepares[0];
+  assert.equal(bob.out_point, `${TX.PREPARE_B}:0`);
+  assert.equal(bob.deposit_epoch, '0 (5/10)');
+  assert.equal(bob.earliest_epoch, '180 (5/10)');
+  assert.equal(bob.status, 'locked');
+  assert.equal(bob.compensation, 560n * CKB);
+  assert.equal(bob.withdrawable, 2762n * CKB);
+  assert.equal(bob.epochs_left, 176.5);
+  assert.equal(bob.eta, new Date(GENESIS_TIMESTAMP + (40 + 1765) * DAY_MS).toISOString());
+
+  assert.equal(r.ready.cells, 0);
+  assert.deepEqual(r.byEpoch, [{ epoch: 180, cells: 1, capacity: 2202n * CKB, compensation: 560n * CKB, withdrawable: 2762n * CKB }]);
+  assert.deepEqual(r.byDay.map(b => b.day), [bob.eta.slice(0, 10)]);
+  assert.equal(r.deposits, 2);
+  assert.deepEqual(r.nearBoundary, []);
+});
+
+test('deposits whose cycle ends within the boundary are listed', async () => {
+  // carol deposited at 1 (0/10): her first cycle ends at 181 (0/10), 177 epochs after the tip;
+  // alice's block-20 deposit ends at 182 (0/10)
+  const r = await computeWithdrawReadiness({ boundaryEpochs: 177 });
+  assert.equal(r.nearBoundary.length, 1);
+  const carol = r.nearBoundary[0];
+  assert.equal(carol.out_point, `${TX.DEPOSIT_C}:0`);
+  assert.equal(carol.cycle, 1);
+  assert.equal(carol.cycle_end_epoch, '181 (0/10)');
+  assert.equal(carol.epochs_left, 177);
+  assert.equal(carol.compensation, 1500n * CKB);
+});
+
+test('a deposit made in the snapshot block is forecast a full first cycle', async () => {
+  // tip 10 = epoch 1 (0/10), the block carol deposits in
+  node.setTip(10);
+  try {
+    const r = await computeWithdrawReadiness({ boundaryEpochs: 180 });
+    const carol = r.nearBoundary.find(d => d.out_point === `${TX.DEPOSIT_C}:0`);
+    assert.equal(carol.cycle, 1);
+    assert.equal(carol.cycle_end_epoch, '181 (0/10)');
+    assert.equal(carol.epochs_left, 180);
+    assert.equal(carol.compensation, 0n);
+  } finally {
+    node.setTip(40);
+  }
+});
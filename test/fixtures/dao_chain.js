@@ -0,0 +1,211 @@
+// test/fixtures/dao_chain.js
+// Synthetic devnet chain for the end-to-end tests: 40 blocks, epochs of 10 blocks.
+//
+// Issuance per block: secondary s = 1 CKB, primary 2 CKB, so C grows by 3 CKB a block.
+// U is kept at C / 4, so every block pays the miner exactly s / 4 = 0.25 CKB.
+// S starts at 10,000 CKB, grows by s - miner, and shrinks by the compensation withdrawn in a block.
+// AR is set by hand, AR_n = 10^16 * (100 + n) / 100, so every compensation below is exact.
+// Timestamps are one day apart.
+//
+// daoChain({ issuanceAR: true }) instead grows AR the way the node does, AR_n = AR_{n-1} +
+// floor(AR_{n-1} * s / C_{n-1}), from a genesis C of 20,000 CKB (so the compensation is not
+// negligible). The figures in EXPECTED don't hold for that chain.
+//
+// Every DAO cell uses a secp256k1 lock with 20-byte args, so it occupies 102 CKB.
+//
+// DAO history:
+//   block  5  tx DEPOSIT_AB  alice deposits free 1000 CKB (output 0), bob free 2100 CKB (output 2)
+//   block 10  tx DEPOSIT_C   carol deposits free 5500 CKB
+//   block 20  tx DEPOSIT_A2  alice deposits free 600 CKB
+//   block 26  tx PREPARE_A   alice prepares her block-5 deposit: 1000 * 126/105 - 1000 = 200 CKB
+//   block 30  tx WITHDRAW_A  alice withdraws it: 200 CKB claimed
+//   block 33  tx PREPARE_B   bob prepares his block-5 deposit: 2100 * 133/105 - 2100 = 560 CKB
+//
+// flaggedDaoChain(flag) breaks it in one of the ways dao_lifecycle.js flags, see FLAGGED.
+//
+// reorgedDaoChain() forks it at block 31: PREPARE_B never happens, at 33 carol prepares her
+// deposit instead (PREPARE_C), see EXPECTED_REORG.
+
+const CKB = 100_000_000n;
+
+export const EPOCH_LENGTH = 10;
+export const TIP = 40;
+export const SECONDARY_EPOCH_REWARD = 10n * CKB;
+export const INITIAL_PRIMARY_EPOCH_REWARD = 20n * CKB;
+export const HALVING_INTERVAL = 8760;
+export const DAO_TYPE_HASH = '0x82d76d1b75fe2fd9a27dfbaa65a039221a380d76c926f378d3f81cf3e7e13f2e';
+export const GENESIS_TIMESTAMP = 1_700_000_000_000;
+export const DAY_MS = 86_400_000;
+
+const SECP256K1 = '0x9bd7e06f3ecf4be0f2fcd2188b23f1b9fcc88e5d4b65a8637b17723bbda3cce8';
+export const DAO_TYPE = { code_hash: DAO_TYPE_HASH, hash_type: 'type', args: '0x' };
+
+const lock = (byte) => ({ code_hash: SECP256K1, hash_type: 'type', args: '0x' + byte.repeat(20) });
+export const LOCKS = { alice: lock('aa'), bob: lock('bb'), carol: lock('cc') };
+
+const hex = (n) => '0x' + BigInt(n).toString(16);
+const hash32 = (tag, n) => '0x' + tag + n.toString(16).padStart(64 - tag.length, '0');
+const u64le = (n) => {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64LE(BigInt(n));
+  return b.toString('hex');
+};
+
+export const DEPOSIT_DATA = '0x0000000000000000';
+const prepareData = (depositBlock) => '0x' + u64le(depositBlock);
+const daoCell = (who, freeCkb) => ({ capacity: hex((BigInt(freeCkb) + 102n) * CKB), lock: LOCKS[who], type: DAO_TYPE });
+const plainCell = (who, ckb) => ({ capacity: hex(BigInt(ckb) * CKB), lock: LOCKS[who], type: null });
+const input = (txHash, index) => ({ previous_output: { tx_hash: txHash, index: hex(index) }, since: '0x0' });
+
+export const TX = {
+  FUNDING: hash32('f0', 1),
+  DEPOSIT_AB: hash32('d0', 1),
+  DEPOSIT_C: hash32('d0', 2),
+  DEPOSIT_A2: hash32('d0', 3),
+  PREPARE_A: hash32('e0', 1),
+  WITHDRAW_A: hash32('e0', 2),
+  PREPARE_B: hash32('e0', 3),
+  PREPARE_C: hash32('e0', 4),
+  STRAY: hash32('e0', 5),
+};
+
+// { hash, block, inputs, outputs, outputs_data }, in chain order
+export const TRANSACTIONS = [
+  {
+    hash: TX.DEPOSIT_AB,
+    block: 5,
+    inputs: [input(TX.FUNDING, 0)],
+    outputs: [daoCell('alice', 1000), plainCell('alice', 500), daoCell('bob', 2100)],
+    outputs_data: [DEPOSIT_DATA, '0x', DEPOSIT_DATA],
+  },
+  { hash: TX.DEPOSIT_C, block: 10, inputs: [input(TX.FUNDING, 1)], outputs: [daoCell('carol', 5500)], outputs_data: [DEPOSIT_DATA] },
+  { hash: TX.DEPOSIT_A2, block: 20, inputs: [input(TX.DEPOSIT_AB, 1)], outputs: [daoCell('alice', 600)], outputs_data: [DEPOSIT_DATA] },
+  { hash: TX.PREPARE_A, block: 26, inputs: [input(TX.DEPOSIT_AB, 0)], outputs: [daoCell('alice', 1000)], outputs_data: [prepareData(5)] },
+  { hash: TX.WITHDRAW_A, block: 30, inputs: [input(TX.PREPARE_A, 0)], outputs: [plainCell('alice', 1302)], outputs_data: ['0x'], claim: { free: 1000n * CKB, deposit: 5, prepare: 26 } },
+  { hash: TX.PREPARE_B, block: 33, inputs: [input(TX.DEPOSIT_AB, 2)], outputs: [daoCell('bob', 2100)], outputs_data: [prepareData(5)] },
+];
+
+// hand-computed figures of the history above, in shannons
+export const EXPECTED = {
+  minerPerBlock: CKB / 4n,
+  minerTotal: 10n * CKB,                       // 40 blocks * 0.25 CKB
+  secondaryTotal: 40n * CKB,                   // 40 blocks * 1 CKB
+  claimed: 200n * CKB,                         // alice, withdrawn at 30
+  atTip: {
+    unclaimedDeposit: 1600n * CKB,             // carol 5500 * 140/110 - 5500 = 1500, alice 600 * 140/120 - 600 = 100
+    unclaimedPrepare: 560n * CKB,              // bob
+    depositCells: 2,
+    prepareCells: 1,
+    holders: 3,
+  },
+  atBlock28: {
+    unclaimedDeposit: 1400n * CKB,             // bob 2100 * 128/105 - 2100 = 460, carol 900, alice 600 * 128/120 - 600 = 40
+    unclaimedPrepare: 200n * CKB,              // alice, prepared at 26
+    depositCells: 3,
+    prepareCells: 1,
+  },
+  alice: { unclaimedDeposit: 100n * CKB, unclaimedPrepare: 0n, claimed: 200n * CKB },
+};
+
+/* ----------------------- headers ----------------------- */
+
+function daoField(C, AR, S, U) {
+  return '0x' + u64le(C) + u64le(AR) + u64le(S) + u64le(U);
+}
+
+function packEpoch(number, index, length) {
+  return hex((BigInt(length) << 40n) | (BigInt(index) << 24n) | BigInt(number));
+}
+
+export function buildHeaders(tip = TIP, { issuanceAR = false } = {}) {
+  const claims = new Map(TRANSACTIONS.filter(t => t.claim).map(t => [t.block, t.claim]));
+  const s = SECONDARY_EPOCH_REWARD / BigInt(EPOCH_LENGTH);
+  const p = INITIAL_PRIMARY_EPOCH_REWARD / BigInt(EPOCH_LENGTH);
+  let C = (issuanceAR ? 20_000n : 400_000_000n) * CKB;
+  let S = 10_000n * CKB;
+  let AR = 10n ** 16n;
+  const ars = [];
+  const headers = [];
+  for (let n = 0; n <= tip; n++) {
+    if (n > 0) {
+      const miner = (s * (C / 4n)) / C;
+      const claim = claims.get(n);
+      const withdrawn = claim ? (claim.free * ars[claim.prepare]) / ars[claim.deposit] - claim.free : 0n;
+      if (issuanceAR) AR += (AR * s) / C;
+      C += p + s;
+      S += s - miner - withdrawn;
+    }
+    if (!issuanceAR) AR = (10n ** 16n * BigInt(100 + n)) / 100n;
+    ars.push(AR);
+    headers.push({
+      number: hex(n),
+      hash: hash32('b0', n),
+      parent_hash: n === 0 ? '0x' + '00'.repeat(32) : hash32('b0', n - 1),
+      dao: daoField(C, AR, S, C / 4n),
+      epoch: packEpoch(Math.floor(n / EPOCH_LENGTH), n % EPOCH_LENGTH, EPOCH_LENGTH),
+      timestamp: hex(GENESIS_TIMESTAMP + n * DAY_MS),
+    });
+  }
+  return headers;
+}
+
+// the chain served by test/helpers/mock_node.js
+export function daoChain({ issuanceAR = false } = {}) {
+  return {
+    chain: 'ckb_dev',
+    headers: buildHeaders(TIP, { issuanceAR }),
+    transactions: TRANSACTIONS,
+    consensus: {
+      dao_type_hash: DAO_TYPE_HASH,
+      secondary_epoch_reward: hex(SECONDARY_EPOCH_REWARD),
+      initial_primary_epoch_reward: hex(INITIAL_PRIMARY_EPOCH_REWARD),
+      primary_epoch_reward_halving_interval: hex(HALVING_INTERVAL),
+    },
+  };
+}
+
+// the same chain reorged from block `from` (<= 33) on: those blocks get other hashes, bob's prepare
+// at 33 is gone and carol prepares her deposit there instead
+export function reorgedDaoChain(from = 31) {
+  const chain = daoChain();
+  chain.headers = chain.headers.map((h, n) => (n < from ? h : {
+    ...h,
+    hash: hash32('b1', n),
+    parent_hash: n === from ? h.parent_hash : hash32('b1', n - 1),
+  }));
+  chain.transactions = [
+    ...TRANSACTIONS.filter(t => t.hash !== TX.PREPARE_B),
+    { hash: TX.PREPARE_C, block: 33, inputs: [input(TX.DEPOSIT_C, 0)], outputs: [daoCell('carol', 5500)], outputs_data: [prepareData(10)] },
+  ];
+  return chain;
+}
+
+// hand-computed figures at the tip of reorgedDaoChain()
+export const EXPECTED_REORG = {
+  unclaimedDeposit: 800n * CKB,                // bob 2100 * 140/105 - 2100 = 700, alice 100
+  unclaimedPrepare: 1150n * CKB,               // carol 5500 * 133/110 - 5500
+};
+
+// one inconsistency per variant, each in a single record
+export const FLAGGED = {
+  // block 35: a prepare cell whose input is no known deposit (it records deposit block 7)
+  prepare_without_deposit: (txs) => [
+    ...txs,
+    { hash: TX.STRAY, block: 35, inputs: [input(TX.FUNDING, 2)], outputs: [daoCell('carol', 300)], outputs_data: [prepareData(7)] },
+  ],
+  // bob's prepare cell records block 6 for his block-5 deposit
+  deposit_block_mismatch: (txs) => txs.map(t => (t.hash === TX.PREPARE_B ? { ...t, outputs_data: [prepareData(6)] } : t)),
+  // bob's prepare cell holds 100 CKB less than his deposit
+  capacity_mismatch: (txs) => txs.map(t => (t.hash === TX.PREPARE_B ? { ...t, outputs: [daoCell('bob', 2000)] } : t)),
+  // block 35: carol's deposit spent straight to a plain cell
+  deposit_spent_without_prepare: (txs) => [
+    ...txs,
+    { hash: TX.STRAY, block: 35, inputs: [input(TX.DEPOSIT_C, 0)], outputs: [plainCell('carol', 5602)], outputs_data: ['0x'] },
+  ],
+};
+
+export function flaggedDaoChain(flag) {
+  const chain = daoChain();
+  chain.transactions = FLAGGED[flag](TRANSACTIONS);
+  return chain;
+}
@@ -0,0 +1,100 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, reorgedDaoChain, buildHeaders, EXPECTED, EXPECTED_REORG, TIP } from './fixtures/dao_chain.js';
+
+const { node, tmp } = await setupMockNode(daoChain(), { FOLLOW_CHUNK: '7' });
+process.env.FOLLOW_STATE_FILE = path.join(tmp, 'follow.json');
+node.setTip(20);
+const { createFollower } = await import('../src/follow.js');
+const { getNetwork } = await import('../src/network.js');
+const { headerCache } = await import('../src/header_cache.js');
+
+after(() => node.close());
+
+test('follow applies new blocks on top of the start-up scan', async () => {
+  const updates = [];
+  const follower = createFollower({ net: await getNetwork(), onUpdate: (u) => updates.push(u) });
+  await follower.start();
+  assert.equal(follower.state().height, 20n);
+
+  node.setTip(TIP);
+  const u = await follower.step();
+  assert.equal(u.height, BigInt(TIP));
+  assert.equal(u.minerSecondary, EXPECTED.minerTotal);
+  assert.equal(u.claimed, EXPECTED.claimed);
+  assert.equal(u.unclaimedDeposit, EXPECTED.atTip.unclaimedDeposit);
+  assert.equal(u.unclaimedPrepare, EXPECTED.atTip.unclaimedPrepare);
+  assert.equal(u.holders, EXPECTED.atTip.holders);
+
+  // nothing new: no update
+  assert.equal(await follower.step(), null);
+  assert.equal(updates.length, 1);
+});
+
+test('the start-up scan is pinned to SNAPSHOT_BLOCK', async () => {
+  fs.rmSync(process.env.FOLLOW_STATE_FILE, { force: true });
+  process.env.SNAPSHOT_BLOCK = '15';
+  const follower = createFollower({ net: await getNetwork() });
+  try {
+    await follower.start();
+  } finally {
+    delete process.env.SNAPSHOT_BLOCK;
+  }
+  const st = follower.state();
+  assert.equal(st.height, 15n);
+  assert.equal(st.hash, buildHeaders()[15].hash);
+  // nothing withdrawn by 15; the later blocks come in through the journal
+  assert.equal(st.claimed, 0n);
+
+  const u = await follower.step();
+  assert.equal(u.height, BigInt(TIP));
+  assert.equal(u.minerSecondary, EXPECTED.minerTotal);
+  assert.equal(u.claimed, EXPECTED.claimed);
+  assert.equal(u.unclaimedDeposit, EXPECTED.atTip.unclaimedDeposit);
+  assert.equal(u.unclaimedPrepare, EXPECTED.atTip.unclaimedPrepare);
+});
+
+// a follower that has journaled blocks `from` + 1 .. TIP
+async function followFrom(from) {
+  fs.rmSync(process.env.FOLLOW_STATE_FILE, { force: true });
+  node.setTip(from);
+  const follower = createFollower({ net: await getNetwork() });
+  await follower.start();
+  node.setTip(TIP);
+  await follower.step();
+  return follower;
+}
+
+test('a reorg inside the journal is rolled back and the new fork applied', async () => {
+  const follower = await followFrom(30);
+  const fork = reorgedDaoChain(31);
+  node.fork(31, fork);
+  try {
+    const u = await follower.step();
+    assert.equal(u.height, BigInt(TIP));
+    assert.equal(u.hash, fork.headers[TIP].hash);
+    assert.equal(u.minerSecondary, EXPECTED.minerTotal);
+    assert.equal(u.claimed, EXPECTED.claimed);
+    assert.equal(u.unclaimedDeposit, EXPECTED_REORG.unclaimedDeposit);
+    assert.equal(u.unclaimedPrepare, EXPECTED_REORG.unclaimedPrepare);
+    assert.equal(u.holders, 3);
+  } finally {
+    node.fork(0, daoChain());
+    headerCache.invalidateFrom(0);
+  }
+});
+
+test('a reorg deeper than the journal aborts', async () => {
+  const follower = await followFrom(20);
+  // the journal holds 21 .. 40, the fork starts at 15
+  node.fork(15, reorgedDaoChain(15));
+  try {
+    await assert.rejects(follower.step(), /reorg deeper than the 100-block journal/);
+  } finally {
+    node.fork(0, daoChain());
+    headerCache.invalidateFrom(0);
+  }
+});
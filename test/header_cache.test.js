@@ -0,0 +1,22 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, buildHeaders, TIP } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain());
+const { headerCache } = await import('../src/header_cache.js');
+
+after(() => node.close());
+
+test('headers the node does not have are an error, not a null', async () => {
+  const headers = buildHeaders();
+  assert.equal((await headerCache.getByNumber(5)).hash, headers[5].hash);
+  await assert.rejects(headerCache.getByNumber(TIP + 1), new RegExp(`^Error: no header at ${TIP + 1}$`));
+  await assert.rejects(headerCache.getManyByNumber([3, TIP + 2, 4]), new RegExp(`no header at ${TIP + 2}`));
+  await assert.rejects(headerCache.getRange(TIP - 1, TIP + 1), new RegExp(`no header at ${TIP + 1}`));
+  const unknown = '0x' + 'ee'.repeat(32);
+  await assert.rejects(headerCache.getByHash(unknown), new RegExp(`no header at ${unknown}`));
+
+  // the headers that were there are still served
+  assert.deepEqual((await headerCache.getManyByNumber([3, 4])).map(h => h.hash), [headers[3].hash, headers[4].hash]);
+});
@@ -0,0 +1,236 @@
+// test/helpers/mock_node.js
+// Local JSON-RPC stand-in for a CKB node with the built-in indexer, serving a fixture chain
+// (see test/fixtures/dao_chain.js):
+//
+//   get_tip_header, get_header_by_number, get_header, get_indexer_tip,
+//   get_blockchain_info, get_consensus, get_transaction,
+//   get_cells / get_transactions (search key with script_type, filter.script, filter.block_range,
+//                                 asc/desc, limit, last_cursor pagination), get_cells_capacity
+//
+// The indexer views are derived from the fixture transactions up to the current tip, so
+// setTip() lets a test grow the chain. Faults can be injected per method:
+//
+//   node.fail('get_cells', { times: 2, kind: 'http' })   whole HTTP request answers 500
+//   node.fail('get_header_by_number', { kind: 'rpc' })   that item gets a JSON-RPC error
+//   node.fail('get_header_by_number', { kind: 'drop' })  that item is left out of a batch response
+//
+// and node.rewrite(method, fn) passes every result of `method` through fn(result, params), e.g. to
+// make the indexer lose a cell. node.fork(n, other) reorgs the chain: from block n on it serves the
+// headers and transactions of `other`. node.hold(method, { after }) lets `after` more calls of
+// `method` through and keeps the responses to the rest back until the returned release() is called.
+
+import http from 'node:http';
+
+const hex = (n) => '0x' + BigInt(n).toString(16);
+const outPointKey = (op) => `${op.tx_hash}:${Number(op.index)}`;
+
+function sameScript(script, key, mode = 'prefix') {
+  if (!script || !key) return false;
+  if (script.code_hash !== key.code_hash || script.hash_type !== key.hash_type) return false;
+  const args = script.args || '0x';
+  const want = key.args || '0x';
+  return mode === 'exact' ? args === want : args.startsWith(want);
+}
+
+function inRange(block, range) {
+  if (!range) return true;
+  return block >= Number(BigInt(range[0])) && block < Number(BigInt(range[1]));
+}
+
+// does the cell (output) match the search key's script and filter.script?
+function cellMatches(output, key) {
+  const mode = key.script_search_mode || 'prefix';
+  const [primary, other] = key.script_type === 'lock' ? [output.lock, output.type] : [output.type, output.lock];
+  if (!sameScript(primary, key.script, mode)) return false;
+  if (key.filter?.script && !sameScript(other, key.filter.script)) return false;
+  return true;
+}
+
+// offset-based cursor: the page after `offset` items
+function paginate(items, params) {
+  const [, order = 'asc', limit, cursor] = params;
+  const sorted = order === 'desc' ? [...items].reverse() : items;
+  const offset = cursor && cursor !== '0x' ? Number(BigInt(cursor)) : 0;
+  const page = sorted.slice(offset, offset + Number(BigInt(limit)));
+  return { objects: page, last_cursor: page.length > 0 ? hex(offset + page.length) : '0x' };
+}
+
+export function createMockNode(chain) {
+  let tip = chain.headers.length - 1;
+  const calls = [];
+  const faults = new Map(); // method -> [{ kind }]
+  const rewrites = new Map(); // method -> fn(result, params)
+  const holds = new Map(); // method -> { after, gate }, gate resolved on release
+
+  const txByHash = new Map(chain.transactions.map(t => [t.hash, t]));
+
+  // transactions committed up to the current tip, in chain order
+  const committed = () => chain.transactions.filter(t => t.block <= tip);
+
+  function outputOf(op) {
+    const t = txByHash.get(op.tx_hash);
+    if (!t || t.block > tip) return null;
+    const i = Number(op.index);
+    return { output: t.outputs[i], data: t.outputs_data[i], block: t.block };
+  }
+
+  function liveCells(key) {
+    const spent = new Set(committed().flatMap(t => t.inputs.map(i => outPointKey(i.previous_output))));
+    const cells = [];
+    committed().forEach((t, txIndex) => {
+      t.outputs.forEach((output, i) => {
+        const op = { tx_hash: t.hash, index: hex(i) };
+        if (spent.has(outPointKey(op))) return;
+        if (!cellMatches(output, key) || !inRange(t.block, key.filter?.block_range)) return;
+        cells.push({ block_number: hex(t.block), out_point: op, output, output_data: t.outputs_data[i], tx_index: hex(txIndex) });
+      });
+    });
+    return cells;
+  }
+
+  function getCells(params) {
+    return paginate(liveCells(params[0]), params);
+  }
+
+  function getCellsCapacity([key]) {
+    const capacity = liveCells(key).reduce((s, c) => s + BigInt(c.output.capacity), 0n);
+    return { capacity: hex(capacity), block_number: hex(tip), block_hash: chain.headers[tip].hash };
+  }
+
+  function getTransactions(params) {
+    const key = params[0];
+    const objs = [];
+    committed().forEach((t, txIndex) => {
+      if (!inRange(t.block, key.filter?.block_range)) return;
+      const base = { tx_hash: t.hash, block_number: hex(t.block), tx_index: hex(txIndex) };
+      t.inputs.forEach((inp, i) => {
+        const prev = outputOf(inp.previous_output);
+        if (prev && cellMatches(prev.output, key)) objs.push({ ...base, io_type: 'input', io_index: hex(i) });
+      });
+      t.outputs.forEach((out, i) => {
+        if (cellMatches(out, key)) objs.push({ ...base, io_type: 'output', io_index: hex(i) });
+      });
+    });
+    return paginate(objs, params);
+  }
+
+  function getTransaction([hash]) {
+    const t = txByHash.get(hash);
+    if (!t || t.block > tip) return null;
+    return {
+      transaction: {
+        version: '0x0',
+        cell_deps: [],
+        header_deps: [],
+        inputs: t.inputs,
+        outputs: t.outputs,
+        outputs_data: t.outputs_data,
+        witnesses: [],
+        hash: t.hash,
+      },
+      tx_status: { status: 'committed', block_number: hex(t.block), block_hash: chain.headers[t.block].hash },
+    };
+  }
+
+  const methods = {
+    get_tip_header: () => chain.headers[tip],
+    get_header_by_number: ([n]) => (Number(BigInt(n)) <= tip ? chain.headers[Number(BigInt(n))] : null),
+    get_header: ([hash]) => chain.headers.slice(0, tip + 1).find(h => h.hash === hash) ?? null,
+    get_indexer_tip: () => ({ block_number: hex(tip), block_hash: chain.headers[tip].hash }),
+    get_blockchain_info: () => ({ chain: chain.chain }),
+    get_consensus: () => ({ genesis_hash: chain.headers[0].hash, ...chain.consensus }),
+    get_cells: getCells,
+    get_cells_capacity: getCellsCapacity,
+    get_transactions: getTransactions,
+    get_transaction: getTransaction,
+  };
+
+  function takeFault(method, kinds) {
+    const list = faults.get(method);
+    if (!list || list.length === 0 || !kinds.includes(list[0].kind)) return null;
+    return list.shift();
+  }
+
+  // one JSON-RPC request -> response, or undefined to leave it out
+  function handle(req) {
+    calls.push({ method: req.method, params: req.params });
+    const fault = takeFault(req.method, ['rpc', 'drop']);
+    if (fault?.kind === 'drop') return undefined;
+    if (fault?.kind === 'rpc') return { jsonrpc: '2.0', id: req.id, error: { code: -32000, message: 'injected fault' } };
+    const fn = methods[req.method];
+    if (!fn) return { jsonrpc: '2.0', id: req.id, error: { code: -32601, message: `method not found: ${req.method}` } };
+    const result = fn(req.params ?? []);
+    const rewrite = rewrites.get(req.method);
+    return { jsonrpc: '2.0', id: req.id, result: rewrite ? rewrite(result, req.params ?? []) : result };
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => { body += d; });
+    req.on('end', async () => {
+      const json = JSON.parse(body);
+      const reqs = Array.isArray(json) ? json : [json];
+      for (const r of reqs) {
+        const h = holds.get(r.method);
+        if (h && h.after-- <= 0) await h.gate;
+      }
+      if (reqs.some(r => takeFault(r.method, ['http']))) {
+        for (const r of reqs) calls.push({ method: r.method, params: r.params });
+        res.writeHead(500);
+        res.end('injected fault');
+        return;
+      }
+      const out = Array.isArray(json) ? reqs.map(handle).filter(Boolean) : handle(json);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(out ?? null));
+    });
+  });
+
+  return {
+    server,
+    calls,
+    url: null,
+    async listen() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+      return this;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+    setTip(n) {
+      if (n < 0 || n >= chain.headers.length) throw new RangeError(`tip ${n} outside the fixture chain`);
+      tip = n;
+    },
+    fail(method, { times = 1, kind = 'http' } = {}) {
+      const list = faults.get(method) ?? [];
+      for (let i = 0; i < times; i++) list.push({ kind });
+      faults.set(method, list);
+    },
+    fork(n, other) {
+      chain.headers = [...chain.headers.slice(0, n), ...other.headers.slice(n)];
+      chain.transactions = [...chain.transactions.filter(t => t.block < n), ...other.transactions.filter(t => t.block >= n)];
+      txByHash.clear();
+      for (const t of chain.transactions) txByHash.set(t.hash, t);
+    },
+    hold(method, { after = 0 } = {}) {
+      let release;
+      holds.set(method, { after, gate: new Promise((resolve) => { release = resolve; }) });
+      return () => {
+        holds.delete(method);
+        release();
+      };
+    },
+    rewrite(method, fn) {
+      if (fn) rewrites.set(method, fn);
+      else rewrites.delete(method);
+    },
+    count(method) {
+      return calls.filter(c => c.method === method).length;
+    },
+  };
+}
+
+export function startMockNode(chain) {
+  return createMockNode(chain).listen();
+}
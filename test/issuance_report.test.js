@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, EXPECTED, TIP } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain());
+const { computeIssuanceReport } = await import('../src/issuance_report.js');
+const { computeExactSecondaryTotal } = await import('../src/secondary_issuance_total.js');
+const { getNetwork } = await import('../src/network.js');
+const { rpc } = await import('../src/rpc_client.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+
+test('exact secondary total from the header C field', async () => {
+  const net = await getNetwork();
+  const tip = await rpc('get_tip_header', []);
+  const r = await computeExactSecondaryTotal(tip, net);
+  assert.equal(r.exact, EXPECTED.secondaryTotal);
+  assert.equal(r.perBlockSum, EXPECTED.secondaryTotal);
+});
+
+test('miner + dao + treasury add up over the whole chain', async () => {
+  const r = await computeIssuanceReport({ from: 1 });
+  assert.equal(r.to, TIP);
+  assert.equal(r.theoretical, EXPECTED.secondaryTotal);
+  assert.equal(r.miner, EXPECTED.minerTotal);
+  assert.equal(r.claimed, EXPECTED.claimed);
+  assert.equal(r.claimedFromHeaders, EXPECTED.claimed);
+  assert.equal(r.unclaimedStart, 0n);
+  assert.equal(r.unclaimedEnd, EXPECTED.atTip.unclaimedDeposit + EXPECTED.atTip.unclaimedPrepare);
+  assert.equal(r.residual, 0n);
+});
+
+test('a sub-range measures unclaimed at both ends', async () => {
+  const r = await computeIssuanceReport({ from: 29, to: TIP });
+  assert.equal(r.theoretical, 12n * CKB);
+  assert.equal(r.miner, 3n * CKB);
+  assert.equal(r.claimed, EXPECTED.claimed);
+  assert.equal(r.unclaimedStart, EXPECTED.atBlock28.unclaimedDeposit + EXPECTED.atBlock28.unclaimedPrepare);
+  assert.equal(r.residual, 0n);
+});
+
+test('TO above the snapshot block is rejected', async () => {
+  await assert.rejects(computeIssuanceReport({ from: 1, to: TIP + 1 }), /above the snapshot block/);
+});
@@ -0,0 +1,121 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import path from 'node:path';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, EXPECTED, TIP } from './fixtures/dao_chain.js';
+
+// a free port for the server main() starts
+const port = await new Promise((resolve) => {
+  const s = net.createServer().listen(0, '127.0.0.1', () => {
+    const free = s.address().port;
+    s.close(() => resolve(free));
+  });
+});
+
+const { node, tmp } = await setupMockNode(daoChain(), { FOLLOW_ONCE: '1', METRICS_PORT: String(port) });
+process.env.FOLLOW_STATE_FILE = path.join(tmp, 'follow.json');
+const { renderMetrics, main } = await import('../src/metrics_server.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+
+const update = (over = {}) => ({
+  height: 1234n,
+  secondary: 40n * CKB,
+  minerSecondary: 10n * CKB,
+  claimed: 200n * CKB,
+  unclaimedDeposit: 1600n * CKB,
+  unclaimedPrepare: 560n * CKB,
+  treasuryBurn: 5n * CKB,
+  depositCells: 2,
+  prepareCells: 1,
+  holders: 3,
+  avgDepositAgeDays: 1.5,
+  ...over,
+});
+
+test('renderMetrics writes HELP / TYPE for every family and labels each sample', () => {
+  const state = { network: 'ckb', update: update(), health: { pollErrors: 2, lastUpdateAt: 1_700_000_000_999, lastPollMs: 250 } };
+  const rpc = new Map([['get_tip_header', { calls: 5, errors: 1 }], ['get_block', { calls: 7, errors: 0 }]]);
+  const lines = renderMetrics(state, rpc).split('\n');
+
+  for (const name of ['ckb_secondary_issuance_shannons', 'ckb_dao_unclaimed_shannons', 'ckb_dao_avg_deposit_age_seconds']) {
+    const help = lines.findIndex(l => l.startsWith(`# HELP ${name} `));
+    assert.ok(help >= 0, name);
+    assert.equal(lines[help + 1], `# TYPE ${name} gauge`);
+  }
+  assert.ok(lines.includes('# TYPE secondary_issuance_rpc_calls_total counter'));
+
+  assert.ok(lines.includes('ckb_miner_secondary_shannons{network="ckb",height="1234"} 1000000000'));
+  assert.ok(lines.includes('ckb_dao_unclaimed_shannons{network="ckb",height="1234",kind="deposit"} 160000000000'));
+  assert.ok(lines.includes('ckb_dao_unclaimed_shannons{network="ckb",height="1234",kind="prepare"} 56000000000'));
+  assert.ok(lines.includes('ckb_dao_cells{network="ckb",height="1234",kind="prepare"} 1'));
+  assert.ok(lines.includes('ckb_dao_avg_deposit_age_seconds{network="ckb",height="1234"} 129600'));
+  // methods sorted, no height label on the scan health
+  const calls = lines.filter(l => l.startsWith('secondary_issuance_rpc_calls_total{'));
+  assert.deepEqual(calls, [
+    'secondary_issuance_rpc_calls_total{method="get_block"} 7',
+    'secondary_issuance_rpc_calls_total{method="get_tip_header"} 5',
+  ]);
+  assert.ok(lines.includes('secondary_issuance_rpc_errors_total{method="get_tip_header"} 1'));
+  assert.ok(lines.includes('secondary_issuance_poll_errors_total 2'));
+  assert.ok(lines.includes('secondary_issuance_last_update_timestamp_seconds{network="ckb"} 1700000000'));
+  assert.ok(lines.includes('secondary_issuance_scan_duration_seconds{network="ckb"} 0.25'));
+});
+
+test('renderMetrics escapes label values and skips what it does not have', () => {
+  const state = { network: 'dev"\\\n', update: update({ avgDepositAgeDays: null }), health: { pollErrors: 0, lastUpdateAt: 0, lastPollMs: null } };
+  const text = renderMetrics(state, new Map());
+  assert.ok(text.includes('ckb_dao_holders{network="dev\\"\\\\\\n",height="1234"} 3\n'));
+  assert.ok(!text.includes('ckb_dao_avg_deposit_age_seconds'));
+  assert.ok(!text.includes('secondary_issuance_scan_duration_seconds'));
+
+  // before the first update only the scan health is there
+  const empty = renderMetrics({ network: 'ckb', update: null, health: { pollErrors: 1, lastUpdateAt: null, lastPollMs: null } }, new Map());
+  assert.ok(!empty.includes('ckb_'));
+  assert.ok(!empty.includes('secondary_issuance_last_update_height'));
+  assert.ok(empty.includes('secondary_issuance_poll_errors_total 1\n'));
+});
+
+// polls until the body matches; the server is not up until main() has read the network
+async function fetchUntil(url, ok) {
+  for (let i = 0; i < 500; i++) {
+    const res = await fetch(url).catch(() => null);
+    const body = res ? await res.text() : '';
+    if (ok(body)) return { res, body };
+    await new Promise(r => setTimeout(r, 10));
+  }
+  throw new Error(`${url}: no matching response`);
+}
+
+test('main serves /metrics while it follows and 404s anything else', async () => {
+  node.setTip(28);
+  // the poll after the start-up scan waits until the endpoint has been checked; before it the
+  // header cache reads the node tip once and the start-up scan the indexer tip twice
+  const holds = [node.hold('get_tip_header', { after: 1 }), node.hold('get_indexer_tip', { after: 2 })];
+  const run = main();
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    const { res, body } = await fetchUntil(`${base}/metrics`, b => b.includes('ckb_miner_secondary_shannons'));
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.ok(body.includes(`ckb_miner_secondary_shannons{network="devnet",height="28"} ${28n * EXPECTED.minerPerBlock}\n`));
+    assert.ok(body.includes(`ckb_dao_unclaimed_shannons{network="devnet",height="28",kind="deposit"} ${EXPECTED.atBlock28.unclaimedDeposit}\n`));
+    assert.match(body, /^secondary_issuance_rpc_calls_total\{method="get_indexer_tip"\} [1-9]/m);
+
+    const missing = await fetch(`${base}/other`);
+    assert.equal(missing.status, 404);
+    assert.equal(await missing.text(), 'see /metrics\n');
+  } finally {
+    node.setTip(TIP);
+    for (const release of holds) release();
+  }
+
+  const out = await run;
+  assert.equal(out.tip.number, String(TIP));
+  assert.equal(out.result.miner_secondary, EXPECTED.minerTotal);
+  assert.equal(out.result.holders, EXPECTED.atTip.holders);
+  assert.deepEqual(out.params, { host: '127.0.0.1', port });
+});
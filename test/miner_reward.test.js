@@ -0,0 +1,123 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, buildHeaders, EXPECTED, EPOCH_LENGTH, SECONDARY_EPOCH_REWARD, TIP } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain(), { CONCURRENCY: '2', BATCH_SIZE: '7', WINDOW_MULT: '3' });
+const { scanMinerReward } = await import('../src/miner_reward.js');
+const { loadCheckpoint } = await import('../src/checkpoint.js');
+const { buildDaoLifecycle } = await import('../src/dao_lifecycle.js');
+const { accrualCells } = await import('../src/dao_accrual.js');
+const { unpackDao } = await import('../src/dao.js');
+const { headerCache } = await import('../src/header_cache.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+const { records } = await buildDaoLifecycle();
+const daoCells = accrualCells(records, BigInt(TIP));
+
+// s * AR_{i-1} / C_{i-1} * free / AR_start per cell accruing over (start, end], in 10^-12 shannons
+const dao = buildHeaders().map(h => unpackDao(h.dao));
+const s = SECONDARY_EPOCH_REWARD / BigInt(EPOCH_LENGTH);
+const CELLS = [[1000n, 5, 26], [2100n, 5, 33], [5500n, 10, 40], [600n, 20, 40]];
+function daoShare(from, to) {
+  let sum = 0n;
+  for (let i = from; i <= to; i++) {
+    for (const [free, start, end] of CELLS) {
+      if (start < i && i <= end) sum += (s * dao[i - 1].AR * free * CKB * 10n ** 12n) / (dao[i - 1].C * dao[start].AR);
+    }
+  }
+  return sum;
+}
+
+test('miner secondary of every block', async () => {
+  const r = await scanMinerReward({ start: 1, end: TIP, checkpointEvery: 0 });
+  assert.equal(r.totalMinerSecondary, EXPECTED.minerTotal);
+  assert.equal(r.totals.secondary, EXPECTED.secondaryTotal);
+  assert.equal(r.totals.miner, EXPECTED.minerTotal);
+  // S only dropped by a withdraw: dao_withdrawn is what alice claimed
+  assert.equal(r.totals.dao_withdrawn, EXPECTED.claimed);
+  assert.deepEqual(r.epochRows.map(e => e.epoch), [0, 1, 2, 3, 4]);
+  assert.equal(r.epochRows[1].blocks, EPOCH_LENGTH);
+  // no DAO cells given: no dao / treasury split
+  assert.equal(r.totals.dao, null);
+  assert.equal(r.epochRows[1].treasury, null);
+});
+
+test('per-epoch DAO share from s, C and AR of every header, treasury is the rest', async () => {
+  assert.deepEqual(daoCells.filter(c => c.start !== null).map(c => [c.free_capacity / CKB, Number(c.start), Number(c.end)]).sort((a, b) => a[1] - b[1] || Number(a[0] - b[0])), CELLS);
+  const r = await scanMinerReward({ start: 1, end: TIP, checkpointEvery: 0, daoCells });
+  for (const e of r.epochRows) {
+    const exact = daoShare(Math.max(1, e.start_block), e.end_block);
+    // one rounding per epoch, the per-cell sum above floors each term
+    assert.ok(e.dao * 10n ** 12n - exact >= -(10n ** 12n) / 2n && e.dao * 10n ** 12n - exact <= 10n ** 12n, `epoch ${e.epoch}`);
+    assert.equal(e.treasury, e.secondary - e.miner - e.dao);
+  }
+  // alice and bob accrue from block 6 on
+  assert.ok(r.epochRows[0].dao > 0n);
+  assert.equal(r.totals.dao, r.epochRows.reduce((a, e) => a + e.dao, 0n));
+  assert.equal(r.totals.treasury, EXPECTED.secondaryTotal - EXPECTED.minerTotal - r.totals.dao);
+});
+
+test('resuming from a checkpoint gives the same totals', async () => {
+  const file = process.env.CHECKPOINT_FILE;
+  await scanMinerReward({ start: 1, end: 17, checkpointFile: file, checkpointEvery: 1 });
+  const cp = loadCheckpoint(file);
+  assert.equal(cp.last_block, 17);
+
+  const r = await scanMinerReward({ start: 1, end: TIP, resumeFrom: cp, checkpointFile: file, checkpointEvery: 0 });
+  assert.equal(r.totalMinerSecondary, EXPECTED.minerTotal);
+  assert.equal(r.totals.dao_withdrawn, EXPECTED.claimed);
+});
+
+test('resuming mid-deposit gives the same DAO share as one scan', async () => {
+  const file = process.env.CHECKPOINT_FILE;
+  const full = await scanMinerReward({ start: 1, end: TIP, checkpointEvery: 0, daoCells });
+  // carol and alice's second deposit are accruing at 23, alice's first one has been prepared at 26
+  await scanMinerReward({ start: 1, end: 23, checkpointFile: file, checkpointEvery: 1, daoCells });
+  const r = await scanMinerReward({ start: 1, end: TIP, resumeFrom: loadCheckpoint(file), checkpointFile: file, checkpointEvery: 0, daoCells });
+  assert.deepEqual(r.epochRows, full.epochRows);
+  assert.deepEqual(r.totals, full.totals);
+});
+
+test('a checkpoint without the DAO share or in an old format is rejected', async () => {
+  const file = process.env.CHECKPOINT_FILE;
+  await scanMinerReward({ start: 1, end: 17, checkpointFile: file, checkpointEvery: 1 });
+  const cp = loadCheckpoint(file);
+  await assert.rejects(
+    scanMinerReward({ start: 1, end: TIP, resumeFrom: cp, checkpointFile: file, checkpointEvery: 0, daoCells }),
+    /was written without the DAO share; delete it and rescan/
+  );
+  const { dao_share, ...old } = cp;
+  await assert.rejects(
+    scanMinerReward({ start: 1, end: TIP, resumeFrom: old, checkpointFile: file, checkpointEvery: 0 }),
+    /has an old format; delete it and rescan/
+  );
+});
+
+test('a checkpoint past END is rejected', async () => {
+  const file = process.env.CHECKPOINT_FILE;
+  await scanMinerReward({ start: 1, end: 17, checkpointFile: file, checkpointEvery: 1 });
+  const cp = loadCheckpoint(file);
+  await assert.rejects(
+    scanMinerReward({ start: 1, end: 12, resumeFrom: cp, checkpointFile: file, checkpointEvery: 0 }),
+    /checkpoint block 17 is past END \(12\)/
+  );
+});
+
+test('a header with a bad epoch fails the scan with its block and epoch', async () => {
+  for (const [epoch, message] of [
+    ['0x0', /bad epoch length at block 12: epoch=0x0 \(length 0\)/],
+    [12, /bad header\.epoch type at block 12: epoch=12/],
+  ]) {
+    node.rewrite('get_header_by_number', (h) => (h && BigInt(h.number) === 12n ? { ...h, epoch } : h));
+    headerCache.invalidateFrom(12);
+    try {
+      await assert.rejects(scanMinerReward({ start: 1, end: TIP, checkpointEvery: 0 }), message);
+    } finally {
+      node.rewrite('get_header_by_number', null);
+      headerCache.invalidateFrom(12);
+    }
+  }
+});
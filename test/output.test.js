@@ -0,0 +1,74 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, EXPECTED, TIP } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain(), { LIMIT: '0x2', UNCLAIMED_PROGRESS_EVERY: '1' });
+
+after(() => node.close());
+
+const SCRIPT = fileURLToPath(new URL('../src/dao_unclaimed.js', import.meta.url));
+
+// runs the script the way a user does, against the mock node of this process
+function run(args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SCRIPT, ...args], { env: { ...process.env, FORMAT: '', ...env } });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+test('--format json: one result document on stdout, the text on stderr', async () => {
+  const { code, stdout, stderr } = await run(['--format', 'json']);
+  assert.equal(code, 0);
+  const doc = JSON.parse(stdout);
+  assert.equal(doc.script, 'dao_unclaimed');
+  assert.equal(doc.ok, true);
+  assert.equal(doc.network, 'devnet');
+  assert.equal(doc.tip.number, String(TIP));
+  assert.equal(doc.result.unclaimed_deposit, EXPECTED.atTip.unclaimedDeposit.toString());
+  assert.equal(doc.result.unclaimed_prepare, EXPECTED.atTip.unclaimedPrepare.toString());
+  assert.ok(doc.rpc.get_cells.calls > 0);
+  assert.match(stderr, /DAO unclaimed rewards total\s+=/);
+  assert.match(stderr, /Processed DAO cells:/);
+});
+
+test('--format ndjson: progress events, then the result line', async () => {
+  const { code, stdout, stderr } = await run(['--format=ndjson']);
+  assert.equal(code, 0);
+  const lines = stdout.trimEnd().split('\n').map(l => JSON.parse(l));
+  const progress = lines.slice(0, -1);
+  assert.ok(progress.length > 0);
+  for (const p of progress) {
+    assert.equal(p.type, 'progress');
+    assert.equal(p.event, 'unclaimed_cells');
+  }
+  const last = lines.at(-1);
+  assert.equal(last.type, 'result');
+  assert.equal(last.ok, true);
+  assert.equal(last.result.unclaimed_total, (EXPECTED.atTip.unclaimedDeposit + EXPECTED.atTip.unclaimedPrepare).toString());
+  assert.match(stderr, /DAO unclaimed rewards total\s+=/);
+});
+
+test('a failed run writes the error document and exits 1', async () => {
+  const json = await run(['--format', 'json'], { SNAPSHOT_BLOCK: '99' });
+  assert.equal(json.code, 1);
+  const doc = JSON.parse(json.stdout);
+  assert.equal(doc.ok, false);
+  assert.equal(doc.script, 'dao_unclaimed');
+  assert.match(doc.error, /SNAPSHOT_BLOCK 99 is outside \[0, indexer tip 40\]/);
+  assert.match(json.stderr, /SNAPSHOT_BLOCK 99/);
+
+  const ndjson = await run(['--format', 'ndjson'], { SNAPSHOT_BLOCK: '99' });
+  assert.equal(ndjson.code, 1);
+  const lines = ndjson.stdout.trimEnd().split('\n').map(l => JSON.parse(l));
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].type, 'error');
+  assert.match(lines[0].error, /SNAPSHOT_BLOCK 99 is outside/);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockNode } from './helpers/mock_node.js';
+import { daoChain } from './fixtures/dao_chain.js';
+import { createRpcClient } from '../src/rpc_client.js';
+
+let node;
+let client;
+
+before(async () => {
+  node = await startMockNode(daoChain());
+});
+
+after(() => node.close());
+
+const fresh = (opts = {}) => createRpcClient({ url: node.url, backoffMs: 1, backoffMaxMs: 5, logFailures: false, ...opts });
+
+test('call retries HTTP failures and records them', async () => {
+  client = fresh();
+  node.fail('get_tip_header', { times: 2, kind: 'http' });
+  const tip = await client.call('get_tip_header');
+  assert.equal(tip.number, '0x28');
+  const m = client.metrics.get('get_tip_header');
+  assert.equal(m.calls, 3);
+  assert.equal(m.errors, 2);
+  assert.equal(m.retries, 2);
+});
+
+test('call retries JSON-RPC errors and gives up after `retries` attempts', async () => {
+  client = fresh();
+  node.fail('get_indexer_tip', { times: 1, kind: 'rpc' });
+  assert.equal((await client.call('get_indexer_tip')).block_number, '0x28');
+
+  node.fail('get_indexer_tip', { times: 3, kind: 'rpc' });
+  await assert.rejects(client.call('get_indexer_tip', [], { retries: 3 }), (e) => {
+    assert.match(e.message, /get_indexer_tip error/);
+    assert.equal(e.rpcError.message, 'injected fault');
+    return true;
+  });
+  assert.equal(client.metrics.get('get_indexer_tip').errors, 4);
+});
+
+test('unknown methods fail with the node error', async () => {
+  client = fresh();
+  await assert.rejects(client.call('no_such_method', [], { retries: 1 }), /method not found/);
+});
+
+test('batch keeps answered items and retries only the failed ones', async () => {
+  client = fresh();
+  node.fail('get_header_by_number', { times: 1, kind: 'rpc' });
+  node.fail('get_header_by_number', { times: 1, kind: 'drop' });
+  const before = node.count('get_header_by_number');
+  const calls = [1, 2, 3, 4].map(n => ['get_header_by_number', ['0x' + n.toString(16)]]);
+  const headers = await client.batch(calls);
+  assert.deepEqual(headers.map(h => h.number), ['0x1', '0x2', '0x3', '0x4']);
+  // 4 items, then the errored and the dropped item once more
+  assert.equal(node.count('get_header_by_number') - before, 6);
+});
+
+test('batch retries a failed HTTP round trip and splits by batchSize', async () => {
+  client = fresh({ batchSize: 2 });
+  node.fail('get_header_by_number', { times: 1, kind: 'http' });
+  const headers = await client.batch([0, 1, 2].map(n => ['get_header_by_number', ['0x' + n.toString(16)]]));
+  assert.deepEqual(headers.map(h => h.number), ['0x0', '0x1', '0x2']);
+  assert.equal(client.metrics.get('get_header_by_number').errors, 2);
+});
+
+test('batch throws once an item keeps failing', async () => {
+  client = fresh();
+  node.fail('get_header_by_number', { times: 2, kind: 'rpc' });
+  await assert.rejects(
+    client.batch([['get_header_by_number', ['0x1']]], { retries: 2 }),
+    /get_header_by_number error/
+  );
+});
@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMockNode } from './helpers/setup.js';
+import { daoChain, DAO_TYPE, TIP } from './fixtures/dao_chain.js';
+
+const { node } = await setupMockNode(daoChain());
+const { projectIssuance, liveDaoDeposits } = await import('../src/secondary_issuance_total.js');
+
+after(() => node.close());
+
+const CKB = 100_000_000n;
+
+// 10 CKB secondary and 20 CKB primary per epoch, halving every 2 epochs; one epoch a year keeps the APY readable
+const NET = { secondaryEpochReward: 10n * CKB, initialPrimaryEpochReward: 20n * CKB, primaryHalvingInterval: 2 };
+const base = { C: 1000n * CKB, U: 250n * CKB, deposits: 500n * CKB, startEpoch: 1, net: NET, epochsPerYear: 1 };
+
+test('projection splits the secondary reward by U / C and D / C', () => {
+  const [e1, e2] = projectIssuance({ ...base, epochs: 2 });
+  assert.deepEqual(e1, {
+    epoch: 1,
+    primary: 20n * CKB,
+    secondary: 10n * CKB,
+    miner: 250_000_000n,
+    dao: 500_000_000n,
+    treasury: 250_000_000n,
+    total_issuance: 1000n * CKB,
+    occupied: 250n * CKB,
+    dao_deposits: 500n * CKB,
+    nominal_apy_pct: 1,
+    inflation_pct: 3,
+  });
+
+  // epoch 2: primary halved, C grew by 30 CKB, the deposits by their 5 CKB compensation
+  assert.equal(e2.primary, 10n * CKB);
+  assert.equal(e2.total_issuance, 1030n * CKB);
+  assert.equal(e2.dao_deposits, 505n * CKB);
+  assert.equal(e2.miner, 242_718_446n);
+  assert.equal(e2.dao, 490_291_262n);
+  assert.equal(e2.treasury, 10n * CKB - e2.miner - e2.dao);
+  assert.equal(e2.nominal_apy_pct, 0.970874);
+});
+
+test('scenario growth rates apply per epoch', () => {
+  const rows = projectIssuance({ ...base, epochs: 3, occupiedGrowthPct: 20, daoGrowthPct: -50, epochsPerYear: 1 });
+  assert.deepEqual(rows.map(r => r.occupied), [250n * CKB, 300n * CKB, 360n * CKB]);
+  // halved, plus the compensation of the epoch before
+  assert.equal(rows[1].dao_deposits, 255n * CKB);
+});
+
+test('a scenario that outgrows the total issuance is rejected', () => {
+  assert.throws(() => projectIssuance({ ...base, epochs: 20, occupiedGrowthPct: 100 }), /exceeds the total issuance/);
+  assert.throws(() => projectIssuance({ ...base, epochs: 1, daoGrowthPct: -100 }), /above -100%/);
+});
+
+test('live DAO deposits are summed as free capacity', async () => {
+  // carol (5500) and alice's second deposit (600); bob's cell is a prepare cell
+  const live = await liveDaoDeposits(DAO_TYPE, BigInt(TIP));
+  assert.equal(live.cells, 2);
+  assert.equal(live.total, 6100n * CKB);
+});